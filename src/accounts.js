@@ -0,0 +1,137 @@
+/**
+ * Klaviyo account registry
+ *
+ * Loads named accounts from the JSON file in KLAVIYO_ACCOUNTS_FILE, or a single
+ * "default" account from KLAVIYO_API_KEY, and resolves which account the
+ * current tool call should use.
+ *
+ * Accounts file format:
+ * {
+ *   "default": "brand-a",
+ *   "accounts": {
+ *     "brand-a": { "api_key": "pk_...", "description": "Brand A store" },
+ *     "brand-b": { "api_key_env": "BRAND_B_KLAVIYO_API_KEY" }
+ *   }
+ * }
+ */
+
+import fs from 'fs';
+import { ACCOUNTS_CONFIG } from './config.js';
+import logger from './utils/logger.js';
+import { getToolContext } from './utils/tool-context.js';
+
+/**
+ * Load accounts from the accounts file or KLAVIYO_API_KEY
+ * @returns {Object} - { accounts: Map, defaultName }
+ */
+function loadAccounts() {
+  const accounts = new Map();
+
+  if (!ACCOUNTS_CONFIG.file) {
+    const apiKey = process.env.KLAVIYO_API_KEY;
+    if (!apiKey) {
+      logger.error('KLAVIYO_API_KEY environment variable is not set. API calls will fail.');
+      throw new Error('KLAVIYO_API_KEY environment variable is required. Please set it (or KLAVIYO_ACCOUNTS_FILE) before starting the server.');
+    }
+
+    accounts.set(ACCOUNTS_CONFIG.defaultName, {
+      name: ACCOUNTS_CONFIG.defaultName,
+      apiKey,
+      description: 'Account configured through KLAVIYO_API_KEY'
+    });
+
+    return { accounts, defaultName: ACCOUNTS_CONFIG.defaultName };
+  }
+
+  let fileConfig;
+  try {
+    fileConfig = JSON.parse(fs.readFileSync(ACCOUNTS_CONFIG.file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read Klaviyo accounts file ${ACCOUNTS_CONFIG.file}: ${error.message}`);
+  }
+
+  for (const [name, account] of Object.entries(fileConfig.accounts || {})) {
+    const apiKey = account.api_key || (account.api_key_env && process.env[account.api_key_env]);
+    if (!apiKey) {
+      throw new Error(`Klaviyo account "${name}" has no API key. Set "api_key" or point "api_key_env" at a set environment variable.`);
+    }
+
+    accounts.set(name, { name, apiKey, description: account.description || '' });
+  }
+
+  if (accounts.size === 0) {
+    throw new Error(`Klaviyo accounts file ${ACCOUNTS_CONFIG.file} does not define any accounts.`);
+  }
+
+  const defaultName = fileConfig.default || accounts.keys().next().value;
+  if (!accounts.has(defaultName)) {
+    throw new Error(`Default Klaviyo account "${defaultName}" is not defined in ${ACCOUNTS_CONFIG.file}.`);
+  }
+
+  logger.info(`Loaded ${accounts.size} Klaviyo accounts (default: ${defaultName})`);
+
+  return { accounts, defaultName };
+}
+
+const { accounts, defaultName } = loadAccounts();
+
+/**
+ * Mask an API key for display
+ * @param {string} apiKey - API key
+ * @returns {string} - Key with all but the first and last 4 characters hidden
+ */
+export function maskApiKey(apiKey) {
+  return apiKey.length > 8
+    ? `${apiKey.substring(0, 4)}...${apiKey.substring(apiKey.length - 4)}`
+    : '********';
+}
+
+/**
+ * Get the name of the default account
+ * @returns {string} - Default account name
+ */
+export function getDefaultAccountName() {
+  return defaultName;
+}
+
+/**
+ * Get a configured account by name
+ * @param {string} name - Account name
+ * @returns {Object} - Account ({ name, apiKey, description })
+ */
+export function getAccount(name) {
+  const account = accounts.get(name);
+  if (!account) {
+    throw new Error(`Unknown Klaviyo account "${name}". Available accounts: ${Array.from(accounts.keys()).join(', ')}`);
+  }
+  return account;
+}
+
+/**
+ * Resolve the account for the current tool call
+ * @returns {Object} - Account selected by the tool's `account` argument, or the default
+ */
+export function resolveAccount() {
+  return getAccount(getToolContext()?.account || defaultName);
+}
+
+/**
+ * List configured accounts without exposing their API keys
+ * @returns {Object[]} - Account summaries
+ */
+export function listAccounts() {
+  return Array.from(accounts.values()).map(account => ({
+    name: account.name,
+    description: account.description,
+    default: account.name === defaultName,
+    api_key: maskApiKey(account.apiKey)
+  }));
+}
+
+export default {
+  getAccount,
+  resolveAccount,
+  listAccounts,
+  getDefaultAccountName,
+  maskApiKey
+};
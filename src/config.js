@@ -8,6 +8,8 @@
 // Load environment variables directly if not already loaded
 // This ensures config can be used independently without relying on dotenv being loaded elsewhere
 import dotenv from 'dotenv';
+import os from 'os';
+import path from 'path';
 dotenv.config({ path: './.env' });
 
 // API Configuration
@@ -16,8 +18,33 @@ export const API_CONFIG = {
   revision: '2024-06-15', // Updated to the latest available API revision
   defaultPageSize: 50,
   maxPageSize: 100,
+  maxPaginatedItems: 1000, // Upper bound when following pagination links
+  maxPaginatedPages: 50, // Upper bound on pages fetched in a single call
+  // Largest page[size] accepted per resource; resources not listed only take a cursor
+  pageSizeLimits: {
+    profiles: 100,
+    events: 200,
+    flows: 50,
+    'import-errors': 100,
+  },
   defaultTimeframe: 'last_30_days',
-  defaultConversionMetricId: 'VevE7N', // Placed Order metric ID
+  conversionMetric: process.env.KLAVIYO_CONVERSION_METRIC || 'Placed Order', // Name or ID of the default conversion metric, resolved per account
+  reportBatchSize: 50, // Campaign or flow IDs per reporting request
+  // POST endpoints that only query data (never simulated or audited as writes)
+  queryEndpoints: [
+    '/campaign-values-reports/',
+    '/campaign-series-reports/',
+    '/flow-values-reports/',
+    '/flow-series-reports/',
+    '/metric-aggregates/',
+  ],
+};
+
+// Account Configuration
+// Without an accounts file, a single "default" account is created from KLAVIYO_API_KEY
+export const ACCOUNTS_CONFIG = {
+  file: process.env.KLAVIYO_ACCOUNTS_FILE || '', // JSON file with named accounts
+  defaultName: 'default', // Name of the account created from KLAVIYO_API_KEY
 };
 
 // Rate Limiting Configuration
@@ -26,6 +53,33 @@ export const RATE_LIMIT_CONFIG = {
   initialDelayMs: 1000, // 1 second
   maxDelayMs: 10000, // 10 seconds
   backoffFactor: 2, // Exponential backoff multiplier
+  maxQueueWaitMs: 60000, // Longest a request may wait for rate limit budget before failing
+  // Klaviyo rate limit tiers: burst is per second, steady is per minute
+  tiers: {
+    XS: { burst: 1, steady: 15 },
+    S: { burst: 3, steady: 60 },
+    M: { burst: 10, steady: 150 },
+    L: { burst: 75, steady: 700 },
+    XL: { burst: 350, steady: 3500 },
+    reporting: { burst: 1, steady: 2 },
+  },
+  // Tier per resource (first path segment); RateLimit-* response headers take precedence
+  endpointTiers: {
+    'campaign-values-reports': 'reporting',
+    'campaign-series-reports': 'reporting',
+    'flow-values-reports': 'reporting',
+    'flow-series-reports': 'reporting',
+    'metric-aggregates': 'S',
+    'data-privacy-deletion-jobs': 'S',
+    flows: 'S',
+    metrics: 'M',
+    campaigns: 'M',
+    profiles: 'L',
+    lists: 'L',
+    segments: 'L',
+    events: 'XL',
+  },
+  defaultTier: 'M',
 };
 
 // Caching Configuration
@@ -36,6 +90,7 @@ export const CACHE_CONFIG = {
     campaigns: 1800, // 30 minutes
     templates: 3600, // 1 hour
     profiles: 300, // 5 minutes
+    jobs: 0, // Never cache job status; callers poll for progress
     default: 600, // 10 minutes
   },
   maxSize: 100, // Maximum number of items to cache per type
@@ -51,18 +106,109 @@ export const LOG_CONFIG = {
   maskSensitiveData: true,
 };
 
+// Transport Configuration
+export const SERVER_CONFIG = {
+  transport: process.env.MCP_TRANSPORT || 'stdio', // stdio or http
+  http: {
+    host: process.env.MCP_HTTP_HOST || '127.0.0.1',
+    port: parseInt(process.env.MCP_HTTP_PORT || '3000', 10),
+    authToken: process.env.MCP_AUTH_TOKEN || '', // Bearer token required by HTTP clients
+    maxBodyBytes: 4 * 1024 * 1024, // 4 MB
+    sessionIdleTimeoutMs: parseInt(process.env.MCP_SESSION_IDLE_TIMEOUT_MS || String(30 * 60 * 1000), 10), // Close sessions idle for 30 minutes
+  },
+};
+
+// Dry Run Configuration
+export const DRY_RUN_CONFIG = {
+  enabled: process.env.KLAVIYO_DRY_RUN === 'true', // Simulate every write instead of sending it
+};
+
+// Confirmation Configuration for destructive operations
+export const CONFIRMATION_CONFIG = {
+  enabled: process.env.KLAVIYO_REQUIRE_CONFIRMATION !== 'false', // Two-phase confirm for destructive tools
+  ttlSeconds: 300, // How long a confirmation token stays valid
+};
+
+// Audit Log Configuration
+export const AUDIT_CONFIG = {
+  enabled: process.env.KLAVIYO_AUDIT_LOG !== 'false',
+  file: process.env.AUDIT_LOG_FILE || path.join(os.homedir(), '.klaviyo-mcp', 'audit.jsonl'), // JSON Lines, append-only
+  maxResults: 100, // Maximum entries returned by get_audit_log
+};
+
+// Report Export Configuration
+export const EXPORT_CONFIG = {
+  dir: process.env.KLAVIYO_EXPORT_DIR || '', // Directory CSV exports are written to (empty disables exports)
+};
+
+// Bulk Profile Import Configuration (Klaviyo accepts up to 10,000 profiles and 5 MB per job)
+export const BULK_IMPORT_CONFIG = {
+  maxProfilesPerJob: 10000,
+  maxJobBytes: 5 * 1024 * 1024,
+  maxRows: 200000, // Largest file or row list accepted by bulk_import_profiles
+  dir: process.env.KLAVIYO_IMPORT_DIR || '', // Directory import files are read from (empty disables file_path)
+};
+
+// Duplicate Profile Scan Configuration (profiles read per find_duplicate_profiles call)
+export const DUPLICATE_SCAN_CONFIG = {
+  defaultProfiles: 5000,
+  maxProfiles: 50000,
+};
+
+// Subscription and Suppression Configuration (profiles per Klaviyo bulk job)
+export const SUBSCRIPTION_CONFIG = {
+  maxProfilesPerJob: {
+    subscribe: 1000,
+    unsubscribe: 100,
+    suppress: 100,
+    unsuppress: 100,
+  },
+  maxProfilesPerCall: 10000,
+};
+
+// Tool Policy Configuration
+// Allow/deny lists are comma-separated tool names or module names (e.g. "profiles,get_flows")
+export const TOOL_POLICY_CONFIG = {
+  readOnly: process.env.KLAVIYO_READ_ONLY === 'true', // Skip every tool not registered with readOnly: true
+  allow: (process.env.KLAVIYO_TOOL_ALLOWLIST || '').split(',').map(entry => entry.trim()).filter(Boolean),
+  deny: (process.env.KLAVIYO_TOOL_DENYLIST || '').split(',').map(entry => entry.trim()).filter(Boolean),
+};
+
 // Valid Statistics for Campaign Values Reports
 export const VALID_CAMPAIGN_STATISTICS = [
+  'recipients',
   'delivered',
+  'delivery_rate',
+  'opens',
+  'opens_unique',
   'open_rate',
+  'clicks',
+  'clicks_unique',
   'click_rate',
+  'click_to_open_rate',
+  'bounced',
   'bounce_rate',
+  'unsubscribes',
+  'unsubscribe_uniques',
   'unsubscribe_rate',
+  'spam_complaints',
+  'spam_complaint_rate',
+  'conversions',
+  'conversion_uniques',
+  'conversion_value',
+  'conversion_rate',
   'revenue_per_recipient',
+  'average_order_value',
   // Removing statistics that are not supported
   // 'spam_rate',
 ];
 
+// Flow reports accept the same statistics as campaign reports
+export const VALID_FLOW_STATISTICS = [...VALID_CAMPAIGN_STATISTICS];
+
+// Intervals for Series Reports
+export const VALID_SERIES_INTERVALS = ['hourly', 'daily', 'weekly', 'monthly'];
+
 // Default Statistics Sets
 export const DEFAULT_STATISTICS = {
   basic: ['delivered'],
@@ -81,12 +227,52 @@ export const DEFAULT_STATISTICS = {
 export const VALID_MEASUREMENTS = [
   'count',
   'unique',
-  'sum',
-  'average',
-  'min',
-  'max',
+  'sum_value',
 ];
 
+// Metric Aggregate Query Contract
+export const METRIC_AGGREGATE_OPTIONS = {
+  intervals: ['hour', 'day', 'week', 'month'],
+  dimensions: [
+    '$attributed_channel',
+    '$attributed_flow',
+    '$attributed_message',
+    '$attributed_variation',
+    '$campaign_channel',
+    '$flow',
+    '$flow_channel',
+    '$message',
+    '$message_send_cohort',
+    '$usage_amount',
+    '$value_currency',
+    '$variation',
+    '$variation_send_cohort',
+    'Bounce Type',
+    'Campaign Name',
+    'Client Canonical',
+    'Client Name',
+    'Client Type',
+    'Email Domain',
+    'Failure Source',
+    'Failure Type',
+    'From Number',
+    'From Phone Region',
+    'Inbox Provider',
+    'List',
+    'Message Name',
+    'Message Type',
+    'Method',
+    'Subject',
+    'To Number',
+    'To Phone Region',
+    'URL',
+    'form_id',
+  ],
+  filterOperators: ['equals', 'not', 'contains', 'contains-any', 'greater-than', 'greater-or-equal', 'less-than', 'less-or-equal', 'any'],
+  maxPageSize: 500,
+  maxRangeDays: 366, // Klaviyo rejects date ranges longer than a year
+};
+
 // Timeframe Options
 export const TIMEFRAME_OPTIONS = {
   today: 'today',
@@ -97,12 +283,21 @@ export const TIMEFRAME_OPTIONS = {
   last_90_days: 'last_90_days',
   last_month: 'last_month',
   this_month: 'this_month',
+  last_quarter: 'last_quarter',
+  this_quarter: 'this_quarter',
   all_time: 'all_time',
 };
 
+// Filter on one ID with equals() or several with contains-any()
+const idFilter = (field, ids) => ids.length === 1
+  ? `equals(${field},\"${ids[0]}\")`
+  : `contains-any(${field},[${ids.map(id => `\"${id}\"`).join(',')}])`;
+
 // Filter Templates
 export const FILTER_TEMPLATES = {
   campaignId: (id) => `equals(campaign_id,\"${id}\")`,
+  campaignIds: (ids) => idFilter('campaign_id', ids),
+  flowIds: (ids) => idFilter('flow_id', ids),
   dateRange: (start, end) => [
     `greater-or-equal(datetime,${start})`,
     `less-than(datetime,${end})`,
@@ -112,12 +307,24 @@ export const FILTER_TEMPLATES = {
 // Export a default configuration object
 export default {
   api: API_CONFIG,
+  accounts: ACCOUNTS_CONFIG,
   rateLimit: RATE_LIMIT_CONFIG,
   cache: CACHE_CONFIG,
   log: LOG_CONFIG,
+  server: SERVER_CONFIG,
+  toolPolicy: TOOL_POLICY_CONFIG,
+  dryRun: DRY_RUN_CONFIG,
+  confirmation: CONFIRMATION_CONFIG,
+  audit: AUDIT_CONFIG,
+  export: EXPORT_CONFIG,
+  bulkImport: BULK_IMPORT_CONFIG,
+  subscriptions: SUBSCRIPTION_CONFIG,
   validCampaignStatistics: VALID_CAMPAIGN_STATISTICS,
+  validFlowStatistics: VALID_FLOW_STATISTICS,
+  validSeriesIntervals: VALID_SERIES_INTERVALS,
   defaultStatistics: DEFAULT_STATISTICS,
   validMeasurements: VALID_MEASUREMENTS,
+  metricAggregateOptions: METRIC_AGGREGATE_OPTIONS,
   timeframeOptions: TIMEFRAME_OPTIONS,
   filterTemplates: FILTER_TEMPLATES,
 };
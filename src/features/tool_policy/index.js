@@ -0,0 +1,125 @@
+/**
+ * Tool Policy Feature
+ *
+ * Decides which tools are registered based on TOOL_POLICY_CONFIG: read-only
+ * mode skips every tool that is not registered with `readOnly: true` in its
+ * options (the object after the callback), so a new tool counts as a write
+ * until marked otherwise. Allow/deny lists match tool names or module names
+ * (profiles, flows, data-privacy, ...). Blocked tools are not advertised to
+ * clients, and calling one returns an error explaining why.
+ */
+
+import { CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { TOOL_POLICY_CONFIG } from '../../config.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Check whether a tool writes to Klaviyo
+ * @param {Array} args - Arguments the tool is registered with (after its name)
+ * @returns {boolean} - True unless the tool's options mark it readOnly
+ */
+export function isMutatingTool(args) {
+  const options = args[args.length - 1];
+  return !(options && typeof options === 'object' && options.readOnly === true);
+}
+
+/**
+ * Get the reason a tool is blocked by the configured policy
+ * @param {string} name - Tool name
+ * @param {string} module - Module the tool belongs to (e.g. "profiles")
+ * @param {boolean} mutating - Whether the tool writes to Klaviyo
+ * @param {Object} [policy] - Policy to apply (defaults to TOOL_POLICY_CONFIG)
+ * @returns {string|null} - Reason the tool is blocked, or null if allowed
+ */
+export function getBlockReason(name, module, mutating, policy = TOOL_POLICY_CONFIG) {
+  if (policy.deny.includes(name) || policy.deny.includes(module)) {
+    return 'it is listed in KLAVIYO_TOOL_DENYLIST';
+  }
+
+  if (policy.allow.length > 0 && !policy.allow.includes(name) && !policy.allow.includes(module)) {
+    return 'it is not listed in KLAVIYO_TOOL_ALLOWLIST';
+  }
+
+  if (policy.readOnly && mutating) {
+    return 'the server is running in read-only mode';
+  }
+
+  return null;
+}
+
+/**
+ * Apply the tool policy to an MCP server
+ *
+ * Must be called before any tools are registered so that calls to blocked
+ * tools can be answered with a clear error instead of "tool not found".
+ * @param {McpServer} server - MCP server instance
+ * @param {Object} [policy] - Policy to apply (defaults to TOOL_POLICY_CONFIG)
+ * @returns {Object} - Policy handle with forModule() and getBlockedTools()
+ */
+export function applyToolPolicy(server, policy = TOOL_POLICY_CONFIG) {
+  const blockedTools = new Map();
+
+  // Wrap the tools/call handler when McpServer installs it
+  const lowLevelServer = server.server;
+  const originalSetRequestHandler = lowLevelServer.setRequestHandler.bind(lowLevelServer);
+
+  lowLevelServer.setRequestHandler = (schema, handler) => {
+    if (schema !== CallToolRequestSchema) {
+      return originalSetRequestHandler(schema, handler);
+    }
+
+    return originalSetRequestHandler(schema, async (request, extra) => {
+      const reason = blockedTools.get(request.params.name);
+      if (reason) {
+        logger.warn(`Blocked call to tool ${request.params.name}: ${reason}`);
+        return {
+          content: [{ type: "text", text: `Tool "${request.params.name}" is blocked by server policy because ${reason}.` }],
+          isError: true
+        };
+      }
+      return handler(request, extra);
+    });
+  };
+
+  return {
+    /**
+     * Get a view of the server whose tool() applies the policy for one module
+     * @param {string} module - Module name (e.g. "profiles")
+     * @returns {McpServer} - Server proxy to pass to a register*Tools function
+     */
+    forModule(module) {
+      return new Proxy(server, {
+        get(target, prop) {
+          if (prop === 'tool') {
+            return (name, ...rest) => {
+              const reason = getBlockReason(name, module, isMutatingTool(rest), policy);
+              if (reason) {
+                blockedTools.set(name, reason);
+                logger.debug(`Skipping tool ${name} (${module}): ${reason}`);
+                return undefined;
+              }
+              return target.tool(name, ...rest);
+            };
+          }
+
+          const value = target[prop];
+          return typeof value === 'function' ? value.bind(target) : value;
+        }
+      });
+    },
+
+    /**
+     * Get the tools skipped by the policy
+     * @returns {Object} - Map of tool name to reason
+     */
+    getBlockedTools() {
+      return Object.fromEntries(blockedTools);
+    }
+  };
+}
+
+export default {
+  applyToolPolicy,
+  getBlockReason,
+  isMutatingTool
+};
@@ -0,0 +1,299 @@
+/**
+ * HTTP transport for the Klaviyo MCP Server
+ *
+ * Serves MCP over Streamable HTTP (`/mcp`) with the older HTTP+SSE transport
+ * (`/sse` + `/messages`) as a fallback, so one server can be shared by several
+ * agents or run behind a gateway. Every session gets its own server instance
+ * from createServer(); all sessions share the Klaviyo client, cache and rate
+ * limit budget.
+ */
+
+import http from 'http';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { createServer } from './server.js';
+import { SERVER_CONFIG } from './config.js';
+import logger from './utils/logger.js';
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+// Active sessions keyed by session ID ({ transport, lastActivity })
+const streamableSessions = new Map();
+const sseSessions = new Map();
+
+/**
+ * Get a session and mark it as active
+ * @param {Map} sessions - Session map
+ * @param {string} [sessionId] - Session ID
+ * @returns {Object|undefined} - Session transport, if the session exists
+ */
+function useSession(sessions, sessionId) {
+  const session = sessionId ? sessions.get(sessionId) : undefined;
+  if (!session) return undefined;
+
+  session.lastActivity = Date.now();
+  return session.transport;
+}
+
+/**
+ * Close sessions that have not received a request within the idle timeout
+ *
+ * Clients that disappear without a DELETE (or without closing their SSE
+ * stream) would otherwise keep their server instance in memory forever.
+ * @param {number} idleTimeoutMs - Idle time after which a session is closed
+ * @param {number} [now] - Current time in milliseconds
+ */
+export function closeIdleSessions(idleTimeoutMs, now = Date.now()) {
+  for (const [label, sessions] of [['HTTP', streamableSessions], ['SSE', sseSessions]]) {
+    for (const [id, session] of sessions) {
+      if (now - session.lastActivity < idleTimeoutMs) continue;
+
+      sessions.delete(id);
+      logger.info(`${label} session ${id} idle for ${Math.round((now - session.lastActivity) / 1000)}s, closing it`);
+      session.transport.close().catch((error) => {
+        logger.warn(`Failed to close idle ${label} session ${id}: ${error.message}`);
+      });
+    }
+  }
+}
+
+/**
+ * Send a JSON response
+ * @param {ServerResponse} res - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Send a JSON-RPC error response
+ * @param {ServerResponse} res - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ */
+function sendJsonRpcError(res, status, code, message) {
+  sendJson(res, status, {
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  });
+}
+
+/**
+ * Check the request's bearer token against the configured token
+ * @param {IncomingMessage} req - HTTP request
+ * @param {string} authToken - Expected token (empty disables auth)
+ * @returns {boolean} - True if the request is authorized
+ */
+function isAuthorized(req, authToken) {
+  if (!authToken) return true;
+
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+
+  const provided = Buffer.from(match[1].trim());
+  const expected = Buffer.from(authToken);
+
+  return provided.length === expected.length && timingSafeEqual(provided, expected);
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {IncomingMessage} req - HTTP request
+ * @param {number} maxBytes - Maximum body size
+ * @returns {Promise<Object>} - Parsed body
+ */
+function readJsonBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(new Error(`Request body exceeds ${maxBytes} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      try {
+        const text = Buffer.concat(chunks).toString('utf8');
+        resolve(text ? JSON.parse(text) : undefined);
+      } catch (error) {
+        reject(new Error(`Invalid JSON body: ${error.message}`));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Handle a Streamable HTTP request on the MCP endpoint
+ * @param {IncomingMessage} req - HTTP request
+ * @param {ServerResponse} res - HTTP response
+ * @param {Object} [body] - Parsed body for POST requests
+ */
+async function handleStreamableRequest(req, res, body) {
+  const sessionId = req.headers['mcp-session-id'];
+  let transport = useSession(streamableSessions, sessionId);
+
+  if (!transport) {
+    if (sessionId) {
+      sendJsonRpcError(res, 404, -32001, 'Session not found');
+      return;
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+      return;
+    }
+
+    // New session: give it its own server instance
+    transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        streamableSessions.set(id, { transport, lastActivity: Date.now() });
+        logger.info(`HTTP session started: ${id}`);
+      }
+    });
+
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        streamableSessions.delete(transport.sessionId);
+        logger.info(`HTTP session closed: ${transport.sessionId}`);
+      }
+    };
+
+    await createServer().connect(transport);
+  }
+
+  await transport.handleRequest(req, res, body);
+}
+
+/**
+ * Open an SSE stream for clients that only support the HTTP+SSE transport
+ * @param {ServerResponse} res - HTTP response
+ */
+async function handleSseConnect(res) {
+  const transport = new SSEServerTransport('/messages', res);
+  sseSessions.set(transport.sessionId, { transport, lastActivity: Date.now() });
+  logger.info(`SSE session started: ${transport.sessionId}`);
+
+  res.on('close', () => {
+    sseSessions.delete(transport.sessionId);
+    logger.info(`SSE session closed: ${transport.sessionId}`);
+  });
+
+  await createServer().connect(transport);
+}
+
+/**
+ * Route a message posted by an SSE client to its session
+ * @param {IncomingMessage} req - HTTP request
+ * @param {ServerResponse} res - HTTP response
+ * @param {URL} url - Parsed request URL
+ * @param {Object} body - Parsed body
+ */
+async function handleSseMessage(req, res, url, body) {
+  const transport = useSession(sseSessions, url.searchParams.get('sessionId'));
+
+  if (!transport) {
+    sendJsonRpcError(res, 404, -32001, 'Session not found');
+    return;
+  }
+
+  await transport.handlePostMessage(req, res, body);
+}
+
+/**
+ * Start the HTTP transport
+ * @param {Object} [options] - Overrides for SERVER_CONFIG.http
+ * @param {string} [options.host] - Interface to listen on
+ * @param {number} [options.port] - Port to listen on
+ * @param {string} [options.authToken] - Bearer token required on MCP endpoints
+ * @param {number} [options.sessionIdleTimeoutMs] - Idle time after which a session is closed
+ * @returns {Promise<http.Server>} - Listening HTTP server
+ */
+export async function startHttpServer(options = {}) {
+  const { host, port, authToken, maxBodyBytes, sessionIdleTimeoutMs } = { ...SERVER_CONFIG.http, ...options };
+
+  if (!authToken) {
+    if (!LOOPBACK_HOSTS.includes(host)) {
+      throw new Error(`MCP_AUTH_TOKEN is required when serving HTTP on a non-loopback host (${host}).`);
+    }
+    logger.warn('MCP_AUTH_TOKEN is not set. HTTP transport is running without authentication on a loopback host.');
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    try {
+      // Health check is unauthenticated so load balancers can probe it
+      if (url.pathname === '/health' && req.method === 'GET') {
+        sendJson(res, 200, {
+          status: 'ok',
+          sessions: {
+            streamable_http: streamableSessions.size,
+            sse: sseSessions.size
+          }
+        });
+        return;
+      }
+
+      if (!isAuthorized(req, authToken)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        sendJsonRpcError(res, 401, -32001, 'Unauthorized');
+        return;
+      }
+
+      const body = req.method === 'POST' ? await readJsonBody(req, maxBodyBytes) : undefined;
+
+      if (url.pathname === '/mcp' && ['GET', 'POST', 'DELETE'].includes(req.method)) {
+        await handleStreamableRequest(req, res, body);
+      } else if (url.pathname === '/sse' && req.method === 'GET') {
+        await handleSseConnect(res);
+      } else if (url.pathname === '/messages' && req.method === 'POST') {
+        await handleSseMessage(req, res, url, body);
+      } else {
+        sendJson(res, 404, { error: 'Not found' });
+      }
+    } catch (error) {
+      logger.error(`HTTP transport error for ${req.method} ${url.pathname}: ${error.message}`);
+
+      if (!res.headersSent) {
+        const status = error.message.startsWith('Invalid JSON') || error.message.startsWith('Request body') ? 400 : 500;
+        sendJsonRpcError(res, status, status === 400 ? -32700 : -32603, error.message);
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  // Check for idle sessions a few times per timeout period
+  const sweep = setInterval(() => closeIdleSessions(sessionIdleTimeoutMs), Math.max(Math.floor(sessionIdleTimeoutMs / 4), 1000));
+  sweep.unref();
+  httpServer.on('close', () => clearInterval(sweep));
+
+  logger.info(`Klaviyo MCP server listening on http://${host}:${port} (Streamable HTTP: /mcp, SSE: /sse, health: /health)`);
+
+  return httpServer;
+}
+
+export default {
+  startHttpServer,
+  closeIdleSessions
+};
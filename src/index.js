@@ -6,7 +6,9 @@ dotenv.config({ path: './.env' });
 
 // Import our enhanced transport instead of the original
 import { StdioServerTransport, isErrorSuppressionActive } from './pre-init-error-suppressor.js';
-import { server } from './server.js';
+import { getServer } from './server.js';
+import { startHttpServer } from './http-transport.js';
+import { SERVER_CONFIG } from './config.js';
 import logger from './utils/logger.js';
 import { clearExpiredCache, getCacheStats } from './utils/cache.js';
 // Import our enhanced error handling
@@ -21,15 +23,46 @@ setInterval(() => {
   logger.debug('Cache statistics', stats);
 }, 300000); // Log cache stats every 5 minutes
 
-// Start receiving messages on stdin and sending messages on stdout
-try {
-  const transport = new StdioServerTransport();
-  
-  // Use our enhanced error handling for runtime
-  initErrorHandling(server, transport);
-  
-  await server.connect(transport);
-  logger.info('Klaviyo MCP server connected and ready');
-} catch (error) {
-  logger.error('Failed to start MCP server:', error);
+/**
+ * Read a `--name value` or `--name=value` command line flag
+ * @param {string} name - Flag name without dashes
+ * @returns {string|undefined} - Flag value if present
+ */
+function getCliFlag(name) {
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === `--${name}`) return args[i + 1];
+    if (args[i].startsWith(`--${name}=`)) return args[i].slice(name.length + 3);
+  }
+  return undefined;
+}
+
+const transportMode = getCliFlag('transport') || SERVER_CONFIG.transport;
+
+if (transportMode === 'http') {
+  // Serve over Streamable HTTP / SSE for shared or gateway deployments
+  try {
+    const port = getCliFlag('port');
+    await startHttpServer({
+      host: getCliFlag('host') || SERVER_CONFIG.http.host,
+      port: port ? parseInt(port, 10) : SERVER_CONFIG.http.port
+    });
+  } catch (error) {
+    logger.error('Failed to start MCP HTTP server:', error);
+    process.exit(1);
+  }
+} else {
+  // Start receiving messages on stdin and sending messages on stdout
+  try {
+    const server = getServer();
+    const transport = new StdioServerTransport();
+    
+    // Use our enhanced error handling for runtime
+    initErrorHandling(server, transport);
+    
+    await server.connect(transport);
+    logger.info('Klaviyo MCP server connected and ready');
+  } catch (error) {
+    logger.error('Failed to start MCP server:', error);
+  }
 }
@@ -1,24 +1,35 @@
 import axios from 'axios';
-import { API_CONFIG, RATE_LIMIT_CONFIG } from './config.js';
+import { API_CONFIG, RATE_LIMIT_CONFIG, DRY_RUN_CONFIG } from './config.js';
 import logger from './utils/logger.js';
-import { getCache, setCache, hasCache } from './utils/cache.js';
+import { getCache, setCache, hasCache, buildCacheKey, invalidateCache } from './utils/cache.js';
+import { acquire, updateFromHeaders, getRetryAfterMs } from './utils/rate-limiter.js';
+import { recordWrite } from './utils/audit-log.js';
+import { resolveAccount, maskApiKey } from './accounts.js';
 
-// Create a client with the API key
-const apiKey = process.env.KLAVIYO_API_KEY;
-if (!apiKey) {
-  logger.error('KLAVIYO_API_KEY environment variable is not set. API calls will fail.');
-  throw new Error('KLAVIYO_API_KEY environment variable is required. Please set it before starting the server.');
-}
+// One axios client per Klaviyo account, created on first use
+const clients = new Map();
+
+/**
+ * Get the axios client for the account of the current tool call
+ * @returns {Object} - Axios instance authenticated with the account's API key
+ */
+function getClient() {
+  const account = resolveAccount();
 
-const client = axios.create({
-  baseURL: API_CONFIG.baseURL,
-  headers: {
-    'Authorization': `Klaviyo-API-Key ${apiKey}`,
-    'Content-Type': 'application/json',
-    'Accept': 'application/json',
-    'Revision': API_CONFIG.revision
+  if (!clients.has(account.name)) {
+    clients.set(account.name, axios.create({
+      baseURL: API_CONFIG.baseURL,
+      headers: {
+        'Authorization': `Klaviyo-API-Key ${account.apiKey}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'Revision': API_CONFIG.revision
+      }
+    }));
   }
-});
+
+  return clients.get(account.name);
+}
 
 /**
  * Sleep for a specified number of milliseconds
@@ -73,11 +84,17 @@ function isRateLimitError(error) {
 async function executeWithRetry(requestFn, method, endpoint, requestData, fallbackFn) {
   let retries = 0;
 
+  // Cache, rate limit budget and audit entries are kept per account
+  const account = resolveAccount().name;
+
   // For debugging only - don't use directly in API calls
   const debugData = requestData;
 
-  // Check cache first if it's a GET request
-  const cacheKey = method === 'GET' ? `${endpoint}` : null;
+  // Reporting queries are sent as POSTs but do not change anything
+  const isWrite = method !== 'GET' && !API_CONFIG.queryEndpoints.includes(endpoint);
+
+  // Check cache first if it's a GET request, keyed on the full request
+  const cacheKey = method === 'GET' ? buildCacheKey(endpoint, requestData, account) : null;
   if (method === 'GET' && hasCache(cacheKey)) {
     logger.debug(`Cache hit for ${method} ${endpoint}`);
     return getCache(cacheKey);
@@ -85,36 +102,63 @@ async function executeWithRetry(requestFn, method, endpoint, requestData, fallba
 
   while (true) {
     try {
+      // Wait for rate limit budget rather than sending a request that will be rejected;
+      // running out of wait time fails like any other request (audit, fallback, error message)
+      await acquire(method, endpoint, account);
+
       logger.request(method, endpoint, debugData);
 
       const response = await requestFn();
 
       logger.response(method, endpoint, response.status, response.data);
+      updateFromHeaders(method, endpoint, response.headers, account);
 
       // Cache the response if it's a GET request
       if (method === 'GET' && cacheKey) {
-        setCache(cacheKey, response.data);
+        setCache(cacheKey, response.data, account);
+      }
+
+      // Writes make cached reads of the affected resources stale
+      if (method !== 'GET') {
+        invalidateCache(endpoint, requestData, account);
+      }
+
+      if (isWrite) {
+        recordWrite({ account, method, endpoint, requestData, response });
       }
 
       return response.data;
     } catch (error) {
+      if (error.response) {
+        updateFromHeaders(method, endpoint, error.response.headers, account);
+      }
+
       if (isRateLimitError(error) && retries < RATE_LIMIT_CONFIG.maxRetries) {
         retries++;
-        const delay = calculateBackoffDelay(retries);
+
+        // Honor Retry-After when Klaviyo sends it; acquire() waits out the pause
+        const retryAfterMs = getRetryAfterMs(error.response.headers);
+        const delay = retryAfterMs !== null ? retryAfterMs : calculateBackoffDelay(retries);
 
         logger.warn(`Rate limit exceeded for ${method} ${endpoint}. Retrying in ${Math.round(delay / 1000)}s (attempt ${retries}/${RATE_LIMIT_CONFIG.maxRetries})`);
 
-        await sleep(delay);
+        if (retryAfterMs === null) {
+          await sleep(delay);
+        }
         continue;
       }
 
       logger.apiError(method, endpoint, error);
+
+      if (isWrite) {
+        recordWrite({ account, method, endpoint, requestData, response: error.response, error });
+      }
       
       // Try fallback if provided
       if (fallbackFn) {
         try {
           logger.info(`Attempting fallback for ${method} ${endpoint}`);
-          const fallbackResponse = await fallbackFn(error);
+          const fallbackResponse = await fallbackFn(toApiError(error));
           logger.info(`Fallback successful for ${method} ${endpoint}`);
           return fallbackResponse;
         } catch (fallbackError) {
@@ -126,7 +170,7 @@ async function executeWithRetry(requestFn, method, endpoint, requestData, fallba
         }
       }
       
-      handleError(error);
+      throw toApiError(error);
     }
   }
 }
@@ -153,6 +197,11 @@ export async function get(endpoint, params = {}, fallbackFn) {
     queryParams.push(`include=${encodeURIComponent(params.include)}`);
   }
   
+  // Handle sort parameter if provided (e.g. -datetime for newest first)
+  if (params.sort) {
+    queryParams.push(`sort=${encodeURIComponent(params.sort)}`);
+  }
+  
   // Handle page_size parameter if provided
   if (params.page_size) {
     queryParams.push(`page[size]=${params.page_size}`);
@@ -171,7 +220,7 @@ export async function get(endpoint, params = {}, fallbackFn) {
   logger.debug(`Prepared GET request to: ${url}`);
   
   return executeWithRetry(
-    () => client.get(url),
+    () => getClient().get(url),
     'GET',
     endpoint,
     params,
@@ -179,9 +228,216 @@ export async function get(endpoint, params = {}, fallbackFn) {
   );
 }
 
-export async function post(endpoint, data, fallbackFn) {
+/**
+ * Extract the raw page cursor from a JSON:API `links.next` URL
+ * @param {Object} response - Response body containing JSON:API links
+ * @returns {string|null} - Cursor (still URL-encoded) or null if there is no next page
+ */
+export function getNextCursor(response) {
+  const next = response?.links?.next;
+  if (!next) return null;
+
+  // Keep the cursor encoded as-is; get() appends it to the query string verbatim
+  const match = next.match(/[?&]page(?:%5B|\[)cursor(?:%5D|\])=([^&]*)/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Iterate over every page of a list endpoint by following `links.next`
+ * @param {string} endpoint - API endpoint
+ * @param {Object} [params] - Query parameters (filter, include, sort, page_size, page_cursor)
+ * @param {Function} [fallbackFn] - Optional fallback function passed to each page request
+ * @yields {Object} - Each page of the response
+ */
+export async function* paginate(endpoint, params = {}, fallbackFn) {
+  let cursor = params.page_cursor;
+
+  do {
+    const page = await get(endpoint, { ...params, page_cursor: cursor }, fallbackFn);
+    yield page;
+    cursor = getNextCursor(page);
+  } while (cursor);
+}
+
+// Separates a Klaviyo cursor from the number of items already returned from its page
+const CURSOR_OFFSET_SEPARATOR = '~';
+
+/**
+ * Split a cursor returned by getAll() into the Klaviyo cursor and a page offset
+ * @param {string} [cursor] - Cursor, optionally ending in ~<offset>
+ * @returns {Object} - { cursor, offset } where offset is the number of items to skip on that page
+ */
+export function splitCursor(cursor) {
+  const match = typeof cursor === 'string' && cursor.match(/^(.*)~(\d+)$/);
+  if (!match) return { cursor: cursor || null, offset: 0 };
+  return { cursor: match[1] || null, offset: Number(match[2]) };
+}
+
+/**
+ * Build a cursor that resumes part way through a page
+ * @param {string|null} cursor - Klaviyo cursor of the page (null for the first page)
+ * @param {number} offset - Items of that page already returned
+ * @returns {string} - Cursor accepted by getAll()
+ */
+function joinCursor(cursor, offset) {
+  return `${cursor || ''}${CURSOR_OFFSET_SEPARATOR}${offset}`;
+}
+
+/**
+ * Get the largest page[size] a list endpoint accepts
+ * @param {string} endpoint - API endpoint (e.g. /profiles/ or /lists/{id}/profiles/)
+ * @returns {number|null} - Largest page size, or null if the endpoint has no page[size]
+ */
+function getPageSizeLimit(endpoint) {
+  const resource = endpoint.split('?')[0].split('/').filter(Boolean).pop();
+  return API_CONFIG.pageSizeLimits[resource] || null;
+}
+
+/**
+ * Fetch and merge multiple pages of a list endpoint
+ *
+ * Exactly maxItems items are returned when that many exist. Endpoints that
+ * accept page[size] are asked for no more than still fits; on other endpoints
+ * the last page is cut and next_cursor re-reads that page from where it was
+ * cut (see splitCursor()).
+ * @param {string} endpoint - API endpoint
+ * @param {Object} [params] - Query parameters (filter, include, sort, page_size, page_cursor)
+ * @param {Object} [options] - Pagination limits
+ * @param {number} [options.maxItems] - Maximum number of items to return
+ * @param {number} [options.maxPages] - Maximum number of pages to fetch
+ * @param {Function} [fallbackFn] - Optional fallback function passed to each page request
+ * @returns {Promise<Object>} - Merged response with pagination details in meta.pagination
+ */
+export async function getAll(endpoint, params = {}, options = {}, fallbackFn) {
+  const maxItems = Math.min(options.maxItems || API_CONFIG.maxPaginatedItems, API_CONFIG.maxPaginatedItems);
+  const maxPages = options.maxPages || API_CONFIG.maxPaginatedPages;
+  const pageSizeLimit = getPageSizeLimit(endpoint);
+
+  const data = [];
+  const included = [];
+  const includedKeys = new Set();
+  let pagesFetched = 0;
+  let { cursor, offset } = splitCursor(params.page_cursor);
+  let nextCursor = null;
+
+  while (true) {
+    const remaining = maxItems - data.length;
+    const query = { ...params, page_cursor: cursor };
+
+    if (pageSizeLimit) {
+      // Skipped items are part of the page, so ask for them on top of what fits
+      const pageSize = Math.min(params.page_size || pageSizeLimit, pageSizeLimit);
+      query.page_size = Math.min(pageSize, remaining + offset);
+    }
+
+    const page = await get(endpoint, query, fallbackFn);
+    pagesFetched++;
+    const items = (Array.isArray(page.data) ? page.data : (page.data ? [page.data] : [])).slice(offset);
+    const pageNextCursor = getNextCursor(page);
+
+    // Related resources are often repeated across pages, keep one copy of each
+    for (const resource of page.included || []) {
+      const key = `${resource.type}:${resource.id}`;
+      if (!includedKeys.has(key)) {
+        includedKeys.add(key);
+        included.push(resource);
+      }
+    }
+
+    if (items.length > remaining) {
+      // Resume on this same page, after the items returned from it
+      data.push(...items.slice(0, remaining));
+      nextCursor = joinCursor(cursor, offset + remaining);
+      break;
+    }
+
+    data.push(...items);
+    nextCursor = pageNextCursor;
+
+    if (!nextCursor || data.length >= maxItems || pagesFetched >= maxPages) {
+      break;
+    }
+
+    cursor = nextCursor;
+    offset = 0;
+  }
+
+  const truncated = nextCursor !== null;
+
+  logger.debug(`Fetched ${pagesFetched} page(s) from ${endpoint}`, {
+    items: data.length,
+    truncated
+  });
+
+  const result = {
+    data,
+    meta: {
+      pagination: {
+        pages_fetched: pagesFetched,
+        items_returned: data.length,
+        truncated,
+        next_cursor: nextCursor
+      }
+    }
+  };
+
+  if (included.length > 0) {
+    result.included = included;
+  }
+
+  return result;
+}
+
+/**
+ * Check whether a write request should be simulated
+ * @param {string} endpoint - API endpoint
+ * @param {Object} [options] - Request options
+ * @param {boolean} [options.dryRun] - Simulate this request
+ * @returns {boolean} - True if the request should not be sent
+ */
+function isDryRun(endpoint, options = {}) {
+  // A per-call dry run can be requested, but never opted out of when enabled globally
+  if (options.dryRun === true) return true;
+  return DRY_RUN_CONFIG.enabled && !API_CONFIG.queryEndpoints.includes(endpoint);
+}
+
+/**
+ * Describe a write request instead of sending it
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API endpoint
+ * @param {Object} [data] - Request body
+ * @returns {Object} - Simulated response with the exact request that would be sent
+ */
+function simulateRequest(method, endpoint, data) {
+  const account = resolveAccount();
+
+  logger.info(`Dry run: ${method} ${endpoint} was not sent to Klaviyo`);
+
+  return {
+    simulated: true,
+    message: 'DRY RUN - this request was NOT sent to Klaviyo and nothing was changed.',
+    account: account.name,
+    request: {
+      method,
+      url: `${API_CONFIG.baseURL}${endpoint}`,
+      headers: {
+        'Authorization': `Klaviyo-API-Key ${maskApiKey(account.apiKey)}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'Revision': API_CONFIG.revision
+      },
+      body: data === undefined ? null : data
+    }
+  };
+}
+
+export async function post(endpoint, data, fallbackFn, options = {}) {
+  if (isDryRun(endpoint, options)) {
+    return simulateRequest('POST', endpoint, data);
+  }
+
   return executeWithRetry(
-    () => client.post(endpoint, data),
+    () => getClient().post(endpoint, data),
     'POST',
     endpoint,
     data,
@@ -189,9 +445,13 @@ export async function post(endpoint, data, fallbackFn) {
   );
 }
 
-export async function patch(endpoint, data, fallbackFn) {
+export async function patch(endpoint, data, fallbackFn, options = {}) {
+  if (isDryRun(endpoint, options)) {
+    return simulateRequest('PATCH', endpoint, data);
+  }
+
   return executeWithRetry(
-    () => client.patch(endpoint, data),
+    () => getClient().patch(endpoint, data),
     'PATCH',
     endpoint,
     data,
@@ -199,11 +459,15 @@ export async function patch(endpoint, data, fallbackFn) {
   );
 }
 
-export async function del(endpoint, data, fallbackFn) {
+export async function del(endpoint, data, fallbackFn, options = {}) {
+  if (isDryRun(endpoint, options)) {
+    return simulateRequest('DELETE', endpoint, data);
+  }
+
   return executeWithRetry(
     () => {
       const config = data ? { data } : undefined;
-      return client.delete(endpoint, config);
+      return getClient().delete(endpoint, config);
     },
     'DELETE',
     endpoint,
@@ -218,7 +482,12 @@ export async function del(endpoint, data, fallbackFn) {
   });
 }
 
-function handleError(error) {
+/**
+ * Convert a failed request into an Error with a readable message
+ * @param {Error} error - Axios or rate limiter error
+ * @returns {Error} - Error to surface (API errors keep their HTTP status as `status`)
+ */
+function toApiError(error) {
   if (error.response) {
     // The request was made and the server responded with a status code
     // that falls out of the range of 2xx
@@ -240,14 +509,19 @@ function handleError(error) {
       errorMessage = errorData.message;
     }
 
-    // Include endpoint and status in error message
+    // Include endpoint and status in error message, and keep the status for callers to branch on
     const statusText = error.response.statusText ? ` ${error.response.statusText}` : '';
-    throw new Error(`Klaviyo API Error (${error.response.status}${statusText}): ${errorMessage}`);
+    const apiError = new Error(`Klaviyo API Error (${error.response.status}${statusText}): ${errorMessage}`);
+    apiError.status = error.response.status;
+    return apiError;
+  } else if (error.code === 'RATE_LIMIT_QUEUE_TIMEOUT') {
+    // The request was never sent because the rate limit budget did not free up in time
+    return new Error(`Klaviyo API rate limit: ${error.message} The request was not sent.`);
   } else if (error.request) {
     // The request was made but no response was received
-    throw new Error('No response received from Klaviyo API. This could indicate network issues or an invalid endpoint.');
+    return new Error('No response received from Klaviyo API. This could indicate network issues or an invalid endpoint.');
   } else {
     // Something happened in setting up the request that triggered an Error
-    throw new Error(`Error setting up request: ${error.message}`);
+    return new Error(`Error setting up request: ${error.message}`);
   }
 }
@@ -17,34 +17,81 @@ import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
     import { registerFormTools } from './tools/forms.js';
     import { registerReviewTools } from './tools/reviews.js';
     import { registerImageTools } from './tools/images.js';
+    import { registerDiagnosticTools } from './tools/diagnostics.js';
+    import { registerAuditTools } from './tools/audit.js';
+    import { registerAccountTools } from './tools/accounts.js';
+    import { registerChartTools } from './tools/charts.js';
+    import { registerSubscriptionTools } from './tools/subscriptions.js';
+    import { applyToolPolicy } from './features/tool_policy/index.js';
+    import { instrumentTools } from './utils/tool-context.js';
+    import logger from './utils/logger.js';
 
-    // Create an MCP server for Klaviyo
-    const server = new McpServer({
-      name: "Klaviyo API",
-      version: "1.0.0",
-      description: "MCP server for interacting with the Klaviyo API"
-    });
-
-    // Register all resources
-    registerResources(server);
-
-    // Register all tools
-    registerProfileTools(server);
-    registerListTools(server);
-    registerSegmentTools(server);
-    registerEventTools(server);
-    registerMetricTools(server);
-    registerCampaignTools(server);
-    registerReportingTools(server);
-    registerFlowTools(server);
-    registerTemplateTools(server);
-    registerCatalogTools(server);
-    registerTagTools(server);
-    registerWebhookTools(server);
-    registerDataPrivacyTools(server);
-    registerCouponTools(server);
-    registerFormTools(server);
-    registerReviewTools(server);
-    registerImageTools(server);
-
-    export { server };
+    /**
+     * Create an MCP server for Klaviyo with all resources and tools registered
+     *
+     * Each connected transport needs its own server instance, so the HTTP
+     * transport calls this once per session while stdio uses getServer() below.
+     * @returns {McpServer} - Configured MCP server
+     */
+    export function createServer() {
+      const server = new McpServer({
+        name: "Klaviyo API",
+        version: "1.0.0",
+        description: "MCP server for interacting with the Klaviyo API"
+      });
+
+      // Register all resources
+      registerResources(server);
+
+      // Tag every tool call with its name so writes can be audited
+      instrumentTools(server);
+
+      // Register all tools allowed by the read-only / allow / deny policy
+      const policy = applyToolPolicy(server);
+      registerProfileTools(policy.forModule('profiles'));
+      registerListTools(policy.forModule('lists'));
+      registerSegmentTools(policy.forModule('segments'));
+      registerEventTools(policy.forModule('events'));
+      registerMetricTools(policy.forModule('metrics'));
+      registerCampaignTools(policy.forModule('campaigns'));
+      registerReportingTools(policy.forModule('reporting'));
+      registerFlowTools(policy.forModule('flows'));
+      registerTemplateTools(policy.forModule('templates'));
+      registerCatalogTools(policy.forModule('catalogs'));
+      registerTagTools(policy.forModule('tags'));
+      registerWebhookTools(policy.forModule('webhooks'));
+      registerDataPrivacyTools(policy.forModule('data-privacy'));
+      registerCouponTools(policy.forModule('coupons'));
+      registerFormTools(policy.forModule('forms'));
+      registerReviewTools(policy.forModule('reviews'));
+      registerImageTools(policy.forModule('images'));
+      registerDiagnosticTools(policy.forModule('diagnostics'));
+      registerAuditTools(policy.forModule('audit'));
+      registerAccountTools(policy.forModule('accounts'));
+      registerChartTools(policy.forModule('charts'));
+      registerSubscriptionTools(policy.forModule('subscriptions'));
+
+      const blockedTools = Object.keys(policy.getBlockedTools());
+      if (blockedTools.length > 0) {
+        logger.debug(`Tool policy skipped ${blockedTools.length} tools: ${blockedTools.join(', ')}`);
+      }
+
+      return server;
+    }
+
+    // Server instance used by the stdio transport, created on first use
+    let stdioServer = null;
+
+    /**
+     * Get the server instance used by the stdio transport
+     *
+     * Created lazily so HTTP mode, which builds one server per session, does
+     * not also register every tool for an unused stdio server.
+     * @returns {McpServer} - Configured MCP server
+     */
+    export function getServer() {
+      if (!stdioServer) {
+        stdioServer = createServer();
+      }
+      return stdioServer;
+    }
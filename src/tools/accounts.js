@@ -0,0 +1,22 @@
+import { listAccounts } from '../accounts.js';
+
+    export function registerAccountTools(server) {
+      // List configured Klaviyo accounts
+      server.tool(
+        "list_accounts",
+        {},
+        async () => {
+          try {
+            return {
+              content: [{ type: "text", text: JSON.stringify({ accounts: listAccounts() }, null, 2) }]
+            };
+          } catch (error) {
+            return {
+              content: [{ type: "text", text: `Error listing accounts: ${error.message}` }],
+              isError: true
+            };
+          }
+        },
+        { description: "List the Klaviyo accounts this server can use. Pass an account name as the `account` argument of any tool to target it", readOnly: true }
+      );
+    }
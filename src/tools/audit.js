@@ -0,0 +1,41 @@
+import { z } from 'zod';
+    import { queryAuditLog } from '../utils/audit-log.js';
+    import { AUDIT_CONFIG } from '../config.js';
+    import { getToolContext } from '../utils/tool-context.js';
+
+    export function registerAuditTools(server) {
+      // Get audit log
+      server.tool(
+        "get_audit_log",
+        {
+          tool: z.string().optional().describe("Only show writes made by this tool (e.g. 'update_flow_status')"),
+          resource_id: z.string().optional().describe("Only show writes targeting this resource ID"),
+          since: z.string().optional().describe("Only show writes at or after this time (ISO format)"),
+          until: z.string().optional().describe("Only show writes at or before this time (ISO format)"),
+          limit: z.number().min(1).max(AUDIT_CONFIG.maxResults).optional().describe(`Maximum number of entries to return (1-${AUDIT_CONFIG.maxResults})`)
+        },
+        async (params) => {
+          try {
+            // The shared `account` argument narrows the log to that account's writes
+            const entries = queryAuditLog({
+              account: getToolContext()?.account,
+              tool: params.tool,
+              resourceId: params.resource_id,
+              since: params.since,
+              until: params.until,
+              limit: params.limit
+            });
+
+            return {
+              content: [{ type: "text", text: JSON.stringify({ count: entries.length, entries }, null, 2) }]
+            };
+          } catch (error) {
+            return {
+              content: [{ type: "text", text: `Error reading audit log: ${error.message}` }],
+              isError: true
+            };
+          }
+        },
+        { description: "Get recent writes made through this server, most recent first", readOnly: true }
+      );
+    }
@@ -1,21 +1,146 @@
 import { z } from 'zod';
     import * as klaviyoClient from '../klaviyo-client.js';
+    import { paginationParams, getList } from '../utils/pagination.js';
+    import { dryRunParams, isSimulated } from '../utils/dry-run.js';
+    import { confirmationParams, requireConfirmation } from '../utils/confirmation.js';
+
+    // Parameters shared by create_campaign and update_campaign
+    const audiencesSchema = z.object({
+      included: z.array(z.string()).min(1).describe("IDs of lists or segments to send to"),
+      excluded: z.array(z.string()).optional().describe("IDs of lists or segments to exclude")
+    });
+
+    const sendStrategySchema = z.object({
+      method: z.enum(["immediate", "static", "throttled", "smart_send_time"]).describe("How the campaign is sent"),
+      datetime: z.string().optional().describe("Send time in ISO format (required for 'static' and 'throttled')"),
+      is_local: z.boolean().optional().describe("Send at this time in each recipient's local timezone ('static' only)"),
+      send_past_recipients_immediately: z.boolean().optional().describe("Send immediately to recipients whose local time has already passed ('static' with is_local only)"),
+      throttle_percentage: z.number().optional().describe("Percentage of recipients to send to per hour ('throttled' only)"),
+      date: z.string().optional().describe("Send date in YYYY-MM-DD format (required for 'smart_send_time')")
+    });
+
+    const trackingOptionsSchema = z.object({
+      is_tracking_opens: z.boolean().optional().describe("Track email opens"),
+      is_tracking_clicks: z.boolean().optional().describe("Track link clicks"),
+      is_add_utm: z.boolean().optional().describe("Add UTM parameters to links"),
+      utm_params: z.array(z.object({
+        name: z.string(),
+        value: z.string()
+      })).optional().describe("UTM parameters to add to links")
+    });
+
+    /**
+     * Convert a send strategy argument to Klaviyo's send_strategy attribute
+     * @param {Object} strategy - Send strategy argument
+     * @returns {Object} - send_strategy attribute
+     */
+    function buildSendStrategy(strategy) {
+      const { method, datetime, is_local, send_past_recipients_immediately, throttle_percentage, date } = strategy;
+
+      if ((method === 'static' || method === 'throttled') && !datetime) {
+        throw new Error(`send_strategy.datetime is required for the '${method}' method`);
+      }
+      if (method === 'smart_send_time' && !date) {
+        throw new Error("send_strategy.date is required for the 'smart_send_time' method");
+      }
+
+      switch (method) {
+        case 'static':
+          return { method, options_static: { datetime, is_local, send_past_recipients_immediately } };
+        case 'throttled':
+          return { method, options_throttled: { datetime, throttle_percentage } };
+        case 'smart_send_time':
+          return { method, options_sto: { date } };
+        default:
+          return { method };
+      }
+    }
+
+    /**
+     * Build the campaign attributes shared by create and update
+     * @param {Object} params - Tool parameters
+     * @returns {Object} - Campaign attributes
+     */
+    function buildCampaignAttributes(params) {
+      const attributes = {};
+
+      if (params.name) attributes.name = params.name;
+      if (params.audiences) {
+        attributes.audiences = {
+          included: params.audiences.included,
+          excluded: params.audiences.excluded || []
+        };
+      }
+      if (params.send_strategy) attributes.send_strategy = buildSendStrategy(params.send_strategy);
+      if (params.use_smart_sending !== undefined) attributes.send_options = { use_smart_sending: params.use_smart_sending };
+      if (params.tracking_options) attributes.tracking_options = params.tracking_options;
+
+      return attributes;
+    }
+
+    /**
+     * Check that every audience ID refers to an existing list or segment
+     * @param {string[]} ids - List or segment IDs
+     * @returns {Promise<Object>} - { found: [{ id, type, name }], missing: [id] }
+     */
+    async function validateAudiences(ids) {
+      const found = [];
+      const missing = [];
+
+      for (const id of ids) {
+        let audience = null;
+
+        for (const type of ['lists', 'segments']) {
+          try {
+            const result = await klaviyoClient.get(`/${type}/${id}/`);
+            audience = { id, type: result.data.type, name: result.data.attributes?.name };
+            break;
+          } catch (error) {
+            // Anything other than "not found" means we could not check it
+            if (error.status !== 404) throw error;
+          }
+        }
+
+        if (audience) {
+          found.push(audience);
+        } else {
+          missing.push(id);
+        }
+      }
+
+      return { found, missing };
+    }
+
+    /**
+     * Build the error returned when a campaign's audiences do not exist
+     * @param {string[]} missing - IDs that are neither lists nor segments
+     * @returns {Object} - Tool error result
+     */
+    function missingAudiencesError(missing) {
+      return {
+        content: [{ type: "text", text: `Audience validation failed: no list or segment exists with ID ${missing.join(', ')}` }],
+        isError: true
+      };
+    }
 
     export function registerCampaignTools(server) {
       // Get campaigns
       server.tool(
         "get_campaigns",
         {
-          filter: z.string().optional().describe("Filter query for campaigns")
+          filter: z.string().optional().describe("Filter query for campaigns"),
+          page_cursor: z.string().optional().describe("Cursor for pagination"),
+          ...paginationParams
         },
         async (params) => {
           try {
             // Always include the required channel filter if not already provided
             const apiParams = {
+              ...params,
               filter: params.filter || "equals(messages.channel,'email')"
             };
             
-            const campaigns = await klaviyoClient.get('/campaigns/', apiParams);
+            const campaigns = await getList('/campaigns/', apiParams);
             return {
               content: [{ type: "text", text: JSON.stringify(campaigns, null, 2) }]
             };
@@ -26,7 +151,7 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get campaigns from Klaviyo" }
+        { description: "Get campaigns from Klaviyo", readOnly: true }
       );
 
       // Get campaign
@@ -48,7 +173,7 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get a specific campaign from Klaviyo" }
+        { description: "Get a specific campaign from Klaviyo", readOnly: true }
       );
 
       // Get campaign message
@@ -72,7 +197,7 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get a specific campaign message including template details" }
+        { description: "Get a specific campaign message including template details", readOnly: true }
       );
 
       // Get campaign messages
@@ -94,7 +219,7 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get all messages for a specific campaign" }
+        { description: "Get all messages for a specific campaign", readOnly: true }
       );
 
       // Get campaign recipient estimation
@@ -116,6 +241,341 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get estimated recipient count for a campaign" }
+        { description: "Get estimated recipient count for a campaign", readOnly: true }
+      );
+
+      // Create campaign
+      server.tool(
+        "create_campaign",
+        {
+          name: z.string().describe("Name of the campaign"),
+          channel: z.enum(["email", "sms"]).optional().describe("Channel of the campaign message (default: email)"),
+          audiences: audiencesSchema.describe("Lists and segments to include and exclude"),
+          message: z.object({
+            label: z.string().optional().describe("Label of the campaign message"),
+            subject: z.string().optional().describe("Email subject line"),
+            preview_text: z.string().optional().describe("Email preview text"),
+            from_email: z.string().optional().describe("Sender email address"),
+            from_label: z.string().optional().describe("Sender name"),
+            reply_to_email: z.string().optional().describe("Reply-to email address"),
+            body: z.string().optional().describe("SMS message body")
+          }).optional().describe("Content of the campaign message"),
+          send_strategy: sendStrategySchema.optional().describe("When and how to send (default: immediate)"),
+          use_smart_sending: z.boolean().optional().describe("Skip recipients who recently received a message"),
+          tracking_options: trackingOptionsSchema.optional().describe("Open, click and UTM tracking options"),
+          ...dryRunParams
+        },
+        async (params) => {
+          try {
+            const { missing } = await validateAudiences([...params.audiences.included, ...(params.audiences.excluded || [])]);
+            if (missing.length > 0) return missingAudiencesError(missing);
+
+            const channel = params.channel || 'email';
+            const { label, body, ...emailContent } = params.message || {};
+
+            const payload = {
+              data: {
+                type: "campaign",
+                attributes: {
+                  ...buildCampaignAttributes(params),
+                  "campaign-messages": {
+                    data: [
+                      {
+                        type: "campaign-message",
+                        attributes: {
+                          channel,
+                          label: label || params.name,
+                          content: channel === 'sms' ? { body } : emailContent
+                        }
+                      }
+                    ]
+                  }
+                }
+              }
+            };
+
+            const result = await klaviyoClient.post('/campaigns/', payload, undefined, { dryRun: params.dry_run });
+            return {
+              content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+            };
+          } catch (error) {
+            return {
+              content: [{ type: "text", text: `Error creating campaign: ${error.message}` }],
+              isError: true
+            };
+          }
+        },
+        { description: "Create a draft campaign with its audiences, message content, send strategy and tracking options" }
+      );
+
+      // Update campaign
+      server.tool(
+        "update_campaign",
+        {
+          id: z.string().describe("ID of the campaign to update"),
+          name: z.string().optional().describe("New name of the campaign"),
+          audiences: audiencesSchema.optional().describe("Lists and segments to include and exclude"),
+          send_strategy: sendStrategySchema.optional().describe("When and how to send"),
+          use_smart_sending: z.boolean().optional().describe("Skip recipients who recently received a message"),
+          tracking_options: trackingOptionsSchema.optional().describe("Open, click and UTM tracking options"),
+          ...dryRunParams
+        },
+        async (params) => {
+          try {
+            if (params.audiences) {
+              const { missing } = await validateAudiences([...params.audiences.included, ...(params.audiences.excluded || [])]);
+              if (missing.length > 0) return missingAudiencesError(missing);
+            }
+
+            const payload = {
+              data: {
+                type: "campaign",
+                id: params.id,
+                attributes: buildCampaignAttributes(params)
+              }
+            };
+
+            const result = await klaviyoClient.patch(`/campaigns/${params.id}/`, payload, undefined, { dryRun: params.dry_run });
+            return {
+              content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+            };
+          } catch (error) {
+            return {
+              content: [{ type: "text", text: `Error updating campaign: ${error.message}` }],
+              isError: true
+            };
+          }
+        },
+        { description: "Update the name, audiences, send strategy or tracking options of a draft campaign" }
+      );
+
+      // Assign template to campaign message
+      server.tool(
+        "assign_template_to_campaign_message",
+        {
+          message_id: z.string().describe("ID of the campaign message"),
+          template_id: z.string().describe("ID of the template to assign"),
+          ...dryRunParams
+        },
+        async (params) => {
+          try {
+            const payload = {
+              data: {
+                type: "campaign-message",
+                id: params.message_id,
+                relationships: {
+                  template: {
+                    data: {
+                      type: "template",
+                      id: params.template_id
+                    }
+                  }
+                }
+              }
+            };
+
+            const result = await klaviyoClient.post('/campaign-message-assign-template/', payload, undefined, { dryRun: params.dry_run });
+            return {
+              content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+            };
+          } catch (error) {
+            return {
+              content: [{ type: "text", text: `Error assigning template to campaign message: ${error.message}` }],
+              isError: true
+            };
+          }
+        },
+        { description: "Assign a template to a campaign message (Klaviyo copies the template into the message)" }
+      );
+
+      // Send campaign
+      server.tool(
+        "send_campaign",
+        {
+          id: z.string().describe("ID of the campaign to send"),
+          send_strategy: sendStrategySchema.optional().describe("Set the send strategy before sending (e.g. to schedule for a later time)"),
+          ...dryRunParams,
+          ...confirmationParams
+        },
+        async (params) => {
+          try {
+            const campaign = await klaviyoClient.get(`/campaigns/${params.id}/`);
+            const { name, status, audiences } = campaign.data.attributes;
+
+            // Never send to audiences that no longer exist
+            const { found, missing } = await validateAudiences([...(audiences?.included || []), ...(audiences?.excluded || [])]);
+            if (missing.length > 0) return missingAudiencesError(missing);
+
+            const sendStrategy = params.send_strategy
+              ? buildSendStrategy(params.send_strategy)
+              : campaign.data.attributes.send_strategy;
+
+            const confirmation = await requireConfirmation('send_campaign', params, async () => ({
+              action: sendStrategy?.method === 'immediate' || !sendStrategy
+                ? `Send campaign "${name}" now`
+                : `Schedule campaign "${name}" (${sendStrategy.method})`,
+              current_state: {
+                id: params.id,
+                name,
+                status,
+                audiences: {
+                  included: found.filter(audience => audiences.included.includes(audience.id)),
+                  excluded: found.filter(audience => (audiences.excluded || []).includes(audience.id))
+                },
+                send_strategy: sendStrategy
+              }
+            }));
+            if (confirmation) return confirmation;
+
+            // Scheduling is part of the campaign, so update it before creating the send job
+            let sendStrategyUpdate = null;
+            if (params.send_strategy) {
+              const update = {
+                data: {
+                  type: "campaign",
+                  id: params.id,
+                  attributes: { send_strategy: sendStrategy }
+                }
+              };
+              sendStrategyUpdate = await klaviyoClient.patch(`/campaigns/${params.id}/`, update, undefined, { dryRun: params.dry_run });
+            }
+
+            const payload = {
+              data: {
+                type: "campaign-send-job",
+                id: params.id
+              }
+            };
+
+            const result = await klaviyoClient.post('/campaign-send-jobs/', payload, undefined, { dryRun: params.dry_run });
+
+            if (isSimulated(result) && sendStrategyUpdate) {
+              return {
+                content: [{ type: "text", text: JSON.stringify({ requests: [sendStrategyUpdate, result] }, null, 2) }]
+              };
+            }
+
+            return {
+              content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+            };
+          } catch (error) {
+            return {
+              content: [{ type: "text", text: `Error sending campaign: ${error.message}` }],
+              isError: true
+            };
+          }
+        },
+        { description: "Send a campaign now or at the time set by its send strategy, after checking that its audiences exist" }
+      );
+
+      // Cancel campaign send
+      server.tool(
+        "cancel_campaign_send",
+        {
+          id: z.string().describe("ID of the campaign whose send should be cancelled"),
+          revert_to_draft: z.boolean().optional().describe("Return the campaign to draft so it can be edited and sent again (default: cancel it permanently)"),
+          ...dryRunParams
+        },
+        async (params) => {
+          try {
+            const payload = {
+              data: {
+                type: "campaign-send-job",
+                id: params.id,
+                attributes: {
+                  action: params.revert_to_draft ? "revert" : "cancel"
+                }
+              }
+            };
+
+            const result = await klaviyoClient.patch(`/campaign-send-jobs/${params.id}/`, payload, undefined, { dryRun: params.dry_run });
+            return {
+              content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+            };
+          } catch (error) {
+            return {
+              content: [{ type: "text", text: `Error cancelling campaign send: ${error.message}` }],
+              isError: true
+            };
+          }
+        },
+        { description: "Cancel a scheduled or sending campaign, optionally reverting it to draft" }
+      );
+
+      // Clone campaign
+      server.tool(
+        "clone_campaign",
+        {
+          id: z.string().describe("ID of the campaign to clone"),
+          new_name: z.string().optional().describe("Name of the new campaign (default: Klaviyo's copy name)"),
+          ...dryRunParams
+        },
+        async (params) => {
+          try {
+            const payload = {
+              data: {
+                type: "campaign",
+                id: params.id,
+                attributes: {}
+              }
+            };
+
+            if (params.new_name) {
+              payload.data.attributes.new_name = params.new_name;
+            }
+
+            const result = await klaviyoClient.post('/campaign-clone/', payload, undefined, { dryRun: params.dry_run });
+            return {
+              content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+            };
+          } catch (error) {
+            return {
+              content: [{ type: "text", text: `Error cloning campaign: ${error.message}` }],
+              isError: true
+            };
+          }
+        },
+        { description: "Create a draft copy of an existing campaign" }
+      );
+
+      // Delete campaign
+      server.tool(
+        "delete_campaign",
+        {
+          id: z.string().describe("ID of the campaign to delete"),
+          ...dryRunParams,
+          ...confirmationParams
+        },
+        async (params) => {
+          try {
+            const confirmation = await requireConfirmation('delete_campaign', params, async () => {
+              const campaign = await klaviyoClient.get(`/campaigns/${params.id}/`);
+              const { name, status } = campaign.data.attributes;
+              return {
+                action: `Delete campaign "${name}"`,
+                current_state: { id: params.id, name, status }
+              };
+            });
+            if (confirmation) return confirmation;
+
+            const result = await klaviyoClient.del(`/campaigns/${params.id}/`, undefined, undefined, { dryRun: params.dry_run });
+
+            if (isSimulated(result)) {
+              return {
+                content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+              };
+            }
+
+            return {
+              content: [{ type: "text", text: "Campaign deleted successfully" }]
+            };
+          } catch (error) {
+            return {
+              content: [{ type: "text", text: `Error deleting campaign: ${error.message}` }],
+              isError: true
+            };
+          }
+        },
+        { description: "Delete a campaign from Klaviyo" }
       );
     }
@@ -1,5 +1,6 @@
 import { z } from 'zod';
     import * as klaviyoClient from '../klaviyo-client.js';
+    import { paginationParams, getList } from '../utils/pagination.js';
 
     export function registerCatalogTools(server) {
       // Get catalogs
@@ -7,11 +8,12 @@ import { z } from 'zod';
         "get_catalogs",
         {
           page_size: z.number().min(1).max(100).optional().describe("Number of catalogs per page (1-100)"),
-          page_cursor: z.string().optional().describe("Cursor for pagination")
+          page_cursor: z.string().optional().describe("Cursor for pagination"),
+          ...paginationParams
         },
         async (params) => {
           try {
-            const catalogs = await klaviyoClient.get('/catalogs/', params);
+            const catalogs = await getList('/catalogs/', params);
             return {
               content: [{ type: "text", text: JSON.stringify(catalogs, null, 2) }]
             };
@@ -22,7 +24,7 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get catalogs from Klaviyo" }
+        { description: "Get catalogs from Klaviyo", readOnly: true }
       );
 
       // Get catalog items
@@ -32,12 +34,13 @@ import { z } from 'zod';
           catalog_id: z.string().describe("ID of the catalog"),
           filter: z.string().optional().describe("Filter query for catalog items"),
           page_size: z.number().min(1).max(100).optional().describe("Number of items per page (1-100)"),
-          page_cursor: z.string().optional().describe("Cursor for pagination")
+          page_cursor: z.string().optional().describe("Cursor for pagination"),
+          ...paginationParams
         },
         async (params) => {
           try {
             const { catalog_id, ...queryParams } = params;
-            const items = await klaviyoClient.get(`/catalogs/${catalog_id}/items/`, queryParams);
+            const items = await getList(`/catalogs/${catalog_id}/items/`, queryParams);
             return {
               content: [{ type: "text", text: JSON.stringify(items, null, 2) }]
             };
@@ -48,7 +51,7 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get items from a catalog in Klaviyo" }
+        { description: "Get items from a catalog in Klaviyo", readOnly: true }
       );
 
       // Get catalog item
@@ -71,6 +74,6 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get a specific item from a catalog in Klaviyo" }
+        { description: "Get a specific item from a catalog in Klaviyo", readOnly: true }
       );
     }
@@ -0,0 +1,65 @@
+import { z } from 'zod';
+    import logger from '../utils/logger.js';
+    import { renderChart, chartFromReport } from '../utils/chart.js';
+
+    export function registerChartTools(server) {
+      // Render reporting output as an SVG chart
+      server.tool(
+        "render_chart",
+        {
+          report: z.union([z.string(), z.record(z.any())]).optional().describe("JSON output of a reporting tool (query_metric_aggregates, get_flow_series, get_campaign_series, get_flow_metrics, get_campaign_metrics, compare_campaigns, ...)"),
+          labels: z.array(z.string()).optional().describe("X-axis labels for a raw series (instead of report)"),
+          series: z.array(z.object({
+            name: z.string().describe("Series name shown in the legend"),
+            values: z.array(z.number().nullable()).describe("One value per label"),
+            dashed: z.boolean().optional().describe("Draw as a dashed overlay (e.g. the previous period)")
+          })).optional().describe("Raw series to plot (instead of report)"),
+          statistics: z.array(z.string()).optional().describe("Statistics or measurements to plot (default: the first statistic; every measurement for metric aggregates)"),
+          chart_type: z.enum(["line", "bar"]).optional().describe("Chart type (default: line for series, bar for totals and leaderboards)"),
+          title: z.string().optional().describe("Chart title"),
+          x_label: z.string().optional().describe("X-axis label"),
+          y_label: z.string().optional().describe("Y-axis label (default: the plotted statistic)"),
+          width: z.number().int().min(300).max(2000).optional().describe("Width in pixels (default: 800)"),
+          height: z.number().int().min(200).max(1500).optional().describe("Height in pixels (default: 450)")
+        },
+        async (params) => {
+          try {
+            let chart;
+            if (params.report !== undefined) {
+              const report = typeof params.report === 'string' ? JSON.parse(params.report) : params.report;
+              chart = chartFromReport(report, params.statistics);
+            } else if (params.series && params.labels) {
+              chart = chartFromReport({ labels: params.labels, series: params.series });
+            } else {
+              throw new Error('Provide either report or labels and series');
+            }
+
+            const svg = renderChart({
+              type: params.chart_type || chart.type,
+              title: params.title,
+              xLabel: params.x_label,
+              yLabel: params.y_label ?? (params.statistics?.length === 1 ? params.statistics[0] : undefined),
+              labels: chart.labels,
+              series: chart.series
+            }, { width: params.width, height: params.height });
+
+            logger.info(`Rendered ${params.chart_type || chart.type} chart with ${chart.series.length} series and ${chart.labels.length} points`);
+
+            return {
+              content: [
+                { type: "image", data: Buffer.from(svg).toString('base64'), mimeType: "image/svg+xml" },
+                { type: "text", text: svg }
+              ]
+            };
+          } catch (error) {
+            logger.error(`Failed to render chart: ${error.message}`);
+
+            return {
+              content: [{ type: "text", text: `Error rendering chart: ${error.message}` }],
+              isError: true
+            };
+          }
+        },
+        { description: "Render reporting tool output (or a raw series) as a line or bar chart. Returns SVG as image content and as text; period-over-period comparisons are drawn as dashed overlays. Runs locally without network access", readOnly: true }
+      );
+    }
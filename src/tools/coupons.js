@@ -1,5 +1,7 @@
 import { z } from 'zod';
     import * as klaviyoClient from '../klaviyo-client.js';
+    import { paginationParams, getList } from '../utils/pagination.js';
+    import { dryRunParams } from '../utils/dry-run.js';
 
     export function registerCouponTools(server) {
       // Get coupons
@@ -8,11 +10,12 @@ import { z } from 'zod';
         {
           filter: z.string().optional().describe("Filter query for coupons"),
           page_size: z.number().min(1).max(100).optional().describe("Number of coupons per page (1-100)"),
-          page_cursor: z.string().optional().describe("Cursor for pagination")
+          page_cursor: z.string().optional().describe("Cursor for pagination"),
+          ...paginationParams
         },
         async (params) => {
           try {
-            const coupons = await klaviyoClient.get('/coupons/', params);
+            const coupons = await getList('/coupons/', params);
             return {
               content: [{ type: "text", text: JSON.stringify(coupons, null, 2) }]
             };
@@ -23,7 +26,7 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get coupons from Klaviyo" }
+        { description: "Get coupons from Klaviyo", readOnly: true }
       );
 
       // Create coupon code
@@ -31,7 +34,8 @@ import { z } from 'zod';
         "create_coupon_code",
         {
           coupon_id: z.string().describe("ID of the coupon"),
-          code: z.string().describe("Coupon code")
+          code: z.string().describe("Coupon code"),
+          ...dryRunParams
         },
         async (params) => {
           try {
@@ -52,7 +56,7 @@ import { z } from 'zod';
               }
             };
             
-            const result = await klaviyoClient.post('/coupon-codes/', payload);
+            const result = await klaviyoClient.post('/coupon-codes/', payload, undefined, { dryRun: params.dry_run });
             return {
               content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
             };
@@ -1,5 +1,8 @@
 import { z } from 'zod';
     import * as klaviyoClient from '../klaviyo-client.js';
+    import { dryRunParams } from '../utils/dry-run.js';
+    import { confirmationParams, requireConfirmation } from '../utils/confirmation.js';
+    import { equalsFilter } from '../utils/filters.js';
 
     export function registerDataPrivacyTools(server) {
       // Request profile deletion
@@ -8,10 +11,41 @@ import { z } from 'zod';
         {
           email: z.string().email().optional().describe("Email of the profile to delete"),
           phone_number: z.string().optional().describe("Phone number of the profile to delete"),
-          profile_id: z.string().optional().describe("ID of the profile to delete")
+          profile_id: z.string().optional().describe("ID of the profile to delete"),
+          ...dryRunParams,
+          ...confirmationParams
         },
         async (params) => {
           try {
+            const identifiers = ['profile_id', 'email', 'phone_number'].filter(field => params[field]);
+            if (identifiers.length !== 1) {
+              throw new Error('Provide exactly one of profile_id, email or phone_number');
+            }
+
+            const confirmation = await requireConfirmation('request_profile_deletion', params, async () => {
+              let profiles;
+              if (params.profile_id) {
+                profiles = [(await klaviyoClient.get(`/profiles/${params.profile_id}/`)).data];
+              } else {
+                const filter = params.email
+                  ? equalsFilter('email', params.email)
+                  : equalsFilter('phone_number', params.phone_number);
+                profiles = (await klaviyoClient.get('/profiles/', { filter })).data;
+              }
+
+              return {
+                action: 'Permanently delete the matching profile and all of its data for data privacy compliance. This cannot be undone.',
+                matched_profiles: profiles.map(profile => ({
+                  id: profile.id,
+                  email: profile.attributes.email,
+                  phone_number: profile.attributes.phone_number,
+                  first_name: profile.attributes.first_name,
+                  last_name: profile.attributes.last_name
+                }))
+              };
+            });
+            if (confirmation) return confirmation;
+
             const payload = {
               data: {
                 type: "data-privacy-deletion-job",
@@ -31,7 +65,7 @@ import { z } from 'zod';
               payload.data.attributes.profile_id = params.profile_id;
             }
             
-            const result = await klaviyoClient.post('/data-privacy-deletion-jobs/', payload);
+            const result = await klaviyoClient.post('/data-privacy-deletion-jobs/', payload, undefined, { dryRun: params.dry_run });
             return {
               content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
             };
@@ -0,0 +1,31 @@
+import { z } from 'zod';
+    import { getRateLimitStatus } from '../utils/rate-limiter.js';
+
+    export function registerDiagnosticTools(server) {
+      // Get rate limit status
+      server.tool(
+        "get_rate_limit_status",
+        {
+          route: z.string().optional().describe("Only show routes containing this text (e.g. '/profiles/')")
+        },
+        async (params) => {
+          try {
+            let status = getRateLimitStatus();
+
+            if (params.route) {
+              status = status.filter(bucket => bucket.route.includes(params.route));
+            }
+
+            return {
+              content: [{ type: "text", text: JSON.stringify({ routes: status }, null, 2) }]
+            };
+          } catch (error) {
+            return {
+              content: [{ type: "text", text: `Error retrieving rate limit status: ${error.message}` }],
+              isError: true
+            };
+          }
+        },
+        { description: "Get the remaining Klaviyo rate limit budget and queued requests per endpoint", readOnly: true }
+      );
+    }
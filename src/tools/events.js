@@ -1,5 +1,45 @@
 import { z } from 'zod';
     import * as klaviyoClient from '../klaviyo-client.js';
+    import { paginationParams, getList } from '../utils/pagination.js';
+    import { dryRunParams } from '../utils/dry-run.js';
+    import { API_CONFIG } from '../config.js';
+    import { resolveMetricId } from '../utils/metrics.js';
+    import { equalsFilter, toFilterDatetime } from '../utils/filters.js';
+    import { getResourceNames } from '../utils/resource-names.js';
+    import { outputFormatParams, formatReport } from '../utils/report-format.js';
+
+    // Event properties summarized in a profile timeline, first match wins
+    const TIMELINE_PROPERTIES = {
+      value: ['$value'],
+      order_id: ['OrderId', 'Order ID'],
+      items: ['ItemNames', 'Items'],
+      product: ['ProductName', 'Product Name'],
+      campaign_name: ['Campaign Name'],
+      subject: ['Subject', 'Email Subject'],
+      flow_id: ['$flow'],
+      url: ['URL', 'Url']
+    };
+
+    /**
+     * Summarize the key properties of an event
+     * @param {Object} properties - Event properties
+     * @param {Map} flowNames - Flow names keyed by ID
+     * @returns {Object} - Summary with only the properties present
+     */
+    function summarizeEvent(properties = {}, flowNames) {
+      const summary = {};
+
+      for (const [field, names] of Object.entries(TIMELINE_PROPERTIES)) {
+        const name = names.find(candidate => properties[candidate] !== undefined && properties[candidate] !== '');
+        if (name) summary[field] = properties[name];
+      }
+
+      if (summary.flow_id) {
+        summary.flow_name = flowNames.get(summary.flow_id) ?? null;
+      }
+
+      return summary;
+    }
 
     export function registerEventTools(server) {
       // Get events
@@ -8,11 +48,12 @@ import { z } from 'zod';
         {
           filter: z.string().optional().describe("Filter query for events"),
           page_size: z.number().min(1).max(100).optional().describe("Number of events per page (1-100)"),
-          page_cursor: z.string().optional().describe("Cursor for pagination")
+          page_cursor: z.string().optional().describe("Cursor for pagination"),
+          ...paginationParams
         },
         async (params) => {
           try {
-            const events = await klaviyoClient.get('/events/', params);
+            const events = await getList('/events/', params);
             return {
               content: [{ type: "text", text: JSON.stringify(events, null, 2) }]
             };
@@ -23,7 +64,7 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get events from Klaviyo" }
+        { description: "Get events from Klaviyo", readOnly: true }
       );
 
       // Create event
@@ -38,7 +79,8 @@ import { z } from 'zod';
           }).describe("Profile information for the event"),
           properties: z.record(z.any()).optional().describe("Additional properties for the event"),
           time: z.string().optional().describe("ISO timestamp for the event"),
-          value: z.number().optional().describe("Numeric value for the event")
+          value: z.number().optional().describe("Numeric value for the event"),
+          ...dryRunParams
         },
         async (params) => {
           try {
@@ -56,7 +98,7 @@ import { z } from 'zod';
               }
             };
             
-            const result = await klaviyoClient.post('/events/', payload);
+            const result = await klaviyoClient.post('/events/', payload, undefined, { dryRun: params.dry_run });
             return {
               content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
             };
@@ -69,4 +111,112 @@ import { z } from 'zod';
         },
         { description: "Create a new event in Klaviyo" }
       );
+
+      // Get profile timeline
+      server.tool(
+        "get_profile_timeline",
+        {
+          profile_id: z.string().optional().describe("ID of the profile"),
+          email: z.string().email().optional().describe("Email address of the profile (alternative to profile_id)"),
+          metrics: z.array(z.string()).optional().describe("Only include these metrics (names or IDs, e.g. ['Placed Order', 'Opened Email'])"),
+          since: z.string().optional().describe("Only include events at or after this time (ISO format)"),
+          until: z.string().optional().describe("Only include events before this time (ISO format)"),
+          max_events: z.number().min(1).max(API_CONFIG.maxPaginatedItems).optional().describe(`Maximum number of most recent events to return (default: 200, max: ${API_CONFIG.maxPaginatedItems})`),
+          ...outputFormatParams
+        },
+        async (params) => {
+          try {
+            if (Boolean(params.profile_id) === Boolean(params.email)) {
+              throw new Error('Provide either profile_id or email');
+            }
+
+            const since = params.since ? toFilterDatetime(params.since, 'since') : null;
+            const until = params.until ? toFilterDatetime(params.until, 'until') : null;
+            if (since && until && since >= until) {
+              throw new Error('since must be before until');
+            }
+
+            let profileId = params.profile_id;
+            if (params.email) {
+              const profiles = await klaviyoClient.get('/profiles/', { filter: equalsFilter('email', params.email.toLowerCase()) });
+              profileId = profiles.data?.[0]?.id;
+              if (!profileId) {
+                return {
+                  content: [{ type: "text", text: `No profile found with email ${params.email}` }]
+                };
+              }
+            }
+
+            const filters = [equalsFilter('profile_id', profileId)];
+            if (since) filters.push(`greater-or-equal(datetime,${since})`);
+            if (until) filters.push(`less-than(datetime,${until})`);
+
+            // Events can only be filtered on one metric at a time
+            const metricIds = params.metrics ? await Promise.all(params.metrics.map(resolveMetricId)) : [null];
+            const maxEvents = params.max_events || 200;
+
+            const pages = await Promise.all(metricIds.map(metricId => klaviyoClient.getAll('/events/', {
+              filter: [...filters, ...(metricId ? [equalsFilter('metric_id', metricId)] : [])].join(','),
+              include: 'metric',
+              sort: '-datetime'
+            }, { maxItems: maxEvents })));
+
+            const metricNames = new Map(pages.flatMap(page => (page.included || [])
+              .filter(resource => resource.type === 'metric')
+              .map(resource => [resource.id, resource.attributes?.name])));
+
+            // Klaviyo can record the same event twice (e.g. retried integrations); keep one per metric and $event_id
+            const seen = new Set();
+            const events = [];
+            for (const event of pages.flatMap(page => page.data)) {
+              const metricId = event.relationships?.metric?.data?.id;
+              const eventId = event.attributes?.event_properties?.$event_id;
+              const key = eventId ? `${metricId}:${eventId}` : event.id;
+              if (seen.has(key)) continue;
+              seen.add(key);
+              events.push(event);
+            }
+
+            // Keep the most recent events across metrics, then list them oldest first
+            events.sort((a, b) => String(b.attributes?.datetime).localeCompare(String(a.attributes?.datetime)));
+            const recent = events.slice(0, maxEvents).reverse();
+
+            const flowIds = recent.map(event => event.attributes?.event_properties?.$flow).filter(Boolean);
+            const flowNames = flowIds.length > 0 ? await getResourceNames('flows', flowIds) : new Map();
+
+            const timeline = recent.map(event => {
+              const metricId = event.relationships?.metric?.data?.id;
+              return {
+                time: event.attributes?.datetime,
+                metric: metricNames.get(metricId) || metricId || null,
+                event_id: event.id,
+                summary: summarizeEvent(event.attributes?.event_properties, flowNames)
+              };
+            });
+
+            const counts = {};
+            for (const entry of timeline) {
+              counts[entry.metric] = (counts[entry.metric] || 0) + 1;
+            }
+
+            const result = {
+              profile_id: profileId,
+              ...(params.email ? { email: params.email } : {}),
+              events_returned: timeline.length,
+              duplicates_removed: pages.reduce((total, page) => total + page.data.length, 0) - events.length,
+              truncated: events.length > maxEvents || pages.some(page => page.meta?.pagination?.truncated),
+              metrics: counts,
+              timeline
+            };
+
+            return formatReport(result, () => timeline.map(({ summary, ...entry }) => ({ ...entry, ...summary })), params);
+          } catch (error) {
+            return {
+              content: [{ type: "text", text: `Error retrieving profile timeline: ${error.message}` }],
+              isError: true
+            };
+          }
+        },
+        { description: "Get a profile's recent activity across metrics as a chronological, de-duplicated timeline with key properties (order value, campaign, flow) summarized", readOnly: true }
+      );
     }
@@ -1,5 +1,8 @@
 import { z } from 'zod';
     import * as klaviyoClient from '../klaviyo-client.js';
+    import { paginationParams, getList } from '../utils/pagination.js';
+    import { dryRunParams } from '../utils/dry-run.js';
+    import { confirmationParams, requireConfirmation } from '../utils/confirmation.js';
 
     export function registerFlowTools(server) {
       // Get flows
@@ -8,11 +11,12 @@ import { z } from 'zod';
         {
           filter: z.string().optional().describe("Filter query for flows"),
           page_size: z.number().min(1).max(100).optional().describe("Number of flows per page (1-100)"),
-          page_cursor: z.string().optional().describe("Cursor for pagination")
+          page_cursor: z.string().optional().describe("Cursor for pagination"),
+          ...paginationParams
         },
         async (params) => {
           try {
-            const flows = await klaviyoClient.get('/flows/', params);
+            const flows = await getList('/flows/', params);
             return {
               content: [{ type: "text", text: JSON.stringify(flows, null, 2) }]
             };
@@ -23,7 +27,7 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get flows from Klaviyo" }
+        { description: "Get flows from Klaviyo", readOnly: true }
       );
 
       // Get flow
@@ -45,7 +49,7 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get a specific flow from Klaviyo" }
+        { description: "Get a specific flow from Klaviyo", readOnly: true }
       );
 
       // Update flow status
@@ -53,10 +57,25 @@ import { z } from 'zod';
         "update_flow_status",
         {
           id: z.string().describe("ID of the flow to update"),
-          status: z.enum(["draft", "manual", "live"]).describe("New status for the flow")
+          status: z.enum(["draft", "manual", "live"]).describe("New status for the flow"),
+          ...dryRunParams,
+          ...confirmationParams
         },
         async (params) => {
           try {
+            // Setting a flow live starts sending to real recipients, so confirm it first
+            if (params.status === 'live') {
+              const confirmation = await requireConfirmation('update_flow_status', params, async () => {
+                const flow = await klaviyoClient.get(`/flows/${params.id}/`);
+                const { name, status, trigger_type } = flow.data.attributes;
+                return {
+                  action: `Change flow "${name}" status from "${status}" to "live"`,
+                  current_state: { id: params.id, name, status, trigger_type }
+                };
+              });
+              if (confirmation) return confirmation;
+            }
+
             const payload = {
               data: {
                 type: "flow",
@@ -67,7 +86,7 @@ import { z } from 'zod';
               }
             };
             
-            const result = await klaviyoClient.patch(`/flows/${params.id}/`, payload);
+            const result = await klaviyoClient.patch(`/flows/${params.id}/`, payload, undefined, { dryRun: params.dry_run });
             return {
               content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
             };
@@ -1,5 +1,6 @@
 import { z } from 'zod';
     import * as klaviyoClient from '../klaviyo-client.js';
+    import { paginationParams, getList } from '../utils/pagination.js';
 
     export function registerFormTools(server) {
       // Get forms
@@ -8,11 +9,12 @@ import { z } from 'zod';
         {
           filter: z.string().optional().describe("Filter query for forms"),
           page_size: z.number().min(1).max(100).optional().describe("Number of forms per page (1-100)"),
-          page_cursor: z.string().optional().describe("Cursor for pagination")
+          page_cursor: z.string().optional().describe("Cursor for pagination"),
+          ...paginationParams
         },
         async (params) => {
           try {
-            const forms = await klaviyoClient.get('/forms/', params);
+            const forms = await getList('/forms/', params);
             return {
               content: [{ type: "text", text: JSON.stringify(forms, null, 2) }]
             };
@@ -23,7 +25,7 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get forms from Klaviyo" }
+        { description: "Get forms from Klaviyo", readOnly: true }
       );
 
       // Get form
@@ -45,6 +47,6 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get a specific form from Klaviyo" }
+        { description: "Get a specific form from Klaviyo", readOnly: true }
       );
     }
@@ -1,5 +1,6 @@
 import { z } from 'zod';
     import * as klaviyoClient from '../klaviyo-client.js';
+    import { paginationParams, getList } from '../utils/pagination.js';
 
     export function registerImageTools(server) {
       // Get images
@@ -8,11 +9,12 @@ import { z } from 'zod';
         {
           filter: z.string().optional().describe("Filter query for images"),
           page_size: z.number().min(1).max(100).optional().describe("Number of images per page (1-100)"),
-          page_cursor: z.string().optional().describe("Cursor for pagination")
+          page_cursor: z.string().optional().describe("Cursor for pagination"),
+          ...paginationParams
         },
         async (params) => {
           try {
-            const images = await klaviyoClient.get('/images/', params);
+            const images = await getList('/images/', params);
             return {
               content: [{ type: "text", text: JSON.stringify(images, null, 2) }]
             };
@@ -23,7 +25,7 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get images from Klaviyo" }
+        { description: "Get images from Klaviyo", readOnly: true }
       );
 
       // Get image
@@ -45,6 +47,6 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get a specific image from Klaviyo" }
+        { description: "Get a specific image from Klaviyo", readOnly: true }
       );
     }
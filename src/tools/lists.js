@@ -1,5 +1,7 @@
 import { z } from 'zod';
     import * as klaviyoClient from '../klaviyo-client.js';
+    import { paginationParams, getList } from '../utils/pagination.js';
+    import { dryRunParams, isSimulated } from '../utils/dry-run.js';
 
     export function registerListTools(server) {
       // Get lists
@@ -8,11 +10,12 @@ import { z } from 'zod';
         {
           filter: z.string().optional().describe("Filter query for lists"),
           page_size: z.number().min(1).max(100).optional().describe("Number of lists per page (1-100)"),
-          page_cursor: z.string().optional().describe("Cursor for pagination")
+          page_cursor: z.string().optional().describe("Cursor for pagination"),
+          ...paginationParams
         },
         async (params) => {
           try {
-            const lists = await klaviyoClient.get('/lists/', params);
+            const lists = await getList('/lists/', params);
             return {
               content: [{ type: "text", text: JSON.stringify(lists, null, 2) }]
             };
@@ -23,7 +26,7 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get lists from Klaviyo" }
+        { description: "Get lists from Klaviyo", readOnly: true }
       );
 
       // Get list
@@ -45,7 +48,7 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get a specific list from Klaviyo" }
+        { description: "Get a specific list from Klaviyo", readOnly: true }
       );
 
       // Create list
@@ -53,7 +56,8 @@ import { z } from 'zod';
         "create_list",
         {
           name: z.string().describe("Name of the list"),
-          list_type: z.enum(["list", "segment"]).describe("Type of list (list or segment)")
+          list_type: z.enum(["list", "segment"]).describe("Type of list (list or segment)"),
+          ...dryRunParams
         },
         async (params) => {
           try {
@@ -67,7 +71,7 @@ import { z } from 'zod';
               }
             };
             
-            const result = await klaviyoClient.post('/lists/', payload);
+            const result = await klaviyoClient.post('/lists/', payload, undefined, { dryRun: params.dry_run });
             return {
               content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
             };
@@ -86,7 +90,8 @@ import { z } from 'zod';
         "add_profiles_to_list",
         {
           list_id: z.string().describe("ID of the list"),
-          profile_ids: z.array(z.string()).describe("Array of profile IDs to add to the list")
+          profile_ids: z.array(z.string()).describe("Array of profile IDs to add to the list"),
+          ...dryRunParams
         },
         async (params) => {
           try {
@@ -97,7 +102,12 @@ import { z } from 'zod';
               }))
             };
             
-            await klaviyoClient.post(`/lists/${params.list_id}/relationships/profiles/`, payload);
+            const result = await klaviyoClient.post(`/lists/${params.list_id}/relationships/profiles/`, payload, undefined, { dryRun: params.dry_run });
+            if (isSimulated(result)) {
+              return {
+                content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+              };
+            }
             return {
               content: [{ type: "text", text: "Profiles added to list successfully" }]
             };
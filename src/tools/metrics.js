@@ -1,5 +1,6 @@
 import { z } from 'zod';
     import * as klaviyoClient from '../klaviyo-client.js';
+    import { paginationParams, getList } from '../utils/pagination.js';
 
     export function registerMetricTools(server) {
       // Get metrics
@@ -8,11 +9,12 @@ import { z } from 'zod';
         {
           filter: z.string().optional().describe("Filter query for metrics"),
           page_size: z.number().min(1).max(100).optional().describe("Number of metrics per page (1-100)"),
-          page_cursor: z.string().optional().describe("Cursor for pagination")
+          page_cursor: z.string().optional().describe("Cursor for pagination"),
+          ...paginationParams
         },
         async (params) => {
           try {
-            const metrics = await klaviyoClient.get('/metrics/', params);
+            const metrics = await getList('/metrics/', params);
             return {
               content: [{ type: "text", text: JSON.stringify(metrics, null, 2) }]
             };
@@ -23,7 +25,7 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get metrics from Klaviyo" }
+        { description: "Get metrics from Klaviyo", readOnly: true }
       );
 
       // Get metric
@@ -45,6 +47,6 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get a specific metric from Klaviyo" }
+        { description: "Get a specific metric from Klaviyo", readOnly: true }
       );
     }
@@ -1,5 +1,49 @@
 import { z } from 'zod';
     import * as klaviyoClient from '../klaviyo-client.js';
+    import { paginationParams, getList } from '../utils/pagination.js';
+    import { dryRunParams, isSimulated } from '../utils/dry-run.js';
+    import { confirmationParams, requireConfirmation } from '../utils/confirmation.js';
+    import { readRowsFromFile, mapRows, chunkProfiles } from '../utils/profile-import.js';
+    import { toE164 } from '../utils/phone.js';
+    import { equalsFilter } from '../utils/filters.js';
+    import { findDuplicateGroups, diffProfiles } from '../utils/profile-duplicates.js';
+    import { addAuditDetails } from '../utils/tool-context.js';
+    import { BULK_IMPORT_CONFIG, DUPLICATE_SCAN_CONFIG } from '../config.js';
+    import logger from '../utils/logger.js';
+
+    // Source row numbers of the profiles in recent import jobs started by this process, keyed by job ID
+    const importJobRows = new Map();
+
+    // Import jobs whose row numbers are kept; older jobs report errors without source rows
+    const MAX_TRACKED_IMPORT_JOBS = 50;
+
+    /**
+     * Remember the source rows of an import job, forgetting the oldest jobs beyond the limit
+     * @param {string} jobId - Bulk import job ID
+     * @param {number[]} rows - Source row number of each profile in the job
+     */
+    function trackImportJobRows(jobId, rows) {
+      importJobRows.set(jobId, Int32Array.from(rows));
+      while (importJobRows.size > MAX_TRACKED_IMPORT_JOBS) {
+        importJobRows.delete(importJobRows.keys().next().value);
+      }
+    }
+
+    // Most skipped rows listed in a bulk import result
+    const MAX_LISTED_SKIPPED_ROWS = 50;
+
+    // Klaviyo merges one source profile per profile-merge request; more per call are sent one by one
+    const MAX_MERGE_SOURCES = 10;
+
+    /**
+     * Summarize a profile by its identifiers
+     * @param {Object} profile - JSON:API profile
+     * @returns {Object} - Profile summary
+     */
+    function summarizeProfile(profile) {
+      const { email, phone_number, external_id, first_name, last_name, created, updated } = profile.attributes || {};
+      return { id: profile.id, email, phone_number, external_id, first_name, last_name, created, updated };
+    }
 
     export function registerProfileTools(server) {
       // Get profiles
@@ -8,11 +52,12 @@ import { z } from 'zod';
         {
           filter: z.string().optional().describe("Filter query for profiles"),
           page_size: z.number().min(1).max(100).optional().describe("Number of profiles per page (1-100)"),
-          page_cursor: z.string().optional().describe("Cursor for pagination")
+          page_cursor: z.string().optional().describe("Cursor for pagination"),
+          ...paginationParams
         },
         async (params) => {
           try {
-            const profiles = await klaviyoClient.get('/profiles/', params);
+            const profiles = await getList('/profiles/', params);
             return {
               content: [{ type: "text", text: JSON.stringify(profiles, null, 2) }]
             };
@@ -23,7 +68,7 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get profiles from Klaviyo" }
+        { description: "Get profiles from Klaviyo", readOnly: true }
       );
 
       // Get profile
@@ -45,7 +90,68 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get a specific profile from Klaviyo" }
+        { description: "Get a specific profile from Klaviyo", readOnly: true }
+      );
+
+      // Find profile
+      server.tool(
+        "find_profile",
+        {
+          email: z.string().email().optional().describe("Email address to look up"),
+          phone_number: z.string().optional().describe("Phone number to look up, in any notation; normalized to E.164"),
+          external_id: z.string().optional().describe("External ID to look up"),
+          country_code: z.string().optional().describe("Calling code for phone numbers given without one (e.g. \"1\" for the US, \"44\" for the UK)"),
+          include: z.array(z.enum(["lists", "segments"])).optional().describe("Related resources to return with the profile")
+        },
+        async (params) => {
+          try {
+            const identifiers = ['email', 'phone_number', 'external_id'].filter(field => params[field]);
+            if (identifiers.length !== 1) {
+              throw new Error('Provide exactly one of email, phone_number or external_id');
+            }
+
+            const field = identifiers[0];
+            const value = field === 'email'
+              ? params.email.trim().toLowerCase()
+              : field === 'phone_number' ? toE164(params.phone_number, params.country_code) : params.external_id;
+
+            const profiles = await klaviyoClient.get('/profiles/', { filter: equalsFilter(field, value) });
+            const matches = profiles.data || [];
+
+            if (matches.length === 0) {
+              return {
+                content: [{ type: "text", text: `No profile found with ${field} ${value}` }]
+              };
+            }
+
+            const result = {
+              matched_on: { [field]: value },
+              profile: matches[0],
+              ...(matches.length > 1 ? { additional_matches: matches.slice(1).map(profile => profile.id) } : {})
+            };
+
+            if (params.include?.length) {
+              const profile = await klaviyoClient.get(`/profiles/${matches[0].id}/`, { include: params.include.join(',') });
+              result.profile = profile.data;
+              for (const type of params.include) {
+                const resourceType = type.slice(0, -1);
+                result[type] = (profile.included || [])
+                  .filter(resource => resource.type === resourceType)
+                  .map(resource => ({ id: resource.id, name: resource.attributes?.name }));
+              }
+            }
+
+            return {
+              content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+            };
+          } catch (error) {
+            return {
+              content: [{ type: "text", text: `Error finding profile: ${error.message}` }],
+              isError: true
+            };
+          }
+        },
+        { description: "Find a profile by email, phone number or external ID, optionally with the lists and segments it belongs to", readOnly: true }
       );
 
       // Create profile
@@ -57,14 +163,16 @@ import { z } from 'zod';
           external_id: z.string().optional().describe("External ID for the profile"),
           first_name: z.string().optional().describe("First name of the profile"),
           last_name: z.string().optional().describe("Last name of the profile"),
-          properties: z.record(z.any()).optional().describe("Additional properties for the profile")
+          properties: z.record(z.any()).optional().describe("Additional properties for the profile"),
+          ...dryRunParams
         },
         async (params) => {
           try {
+            const { dry_run, ...fields } = params;
             const attributes = {};
             
             // Add all provided fields to attributes
-            for (const [key, value] of Object.entries(params)) {
+            for (const [key, value] of Object.entries(fields)) {
               if (value !== undefined && key !== 'properties') {
                 attributes[key] = value;
               }
@@ -82,7 +190,7 @@ import { z } from 'zod';
               }
             };
             
-            const result = await klaviyoClient.post('/profiles/', payload);
+            const result = await klaviyoClient.post('/profiles/', payload, undefined, { dryRun: dry_run });
             return {
               content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
             };
@@ -106,11 +214,12 @@ import { z } from 'zod';
           external_id: z.string().optional().describe("External ID for the profile"),
           first_name: z.string().optional().describe("First name of the profile"),
           last_name: z.string().optional().describe("Last name of the profile"),
-          properties: z.record(z.any()).optional().describe("Additional properties for the profile")
+          properties: z.record(z.any()).optional().describe("Additional properties for the profile"),
+          ...dryRunParams
         },
         async (params) => {
           try {
-            const { id, ...rest } = params;
+            const { id, dry_run, ...rest } = params;
             const attributes = {};
             
             // Add all provided fields to attributes
@@ -133,7 +242,7 @@ import { z } from 'zod';
               }
             };
             
-            const result = await klaviyoClient.patch(`/profiles/${id}/`, payload);
+            const result = await klaviyoClient.patch(`/profiles/${id}/`, payload, undefined, { dryRun: dry_run });
             return {
               content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
             };
@@ -151,11 +260,28 @@ import { z } from 'zod';
       server.tool(
         "delete_profile",
         {
-          id: z.string().describe("ID of the profile to delete")
+          id: z.string().describe("ID of the profile to delete"),
+          ...dryRunParams,
+          ...confirmationParams
         },
         async (params) => {
           try {
-            await klaviyoClient.del(`/profiles/${params.id}/`);
+            const confirmation = await requireConfirmation('delete_profile', params, async () => {
+              const profile = await klaviyoClient.get(`/profiles/${params.id}/`);
+              const { email, phone_number, external_id, first_name, last_name, created } = profile.data.attributes;
+              return {
+                action: `Permanently delete profile ${params.id}`,
+                current_state: { id: params.id, email, phone_number, external_id, first_name, last_name, created }
+              };
+            });
+            if (confirmation) return confirmation;
+
+            const result = await klaviyoClient.del(`/profiles/${params.id}/`, undefined, undefined, { dryRun: params.dry_run });
+            if (isSimulated(result)) {
+              return {
+                content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+              };
+            }
             return {
               content: [{ type: "text", text: "Profile deleted successfully" }]
             };
@@ -168,4 +294,323 @@ import { z } from 'zod';
         },
         { description: "Delete a profile from Klaviyo" }
       );
+
+      // Bulk import profiles
+      server.tool(
+        "bulk_import_profiles",
+        {
+          file_path: z.string().optional().describe("Path of a CSV file (with a header row) or a JSON file holding an array of objects, relative to the server's import directory (KLAVIYO_IMPORT_DIR)"),
+          rows: z.array(z.record(z.any())).optional().describe("Rows to import inline, as objects keyed by column name (alternative to file_path)"),
+          column_mapping: z.record(z.string().nullable()).optional().describe("Map columns to profile fields, e.g. { \"E-mail\": \"email\", \"Town\": \"location.city\", \"Tier\": \"properties.loyalty_tier\" }; null skips a column. Columns named like a profile or location field are mapped automatically"),
+          unmapped_columns: z.enum(["properties", "ignore"]).optional().describe("Import unrecognized columns as custom properties (default) or ignore them"),
+          list_id: z.string().optional().describe("Also add every imported profile to this list"),
+          ...dryRunParams
+        },
+        async (params) => {
+          try {
+            if (Boolean(params.file_path) === Boolean(params.rows)) {
+              throw new Error('Provide either file_path or rows');
+            }
+
+            const rows = params.file_path ? readRowsFromFile(params.file_path) : params.rows;
+            if (rows.length > BULK_IMPORT_CONFIG.maxRows) {
+              throw new Error(`${rows.length} rows exceed the limit of ${BULK_IMPORT_CONFIG.maxRows} per call. Split the file and import it in parts.`);
+            }
+
+            const { profiles, skipped } = mapRows(rows, params.column_mapping, params.unmapped_columns !== 'ignore');
+            if (profiles.length === 0) {
+              throw new Error(`None of the ${rows.length} rows has an email, phone_number or external_id. Check column_mapping.`);
+            }
+
+            const chunks = chunkProfiles(profiles);
+            logger.info(`Importing ${profiles.length} profiles in ${chunks.length} bulk import jobs (${skipped.length} rows skipped)`);
+
+            const result = {
+              rows_read: rows.length,
+              profiles_submitted: 0,
+              rows_skipped: skipped.length,
+              skipped: skipped.slice(0, MAX_LISTED_SKIPPED_ROWS),
+              ...(params.list_id ? { list_id: params.list_id } : {}),
+              jobs: []
+            };
+
+            for (const chunk of chunks) {
+              const payload = {
+                data: {
+                  type: "profile-bulk-import-job",
+                  attributes: {
+                    profiles: {
+                      data: chunk.map(({ attributes }) => ({ type: "profile", attributes }))
+                    }
+                  }
+                }
+              };
+
+              if (params.list_id) {
+                payload.data.relationships = {
+                  lists: { data: [{ type: "list", id: params.list_id }] }
+                };
+              }
+
+              const rowRange = { first_row: chunk[0].row, last_row: chunk[chunk.length - 1].row };
+
+              let job;
+              try {
+                job = await klaviyoClient.post('/profile-bulk-import-jobs/', payload, undefined, { dryRun: params.dry_run });
+              } catch (error) {
+                // Jobs already started keep running; report them so progress can still be followed
+                result.error = `Job for rows ${rowRange.first_row}-${rowRange.last_row} failed: ${error.message}. Rows from ${rowRange.first_row} on were not submitted.`;
+                return {
+                  content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+                  isError: true
+                };
+              }
+
+              if (isSimulated(job)) {
+                // Show the request once, with a sample of its profiles rather than thousands of them
+                const sample = result.jobs.length === 0
+                  ? { ...job, request: { ...job.request, body: { ...payload, data: { ...payload.data, attributes: { profiles: { data: payload.data.attributes.profiles.data.slice(0, 3) } } } } } }
+                  : undefined;
+                result.jobs.push({ profiles: chunk.length, ...rowRange, ...(sample ? { simulated_request: sample } : {}) });
+              } else {
+                trackImportJobRows(job.data.id, chunk.map(profile => profile.row));
+                result.jobs.push({ job_id: job.data.id, status: job.data.attributes?.status, profiles: chunk.length, ...rowRange });
+              }
+
+              result.profiles_submitted += chunk.length;
+            }
+
+            if (result.jobs.some(job => !job.job_id)) {
+              result.dry_run = true;
+            } else {
+              result.next_step = 'Call get_bulk_import_job with each job_id to follow progress and see per-row errors';
+            }
+
+            return {
+              content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+            };
+          } catch (error) {
+            return {
+              content: [{ type: "text", text: `Error importing profiles: ${error.message}` }],
+              isError: true
+            };
+          }
+        },
+        { description: "Create or update many profiles at once from a CSV/JSON file or inline rows, mapping columns to profile fields and custom properties. Profiles are sent as Klaviyo bulk import jobs (up to 10,000 per job) and can be added to a list" }
+      );
+
+      // Get bulk import job
+      server.tool(
+        "get_bulk_import_job",
+        {
+          job_id: z.string().describe("ID of the bulk import job (returned by bulk_import_profiles)"),
+          include_errors: z.boolean().optional().describe("Include per-row import errors (default: true)"),
+          max_errors: z.number().min(1).max(1000).optional().describe("Maximum number of errors to return (default: 100)")
+        },
+        async (params) => {
+          try {
+            const job = await klaviyoClient.get(`/profile-bulk-import-jobs/${params.job_id}/`);
+            const { status, total_count, completed_count, failed_count, created_at, started_at, completed_at, expires_at } = job.data.attributes;
+            const processed = (completed_count || 0) + (failed_count || 0);
+
+            const result = {
+              job_id: params.job_id,
+              status,
+              total_count,
+              completed_count,
+              failed_count,
+              percent_processed: total_count ? Number(((processed / total_count) * 100).toFixed(1)) : null,
+              created_at,
+              started_at,
+              completed_at,
+              expires_at
+            };
+
+            if (params.include_errors !== false && failed_count > 0) {
+              const errors = await getList(`/profile-bulk-import-jobs/${params.job_id}/import-errors/`, { max_items: params.max_errors || 100 });
+              const rows = importJobRows.get(params.job_id);
+
+              result.errors = errors.data.map(({ attributes }) => {
+                // The pointer names the profile's position in the job, e.g. /data/attributes/profiles/data/12
+                const index = Number(/\/profiles\/data\/(\d+)/.exec(attributes.source?.pointer || '')?.[1]);
+                return {
+                  ...(rows && !Number.isNaN(index) ? { row: rows[index] } : {}),
+                  profile_index: Number.isNaN(index) ? null : index,
+                  code: attributes.code,
+                  title: attributes.title,
+                  detail: attributes.detail,
+                  original_payload: attributes.original_payload
+                };
+              });
+            }
+
+            return {
+              content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+            };
+          } catch (error) {
+            return {
+              content: [{ type: "text", text: `Error retrieving bulk import job: ${error.message}` }],
+              isError: true
+            };
+          }
+        },
+        { description: "Get the progress of a bulk profile import job and the errors of any rows that failed", readOnly: true }
+      );
+
+      // Find duplicate profiles
+      server.tool(
+        "find_duplicate_profiles",
+        {
+          match_on: z.array(z.enum(["email", "phone_number", "external_id"])).min(1).optional().describe("Identifiers to compare (default: all three). Emails are compared case-insensitively, phone numbers in E.164 and external IDs without surrounding whitespace"),
+          country_code: z.string().optional().describe("Calling code for phone numbers stored without one (e.g. \"1\" or \"+44\"), so they match their international form"),
+          filter: z.string().optional().describe("Only scan profiles matching this filter, e.g. greater-than(created,2024-01-01T00:00:00Z)"),
+          max_profiles: z.number().min(1).max(DUPLICATE_SCAN_CONFIG.maxProfiles).optional().describe(`Maximum number of profiles to scan, rounded up to whole pages of 100 (default: ${DUPLICATE_SCAN_CONFIG.defaultProfiles})`),
+          page_cursor: z.string().optional().describe("Resume a previous scan from its next_cursor"),
+          max_groups: z.number().min(1).max(1000).optional().describe("Maximum number of duplicate groups to return (default: 100)")
+        },
+        async (params) => {
+          try {
+            const maxProfiles = params.max_profiles || DUPLICATE_SCAN_CONFIG.defaultProfiles;
+            const query = { page_size: 100, page_cursor: params.page_cursor };
+            if (params.filter) query.filter = params.filter;
+
+            const profiles = [];
+            let nextCursor = null;
+
+            // Stop on a page boundary so next_cursor resumes exactly where the scan ended
+            for await (const page of klaviyoClient.paginate('/profiles/', query)) {
+              profiles.push(...page.data);
+              nextCursor = klaviyoClient.getNextCursor(page);
+              if (profiles.length >= maxProfiles) break;
+            }
+
+            const groups = findDuplicateGroups(profiles, { fields: params.match_on, countryCode: params.country_code });
+            const maxGroups = params.max_groups || 100;
+
+            const result = {
+              profiles_scanned: profiles.length,
+              duplicate_groups: groups.length,
+              duplicate_profiles: groups.reduce((sum, group) => sum + group.profiles.length, 0),
+              truncated: nextCursor !== null,
+              next_cursor: nextCursor,
+              groups: groups.slice(0, maxGroups).map(group => {
+                const members = group.profiles.map(summarizeProfile);
+                // The oldest profile has the longest history, so it is the natural one to keep
+                const [oldest] = [...members].sort((a, b) => String(a.created).localeCompare(String(b.created)));
+                return {
+                  matched_on: group.matched_on,
+                  suggested_destination_id: oldest.id,
+                  profiles: members
+                };
+              })
+            };
+
+            if (result.truncated) {
+              result.note = 'Only part of the account was scanned; duplicates spanning scanned and unscanned profiles are not found. Pass next_cursor as page_cursor to continue, or raise max_profiles.';
+            }
+            if (groups.length > maxGroups) {
+              result.groups_omitted = groups.length - maxGroups;
+            }
+
+            return {
+              content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+            };
+          } catch (error) {
+            return {
+              content: [{ type: "text", text: `Error finding duplicate profiles: ${error.message}` }],
+              isError: true
+            };
+          }
+        },
+        { description: "Scan profiles for duplicates whose email, phone number or external ID collide after normalization (letter case, phone formatting, whitespace), grouped with a suggested profile to keep", readOnly: true }
+      );
+
+      // Merge profiles
+      server.tool(
+        "merge_profiles",
+        {
+          destination_id: z.string().describe("ID of the profile to keep"),
+          source_ids: z.array(z.string()).min(1).max(MAX_MERGE_SOURCES).describe("IDs of the profiles to merge into the destination; they are deleted after the merge"),
+          ...dryRunParams,
+          ...confirmationParams
+        },
+        async (params) => {
+          try {
+            const sourceIds = [...new Set(params.source_ids)];
+            if (sourceIds.includes(params.destination_id)) {
+              throw new Error('destination_id cannot also be one of the source_ids');
+            }
+
+            const [destination, ...sources] = await Promise.all(
+              [params.destination_id, ...sourceIds].map(async (id) => (await klaviyoClient.get(`/profiles/${id}/`)).data)
+            );
+            const diff = diffProfiles(destination, sources);
+
+            const confirmation = await requireConfirmation('merge_profiles', params, async () => ({
+              action: `Merge ${sources.length} profile(s) into profile ${destination.id} and delete them`,
+              current_state: {
+                destination: summarizeProfile(destination),
+                sources: sources.map(summarizeProfile),
+                diff
+              }
+            }));
+            if (confirmation) return confirmation;
+
+            // Source profiles are deleted by the merge; keep their identifiers in the audit log
+            addAuditDetails({
+              merge: {
+                destination_id: destination.id,
+                sources: sources.map(source => {
+                  const { id, email, phone_number, external_id } = summarizeProfile(source);
+                  return { id, email, phone_number, external_id };
+                })
+              }
+            });
+
+            const result = { destination_id: destination.id, merged: [], diff };
+
+            for (const source of sources) {
+              const payload = {
+                data: {
+                  type: "profile-merge",
+                  id: destination.id,
+                  relationships: {
+                    profiles: {
+                      data: [{ type: "profile", id: source.id }]
+                    }
+                  }
+                }
+              };
+
+              let response;
+              try {
+                response = await klaviyoClient.post('/profile-merge/', payload, undefined, { dryRun: params.dry_run });
+              } catch (error) {
+                result.error = `Merging profile ${source.id} failed: ${error.message}. Profiles listed under merged were merged before the failure.`;
+                return {
+                  content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+                  isError: true
+                };
+              }
+
+              if (isSimulated(response)) {
+                result.dry_run = true;
+                result.simulated_requests = [...(result.simulated_requests || []), response.request];
+              } else {
+                result.merged.push(source.id);
+              }
+            }
+
+            return {
+              content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+            };
+          } catch (error) {
+            return {
+              content: [{ type: "text", text: `Error merging profiles: ${error.message}` }],
+              isError: true
+            };
+          }
+        },
+        { description: "Merge duplicate profiles into one with Klaviyo's profile merge, showing which attributes differ before merging. Source profiles are deleted and their history moves to the destination (requires confirmation)" }
+      );
     }
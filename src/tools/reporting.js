@@ -5,9 +5,480 @@ import {
   DEFAULT_STATISTICS,
   API_CONFIG,
   FILTER_TEMPLATES,
-  VALID_MEASUREMENTS
+  VALID_MEASUREMENTS,
+  VALID_FLOW_STATISTICS,
+  VALID_SERIES_INTERVALS,
+  TIMEFRAME_OPTIONS,
+  METRIC_AGGREGATE_OPTIONS
 } from '../config.js';
 import logger from '../utils/logger.js';
+import {
+  buildTimeframe,
+  withRateInputs,
+  rollUpResults,
+  resolveTimeframeDates,
+  getLocalDate,
+  getComparisonRange,
+  percentChange,
+  median
+} from '../utils/reports.js';
+import { getList } from '../utils/pagination.js';
+import { equalsFilter, toFilterDatetime } from '../utils/filters.js';
+import { detectAnomalies } from '../utils/anomalies.js';
+import { getResourceNames } from '../utils/resource-names.js';
+import { resolveMetricId, resolveConversionMetricId } from '../utils/metrics.js';
+import {
+  outputFormatParams,
+  formatReport,
+  valuesRows,
+  seriesRows,
+  aggregateRows,
+  comparisonRows
+} from '../utils/report-format.js';
+
+// Parameters shared by the flow and campaign report tools
+const reportParams = {
+  channel: z.enum(["email", "sms", "push"]).optional().describe("Only include messages sent on this channel"),
+  timeframe: z.string().optional().describe(`Predefined timeframe (e.g. last_30_days, last_90_days). Default: ${API_CONFIG.defaultTimeframe}`),
+  start_date: z.string().optional().describe("Custom start date (ISO format, overrides timeframe)"),
+  end_date: z.string().optional().describe("Custom end date (ISO format, overrides timeframe)"),
+  conversion_metric_id: z.string().optional().describe("Name or ID of the metric to use for conversion statistics (default: Placed Order)"),
+  ...outputFormatParams
+};
+
+/**
+ * Describe a report that was re-run with simpler parameters after the requested query failed
+ * @param {Error} error - Error of the requested query
+ * @param {Object} used - Parameters the fallback actually used (timeframe, statistics, ...)
+ * @returns {Object} - Fields to add to the result so it is not mistaken for the requested report
+ */
+function fallbackDetails(error, used) {
+  return { fallback_used: true, fallback_reason: error.message, ...used };
+}
+
+const flowReportParams = {
+  flow_ids: z.array(z.string()).min(1).optional().describe("IDs of the flows to report on (default: all flows)"),
+  breakdown: z.enum(["flow", "flow_message"]).optional().describe("Return one row per flow (default) or per flow message"),
+  statistics: z.array(z.string()).optional().describe(`Statistics to retrieve (${VALID_FLOW_STATISTICS.join(', ')})`),
+  ...reportParams
+};
+
+/**
+ * Request a values or series report for flow or campaign messages
+ *
+ * Klaviyo returns one row per message. When rolling rows up (e.g. per flow)
+ * the count statistics behind any requested rate are requested as well.
+ * @param {string} type - Report type (e.g. "flow-values-report", "campaign-series-report")
+ * @param {Object} params - Tool parameters (statistics, channel, timeframe, dates, conversion_metric_id)
+ * @param {Object} options - Report options
+ * @param {string[]} options.validStatistics - Statistics the report type supports
+ * @param {string[]} [options.filters] - Filters selecting the flows or campaigns
+ * @param {string[]} [options.rollUpBy] - Groupings to roll message rows up to (omit for one row per message)
+ * @param {Object} [options.extraAttributes] - Additional payload attributes (e.g. interval)
+ * @returns {Promise<Object>} - { statistics, timeframe, results[, date_times][, fallback_used, fallback_reason] }
+ */
+async function getMessageReport(type, params, { validStatistics, filters = [], rollUpBy, extraAttributes = {} }) {
+  const endpoint = `/${type}s/`;
+
+  // Validate statistics to ensure they're supported by the API
+  let statistics = (params.statistics || DEFAULT_STATISTICS.standard).filter(stat => validStatistics.includes(stat));
+
+  if (statistics.length === 0) {
+    logger.warn(`No valid statistics provided for ${type}. Using default: ${DEFAULT_STATISTICS.basic}`);
+    statistics = [...DEFAULT_STATISTICS.basic];
+  }
+
+  const reportFilters = [...filters];
+  if (params.channel) reportFilters.push(`equals(send_channel,"${params.channel}")`);
+
+  const buildPayload = (requestedStatistics, timeframe, conversionMetricId) => {
+    const payload = {
+      data: {
+        type,
+        attributes: {
+          statistics: rollUpBy ? withRateInputs(requestedStatistics) : requestedStatistics,
+          timeframe,
+          conversion_metric_id: conversionMetricId,
+          ...extraAttributes
+        }
+      }
+    };
+
+    if (reportFilters.length > 0) {
+      payload.data.attributes.filter = reportFilters.join(',');
+    }
+
+    return payload;
+  };
+
+  let timeframe = buildTimeframe(params);
+  let fallback = null;
+
+  const payload = buildPayload(
+    statistics,
+    timeframe,
+    await resolveConversionMetricId(params.conversion_metric_id)
+  );
+
+  logger.debug(`${type} request payload`, payload);
+
+  // Define the fallback function
+  const fallbackFn = async (error) => {
+    logger.warn(`Error retrieving ${type} with initial parameters: ${error.message}. Attempting fallback.`);
+
+    // Fallback to minimal statistics set and the default timeframe
+    statistics = [...DEFAULT_STATISTICS.basic];
+    timeframe = { key: API_CONFIG.defaultTimeframe };
+    fallback = fallbackDetails(error, {});
+    const fallbackPayload = buildPayload(statistics, timeframe, await resolveConversionMetricId());
+
+    logger.debug(`${type} fallback payload`, fallbackPayload);
+
+    return await klaviyoClient.post(endpoint, fallbackPayload);
+  };
+
+  const report = await klaviyoClient.post(endpoint, payload, fallbackFn);
+  const { results = [], date_times } = report.data.attributes;
+
+  return {
+    statistics,
+    timeframe,
+    ...fallback,
+    ...(date_times ? { date_times } : {}),
+    results: rollUpBy ? rollUpResults(results, rollUpBy, statistics) : results
+  };
+}
+
+/**
+ * Request a flow values or series report with the requested breakdown
+ * @param {string} type - Report type ("flow-values-report" or "flow-series-report")
+ * @param {Object} params - Tool parameters (see flowReportParams)
+ * @param {Object} [extraAttributes] - Additional payload attributes (e.g. interval)
+ * @returns {Promise<Object>} - { breakdown, statistics, results[, date_times] }
+ */
+async function getFlowReport(type, params, extraAttributes = {}) {
+  const breakdown = params.breakdown || 'flow';
+
+  const report = await getMessageReport(type, params, {
+    validStatistics: VALID_FLOW_STATISTICS,
+    filters: params.flow_ids ? [FILTER_TEMPLATES.flowIds(params.flow_ids)] : [],
+    rollUpBy: breakdown === 'flow' ? ['flow_id', 'send_channel'] : undefined,
+    extraAttributes
+  });
+
+  return { breakdown, ...report };
+}
+
+// Statistics shown in the compare_campaigns leaderboard
+const COMPARISON_STATISTICS = ['delivered', 'open_rate', 'click_rate', 'unsubscribe_rate', 'revenue_per_recipient'];
+
+// Statistics where a lower value ranks higher
+const LOWER_IS_BETTER = ['unsubscribe_rate', 'bounce_rate', 'spam_complaint_rate'];
+
+/**
+ * Find the campaigns to compare from explicit IDs or a campaign filter
+ * @param {Object} params - compare_campaigns parameters
+ * @returns {Promise<Object[]>} - Campaigns ({ id, name, send_time })
+ */
+async function findCampaignsToCompare(params) {
+  if (params.campaign_ids) {
+    return Promise.all(params.campaign_ids.map(async (id) => {
+      try {
+        const campaign = await klaviyoClient.get(`/campaigns/${id}/`);
+        const { name, send_time } = campaign.data.attributes;
+        return { id, name, send_time };
+      } catch (error) {
+        logger.warn(`Could not retrieve campaign ${id}: ${error.message}. Comparing it without details.`);
+        return { id, name: null, send_time: null };
+      }
+    }));
+  }
+
+  const sentAfter = params.sent_after ? toFilterDatetime(params.sent_after, 'sent_after') : null;
+  const sentBefore = params.sent_before ? toFilterDatetime(params.sent_before, 'sent_before') : null;
+  if (sentAfter && sentBefore && sentAfter >= sentBefore) {
+    throw new Error('sent_after must be before sent_before');
+  }
+
+  const filters = [`equals(messages.channel,'${params.channel || 'email'}')`, `equals(status,"Sent")`];
+  if (sentAfter) filters.push(`greater-or-equal(scheduled_at,${sentAfter})`);
+  if (sentBefore) filters.push(`less-than(scheduled_at,${sentBefore})`);
+
+  const campaigns = await getList('/campaigns/', { filter: filters.join(','), all_pages: true });
+  let found = campaigns.data.map(campaign => ({
+    id: campaign.id,
+    name: campaign.attributes.name,
+    send_time: campaign.attributes.send_time
+  }));
+
+  if (params.tag) {
+    // Accept a tag name, falling back to treating the value as a tag ID
+    const tags = await klaviyoClient.get('/tags/', { filter: equalsFilter('name', params.tag) });
+    const tagId = tags.data?.[0]?.id || params.tag;
+    const tagged = await getList(`/tags/${encodeURIComponent(tagId)}/relationships/campaigns/`, { all_pages: true });
+    const taggedIds = new Set(tagged.data.map(campaign => campaign.id));
+
+    found = found.filter(campaign => taggedIds.has(campaign.id));
+  }
+
+  // Most recent first, so the cap keeps the latest campaigns
+  found.sort((a, b) => String(b.send_time || '').localeCompare(String(a.send_time || '')));
+  return found.slice(0, params.max_campaigns || 50);
+}
+
+/**
+ * Check a metric aggregate query against Klaviyo's metric-aggregate contract
+ * @param {Object} query - Resolved query
+ * @param {string[]} query.measurements - Measurements
+ * @param {string[]} [query.groupBy] - Group-by dimensions
+ * @param {string[]} [query.filters] - Additional filters
+ * @param {string} [query.sort] - Sort field
+ * @param {string} query.timezone - IANA timezone
+ * @param {Object[]} [query.ranges] - Date ranges that will be queried ({ start, end })
+ * @returns {string[]} - Problems found (empty if the query is valid)
+ */
+function validateAggregateQuery({ measurements, groupBy = [], filters = [], sort, timezone, ranges = [] }) {
+  const problems = [];
+
+  for (const dimension of groupBy) {
+    if (!METRIC_AGGREGATE_OPTIONS.dimensions.includes(dimension)) {
+      problems.push(`Unknown group_by dimension "${dimension}". Valid dimensions: ${METRIC_AGGREGATE_OPTIONS.dimensions.join(', ')}`);
+    }
+  }
+
+  for (const filter of filters) {
+    const match = /^([a-z-]+)\((.+)\)$/.exec(filter.trim());
+    if (!match || !METRIC_AGGREGATE_OPTIONS.filterOperators.includes(match[1])) {
+      problems.push(`Invalid filter "${filter}". Use operator(field,value) with one of: ${METRIC_AGGREGATE_OPTIONS.filterOperators.join(', ')}`);
+    } else if (/^datetime\s*,/.test(match[2])) {
+      problems.push(`Filter "${filter}" restricts datetime. Use start_date/end_date or timeframe instead`);
+    }
+  }
+
+  if (sort && ![...measurements, ...groupBy].includes(sort.replace(/^-/, ''))) {
+    problems.push(`sort must be one of the requested measurements or group_by dimensions, optionally prefixed with '-' for descending (got "${sort}")`);
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    problems.push(`Unknown timezone "${timezone}". Use an IANA timezone name such as "America/New_York"`);
+  }
+
+  for (const range of ranges) {
+    const days = (Date.parse(range.end) - Date.parse(range.start)) / 86400000 + 1;
+    if (Number.isNaN(days) || days < 1) {
+      problems.push(`Invalid date range ${range.start} to ${range.end}`);
+    } else if (days > METRIC_AGGREGATE_OPTIONS.maxRangeDays) {
+      problems.push(`Date range ${range.start} to ${range.end} spans ${days} days; Klaviyo allows at most ${METRIC_AGGREGATE_OPTIONS.maxRangeDays}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Build a metric aggregate request payload
+ * @param {Object} query - Resolved query
+ * @param {string} query.metricId - Metric ID
+ * @param {string[]} query.measurements - Measurements
+ * @param {string} query.interval - Bucket size (hour, day, week or month)
+ * @param {string} query.timezone - IANA timezone
+ * @param {string} [query.timeframe] - Predefined timeframe, used when there is no period
+ * @param {string[]} [query.filters] - Additional filters
+ * @param {string[]} [query.groupBy] - Group-by dimensions
+ * @param {string} [query.sort] - Sort field
+ * @param {number} [query.pageSize] - Maximum number of groups
+ * @param {Object} [period] - Date range ({ start, end } as YYYY-MM-DD, inclusive)
+ * @returns {Object} - Request payload
+ */
+function buildAggregatePayload({ metricId, measurements, interval, timezone, timeframe, filters, groupBy, sort, pageSize }, period) {
+  const payload = {
+    data: {
+      type: "metric-aggregate",
+      attributes: {
+        metric_id: metricId,
+        measurements,
+        interval,
+        filter: [],
+        timezone
+      }
+    }
+  };
+
+  if (period) {
+    payload.data.attributes.filter.push(...FILTER_TEMPLATES.dateRange(
+      `${period.start}T00:00:00`,
+      `${period.end}T23:59:59`
+    ));
+  } else {
+    payload.data.attributes.timeframe = {
+      key: timeframe
+    };
+  }
+
+  if (filters) {
+    payload.data.attributes.filter.push(...filters);
+  }
+
+  if (groupBy) {
+    payload.data.attributes.by = groupBy;
+  }
+
+  if (sort) {
+    payload.data.attributes.sort = sort;
+  }
+
+  if (pageSize) {
+    payload.data.attributes.page_size = pageSize;
+  }
+
+  return payload;
+}
+
+/**
+ * Align two metric aggregate responses bucket by bucket and group by group
+ *
+ * Buckets are matched by position, so both periods should span the same
+ * number of intervals. Groups missing from one period count as 0 there.
+ * @param {Object} current - Metric aggregate response for the current period
+ * @param {Object} previous - Metric aggregate response for the comparison period
+ * @param {string[]} measurements - Measurements to compare
+ * @returns {Object[]} - Per-group totals and bucket changes
+ */
+function compareAggregates(current, previous, measurements) {
+  const { dates = [], data: currentGroups = [] } = current.data.attributes;
+  const { dates: compareDates = [], data: previousGroups = [] } = previous.data.attributes;
+
+  const groups = new Map();
+  for (const [period, rows] of [['current', currentGroups], ['previous', previousGroups]]) {
+    for (const row of rows) {
+      const key = JSON.stringify(row.dimensions || []);
+      if (!groups.has(key)) groups.set(key, { dimensions: row.dimensions || [] });
+      groups.get(key)[period] = row.measurements || {};
+    }
+  }
+
+  const sum = (values = []) => values.reduce((total, value) => total + (value || 0), 0);
+
+  return Array.from(groups.values()).map(group => ({
+    dimensions: group.dimensions,
+    measurements: Object.fromEntries(measurements.map(measurement => {
+      const currentValues = group.current?.[measurement] || [];
+      const previousValues = group.previous?.[measurement] || [];
+      const currentTotal = sum(currentValues);
+      const previousTotal = sum(previousValues);
+
+      return [measurement, {
+        current: currentTotal,
+        previous: previousTotal,
+        absolute_change: currentTotal - previousTotal,
+        percent_change: percentChange(currentTotal, previousTotal),
+        buckets: dates.map((date, i) => ({
+          date,
+          compare_date: compareDates[i] ?? null,
+          current: currentValues[i] || 0,
+          previous: previousValues[i] || 0,
+          absolute_change: (currentValues[i] || 0) - (previousValues[i] || 0),
+          percent_change: percentChange(currentValues[i] || 0, previousValues[i] || 0)
+        }))
+      }];
+    }))
+  }));
+}
+
+// Seasonality used by detect_metric_anomalies: buckets per season and the default number of seasons in the baseline
+const ANOMALY_SEASONS = {
+  day: { season: 7, baselinePeriods: 4, defaultTimeframe: 'last_90_days' },
+  hour: { season: 24, baselinePeriods: 7, defaultTimeframe: 'last_14_days' }
+};
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Explain an anomaly in one sentence
+ * @param {Object} anomaly - Anomaly from detectAnomalies()
+ * @param {Object} context - Series context
+ * @param {string} context.label - Metric and measurement (e.g. "Bounced Email count")
+ * @param {string} context.date - Bucket date
+ * @param {string} context.interval - "day" or "hour"
+ * @param {boolean} context.seasonal - Whether the baseline is seasonal
+ * @param {number} context.baselinePeriods - Number of values in the baseline
+ * @returns {string} - Explanation
+ */
+function explainAnomaly({ value, expected, z_score, percent_change }, { label, date, interval, seasonal, baselinePeriods }) {
+  const when = interval === 'hour' ? `${date.slice(0, 10)} ${date.slice(11, 16)}` : date.slice(0, 10);
+  const baseline = !seasonal
+    ? `the previous ${baselinePeriods} ${interval}s`
+    : interval === 'hour'
+      ? `the same hour on the previous ${baselinePeriods} days`
+      : `the previous ${baselinePeriods} ${WEEKDAYS[new Date(`${date.slice(0, 10)}T00:00:00Z`).getUTCDay()]}s`;
+  const change = percent_change === null ? '' : ` (${percent_change > 0 ? '+' : ''}${percent_change}%)`;
+
+  return `${label} was ${value} on ${when}, ${Math.abs(z_score)} standard deviations ${z_score > 0 ? 'above' : 'below'} the expected ${expected}${change} based on ${baseline}`;
+}
+
+/**
+ * Sum conversion revenue and orders per group for a date range
+ *
+ * Grouped results are paged through `links.next`, up to API_CONFIG.maxPaginatedPages pages.
+ * @param {string} metricId - Conversion metric ID
+ * @param {Object} range - Period ({ start, end } as YYYY-MM-DD, inclusive)
+ * @param {string[]} groupBy - Group-by dimensions (empty for one overall total)
+ * @param {string} timezone - IANA timezone
+ * @returns {Promise<Object>} - { groups: [{ dimensions, revenue, orders }], truncated } where truncated means more groups were left unread
+ */
+async function getConversionTotals(metricId, range, groupBy, timezone) {
+  const payload = buildAggregatePayload({
+    metricId,
+    measurements: ['sum_value', 'count'],
+    // Monthly buckets keep the response small; they are summed below
+    interval: 'month',
+    timezone,
+    ...(groupBy.length > 0 ? { groupBy, pageSize: METRIC_AGGREGATE_OPTIONS.maxPageSize } : {})
+  }, range);
+
+  const sum = (values = []) => values.reduce((total, value) => total + (value || 0), 0);
+  const groups = [];
+  let cursor = null;
+  let pages = 0;
+
+  do {
+    if (cursor) payload.data.attributes.page_cursor = cursor;
+
+    const response = await klaviyoClient.post('/metric-aggregates/', payload);
+    pages++;
+
+    for (const { dimensions, measurements } of response.data.attributes.data || []) {
+      groups.push({
+        dimensions: dimensions || [],
+        revenue: sum(measurements?.sum_value),
+        orders: sum(measurements?.count)
+      });
+    }
+
+    // The cursor goes in the request body, so it is sent decoded
+    const next = klaviyoClient.getNextCursor(response);
+    cursor = next ? decodeURIComponent(next) : null;
+
+    if (response.links?.next && !cursor) {
+      logger.warn('Could not read the next page cursor of a metric aggregate response');
+      return { groups, truncated: true };
+    }
+  } while (cursor && pages < API_CONFIG.maxPaginatedPages);
+
+  return { groups, truncated: cursor !== null };
+}
+
+/**
+ * Get a part's share of a total in percent
+ * @param {number} part - Part
+ * @param {number} total - Total
+ * @returns {number|null} - Share in percent (2 decimals), or null if the total is 0
+ */
+function sharePercent(part, total) {
+  return total ? Number(((part / total) * 100).toFixed(2)) : null;
+}
 
 export function registerReportingTools(server) {
   // Get campaign values (metrics)
@@ -18,7 +489,8 @@ export function registerReportingTools(server) {
       metrics: z.array(z.string()).optional().describe("Specific metrics to retrieve (e.g., ['open_rate', 'click_rate', 'delivered', 'bounce_rate'])"),
       start_date: z.string().optional().describe("Start date for metrics (ISO format)"),
       end_date: z.string().optional().describe("End date for metrics (ISO format)"),
-      conversion_metric_id: z.string().optional().describe("ID of the metric to use for conversion statistics")
+      conversion_metric_id: z.string().optional().describe("Name or ID of the metric to use for conversion statistics (default: Placed Order)"),
+      ...outputFormatParams
     },
     async (params) => {
       try {
@@ -42,7 +514,7 @@ export function registerReportingTools(server) {
             attributes: {
               statistics: validatedStatistics,
               filter: FILTER_TEMPLATES.campaignId(params.id),
-              conversion_metric_id: params.conversion_metric_id || API_CONFIG.defaultConversionMetricId
+              conversion_metric_id: await resolveConversionMetricId(params.conversion_metric_id)
             }
           }
         };
@@ -77,7 +549,7 @@ export function registerReportingTools(server) {
                 timeframe: {
                   key: API_CONFIG.defaultTimeframe
                 },
-                conversion_metric_id: API_CONFIG.defaultConversionMetricId,
+                conversion_metric_id: await resolveConversionMetricId(),
                 filter: FILTER_TEMPLATES.campaignId(params.id)
               }
             }
@@ -88,7 +560,13 @@ export function registerReportingTools(server) {
           const fallbackResults = await klaviyoClient.post('/campaign-values-reports/', fallbackPayload);
           logger.info(`Successfully retrieved basic campaign metrics for campaign ID: ${params.id} using fallback`);
           
-          return fallbackResults;
+          return {
+            ...fallbackResults,
+            ...fallbackDetails(error, {
+              timeframe: fallbackPayload.data.attributes.timeframe,
+              statistics: fallbackPayload.data.attributes.statistics
+            })
+          };
         };
 
         // Use the post method with the fallback function
@@ -96,9 +574,7 @@ export function registerReportingTools(server) {
 
         logger.info(`Successfully retrieved campaign metrics for campaign ID: ${params.id}`);
 
-        return {
-          content: [{ type: "text", text: JSON.stringify(results, null, 2) }]
-        };
+        return formatReport(results, () => valuesRows(results.data.attributes.results), params);
       } catch (error) {
         logger.error(`Failed to retrieve campaign metrics (including fallback attempt): ${error.message}`, {
           campaignId: params.id
@@ -110,158 +586,163 @@ export function registerReportingTools(server) {
         };
       }
     },
-    { description: "Get performance metrics for a specific campaign (open rates, click rates, etc.)" }
+    { description: "Get performance metrics for a specific campaign (open rates, click rates, etc.)", readOnly: true }
   );
 
   // Query metric aggregates for custom analytics
   server.tool(
     "query_metric_aggregates",
     {
-      metric_id: z.string().describe("ID of the metric to aggregate"),
-      measurement: z.string().describe("Measurement to use (e.g., count, sum, unique)"),
+      metric_id: z.string().describe("Name or ID of the metric to aggregate (e.g. Placed Order)"),
+      measurement: z.string().optional().describe(`Measurement to use (${VALID_MEASUREMENTS.join(', ')}). Default: count`),
+      measurements: z.array(z.string()).min(1).optional().describe("Several measurements to return at once (overrides measurement)"),
       timeframe: z.string().describe("Timeframe to use (e.g., last_30_days, this_month)"),
-      group_by: z.array(z.string()).optional().describe("Dimensions to group by"),
+      group_by: z.array(z.string()).optional().describe("Dimensions to group by (e.g. $attributed_flow, $message, Campaign Name)"),
       start_date: z.string().optional().describe("Custom start date (ISO format, overrides timeframe)"),
-      end_date: z.string().optional().describe("Custom end date (ISO format, overrides timeframe)")
+      end_date: z.string().optional().describe("Custom end date (ISO format, overrides timeframe)"),
+      interval: z.enum(METRIC_AGGREGATE_OPTIONS.intervals).optional().describe("Size of each time bucket (default: day)"),
+      timezone: z.string().optional().describe("IANA timezone for bucket boundaries (e.g. America/New_York). Default: UTC"),
+      filters: z.array(z.string()).optional().describe("Additional property filters, e.g. equals($attributed_flow,\"XyZ123\")"),
+      sort: z.string().optional().describe("Sort grouped results by a measurement or group_by dimension; prefix with '-' for descending (e.g. -sum_value)"),
+      page_size: z.number().int().min(1).max(METRIC_AGGREGATE_OPTIONS.maxPageSize).optional().describe(`Maximum number of groups to return (1-${METRIC_AGGREGATE_OPTIONS.maxPageSize})`),
+      compare_to: z.enum(["previous_period", "same_period_last_year", "custom"]).optional().describe("Also query a comparison period and return absolute and percentage changes per group"),
+      compare_start_date: z.string().optional().describe("Start date of the comparison period (ISO format, compare_to 'custom' only)"),
+      compare_end_date: z.string().optional().describe("End date of the comparison period (ISO format, compare_to 'custom' only)"),
+      ...outputFormatParams
     },
     async (params) => {
       try {
         logger.info(`Querying metric aggregates for metric ID: ${params.metric_id}`);
 
-        // Validate measurement
-        if (!VALID_MEASUREMENTS.includes(params.measurement)) {
-          logger.warn(`Invalid measurement: ${params.measurement}. Using 'count' instead.`);
-          params.measurement = 'count';
-        }
+        const metricId = await resolveMetricId(params.metric_id);
 
-        // Create payload
-        const payload = {
-          data: {
-            type: "metric-aggregate",
-            attributes: {
-              metric_id: params.metric_id,
-              measurements: [params.measurement],
-              interval: "day",
-              filter: [],
-              timezone: "UTC"
-            }
+        // Validate measurements ('sum' is accepted as an alias of 'sum_value')
+        const measurements = [...new Set((params.measurements || [params.measurement || 'count']).map(measurement => {
+          if (measurement === 'sum') return 'sum_value';
+          if (!VALID_MEASUREMENTS.includes(measurement)) {
+            logger.warn(`Invalid measurement: ${measurement}. Using 'count' instead.`);
+            return 'count';
           }
-        };
+          return measurement;
+        }))];
+        const interval = params.interval || 'day';
+        const timezone = params.timezone || 'UTC';
 
-        // Use custom dates if provided, otherwise use timeframe parameter
+        // Resolve the period to query: custom dates, a predefined timeframe or the last 7 days
+        let range;
         if (params.start_date && params.end_date) {
-          // Use custom date range
-          const startDateStr = params.start_date.split('T')[0];
-          const endDateStr = params.end_date.split('T')[0];
-
-          const dateFilters = FILTER_TEMPLATES.dateRange(
-            `${startDateStr}T00:00:00`,
-            `${endDateStr}T23:59:59`
-          );
-
-          payload.data.attributes.filter.push(...dateFilters);
-          logger.debug(`Using custom date range: ${startDateStr} to ${endDateStr}`);
+          range = { start: params.start_date.split('T')[0], end: params.end_date.split('T')[0] };
+          logger.debug(`Using custom date range: ${range.start} to ${range.end}`);
         } else if (TIMEFRAME_OPTIONS[params.timeframe]) {
-          // Use predefined timeframe if valid
-          if (params.timeframe === "last_30_days") {
-            const endDate = new Date();
-            const startDate = new Date();
-            startDate.setDate(startDate.getDate() - 30);
-
-            const startDateStr = startDate.toISOString().split('T')[0];
-            const endDateStr = endDate.toISOString().split('T')[0];
-
-            const dateFilters = FILTER_TEMPLATES.dateRange(
-              `${startDateStr}T00:00:00`,
-              `${endDateStr}T23:59:59`
-            );
-
-            payload.data.attributes.filter.push(...dateFilters);
-            logger.debug(`Using timeframe: ${params.timeframe} (${startDateStr} to ${endDateStr})`);
-          } else if (params.timeframe === "this_month") {
-            const now = new Date();
-            const firstDay = new Date(now.getFullYear(), now.getMonth(), 1);
-
-            const startDateStr = firstDay.toISOString().split('T')[0];
-            const endDateStr = now.toISOString().split('T')[0];
-
-            const dateFilters = FILTER_TEMPLATES.dateRange(
-              `${startDateStr}T00:00:00`,
-              `${endDateStr}T23:59:59`
-            );
-
-            payload.data.attributes.filter.push(...dateFilters);
-            logger.debug(`Using timeframe: ${params.timeframe} (${startDateStr} to ${endDateStr})`);
-          } else {
-            logger.debug(`Using predefined timeframe: ${params.timeframe}`);
-            payload.data.attributes.timeframe = {
-              key: params.timeframe
-            };
-          }
+          range = resolveTimeframeDates(params.timeframe);
+          logger.debug(range
+            ? `Using timeframe: ${params.timeframe} (${range.start} to ${range.end})`
+            : `Using predefined timeframe: ${params.timeframe}`);
         } else {
-          // Default to last 7 days if timeframe is not recognized
-          const endDate = new Date();
-          const startDate = new Date();
-          startDate.setDate(startDate.getDate() - 7);
+          range = resolveTimeframeDates('last_7_days');
+          logger.debug(`Using default 7-day range: ${range.start} to ${range.end}`);
+        }
 
-          const startDateStr = startDate.toISOString().split('T')[0];
-          const endDateStr = endDate.toISOString().split('T')[0];
+        const compareRange = params.compare_to && range
+          ? getComparisonRange(range, params.compare_to, { start: params.compare_start_date, end: params.compare_end_date })
+          : null;
 
-          const dateFilters = FILTER_TEMPLATES.dateRange(
-            `${startDateStr}T00:00:00`,
-            `${endDateStr}T23:59:59`
-          );
+        const problems = validateAggregateQuery({
+          measurements,
+          groupBy: params.group_by,
+          filters: params.filters,
+          sort: params.sort,
+          timezone,
+          ranges: [range, compareRange].filter(Boolean)
+        });
 
-          payload.data.attributes.filter.push(...dateFilters);
-          logger.debug(`Using default 7-day range: ${startDateStr} to ${endDateStr}`);
+        if (problems.length > 0) {
+          return {
+            content: [{ type: "text", text: `Invalid metric aggregate query:\n- ${problems.join('\n- ')}` }],
+            isError: true
+          };
         }
 
+        // Create payload for a date range (or the predefined timeframe if it has no fixed range)
+        const buildPayload = (period) => buildAggregatePayload({
+          metricId,
+          measurements,
+          interval,
+          timezone,
+          timeframe: params.timeframe,
+          filters: params.filters,
+          groupBy: params.group_by,
+          sort: params.sort,
+          pageSize: params.page_size
+        }, period);
+
         if (params.group_by) {
-          payload.data.attributes.by = params.group_by;
           logger.debug(`Grouping by: ${params.group_by.join(', ')}`);
         }
 
+        if (params.compare_to) {
+          if (!range) {
+            throw new Error(`compare_to needs a bounded period. Use start_date/end_date instead of the '${params.timeframe}' timeframe.`);
+          }
+
+          logger.debug(`Comparing ${range.start}..${range.end} with ${compareRange.start}..${compareRange.end}`);
+
+          // No fallback here: a simplified query for one period would not be comparable with the other
+          const current = await klaviyoClient.post('/metric-aggregates/', buildPayload(range));
+          const previous = await klaviyoClient.post('/metric-aggregates/', buildPayload(compareRange));
+
+          const comparison = {
+            metric_id: metricId,
+            compare_to: params.compare_to,
+            period: range,
+            compare_period: compareRange,
+            groups: compareAggregates(current, previous, measurements)
+          };
+
+          logger.info(`Successfully compared metric aggregates for metric ID: ${params.metric_id}`);
+
+          return formatReport(comparison, () => comparisonRows(comparison.groups, params.group_by), params);
+        }
+
+        const payload = buildPayload(range);
+
         logger.debug('Metric aggregates request payload', payload);
 
         // Define the fallback function
         const fallbackFn = async (error) => {
           logger.warn(`Error querying metric aggregates: ${error.message}. Attempting fallback.`);
           
-          // Simplified fallback payload with minimal parameters
+          // Simplified fallback payload with minimal parameters and a default time range (last 7 days)
+          const fallbackRange = resolveTimeframeDates('last_7_days');
           const fallbackPayload = {
             data: {
               type: "metric-aggregate",
               attributes: {
-                metric_id: params.metric_id,
+                metric_id: metricId,
                 measurements: ["count"], // Default to count measurement
                 interval: "day",
-                filter: [],
+                filter: FILTER_TEMPLATES.dateRange(
+                  `${fallbackRange.start}T00:00:00`,
+                  `${fallbackRange.end}T23:59:59`
+                ),
                 timezone: "UTC"
               }
             }
           };
 
-          // Use a default time range for the fallback (last 7 days)
-          const endDate = new Date();
-          const startDate = new Date();
-          startDate.setDate(startDate.getDate() - 7);
-
-          const startDateStr = startDate.toISOString().split('T')[0];
-          const endDateStr = endDate.toISOString().split('T')[0];
-
-          const dateFilters = FILTER_TEMPLATES.dateRange(
-            `${startDateStr}T00:00:00`,
-            `${endDateStr}T23:59:59`
-          );
-
-          fallbackPayload.data.attributes.filter.push(...dateFilters);
-
           logger.debug('Metric aggregates fallback payload', fallbackPayload);
           
           const fallbackResults = await klaviyoClient.post('/metric-aggregates/', fallbackPayload);
           logger.info(`Successfully retrieved basic metric aggregates for metric ID: ${params.metric_id} using fallback`);
           
-          return fallbackResults;
+          return {
+            ...fallbackResults,
+            ...fallbackDetails(error, {
+              period: fallbackRange,
+              measurements: fallbackPayload.data.attributes.measurements,
+              interval: fallbackPayload.data.attributes.interval
+            })
+          };
         };
 
         // Ensure endpoint has trailing slash for consistency
@@ -269,9 +750,7 @@ export function registerReportingTools(server) {
 
         logger.info(`Successfully retrieved metric aggregates for metric ID: ${params.metric_id}`);
 
-        return {
-          content: [{ type: "text", text: JSON.stringify(results, null, 2) }]
-        };
+        return formatReport(results, () => aggregateRows(results.data.attributes, params.group_by), params);
       } catch (error) {
         logger.error(`Failed to query metric aggregates (including fallback attempt): ${error.message}`, {
           metricId: params.metric_id
@@ -283,14 +762,15 @@ export function registerReportingTools(server) {
         };
       }
     },
-    { description: "Query aggregated metric data for custom analytics reporting" }
+    { description: "Query aggregated metric data for custom analytics reporting, optionally compared with a previous period", readOnly: true }
   );
 
   // Get campaign performance summary
   server.tool(
     "get_campaign_performance",
     {
-      id: z.string().describe("ID of the campaign to retrieve performance for")
+      id: z.string().describe("ID of the campaign to retrieve performance for"),
+      ...outputFormatParams
     },
     async (params) => {
       try {
@@ -343,7 +823,7 @@ export function registerReportingTools(server) {
               timeframe: {
                 key: "last_30_days"  // Use a valid timeframe
               },
-              conversion_metric_id: API_CONFIG.defaultConversionMetricId,
+              conversion_metric_id: await resolveConversionMetricId(),
               filter: FILTER_TEMPLATES.campaignId(params.id)
             }
           }
@@ -364,7 +844,7 @@ export function registerReportingTools(server) {
                 timeframe: {
                   key: "last_30_days"
                 },
-                conversion_metric_id: API_CONFIG.defaultConversionMetricId,
+                conversion_metric_id: await resolveConversionMetricId(),
                 filter: FILTER_TEMPLATES.campaignId(params.id)
               }
             }
@@ -372,23 +852,31 @@ export function registerReportingTools(server) {
 
           logger.debug('Campaign performance fallback payload', fallbackPayload);
           
-          return await klaviyoClient.post('/campaign-values-reports/', fallbackPayload);
+          const fallbackResults = await klaviyoClient.post('/campaign-values-reports/', fallbackPayload);
+          return {
+            ...fallbackResults,
+            ...fallbackDetails(error, { statistics: fallbackPayload.data.attributes.statistics })
+          };
         };
 
         const metrics = await klaviyoClient.post('/campaign-values-reports/', payload, metricsFallbackFn);
 
         // Format the results for easier consumption
+        const { fallback_used, fallback_reason, statistics: fallbackStatistics } = metrics;
         const performance = {
           campaign_name: campaign.data.attributes.name,
           send_time: campaign.data.attributes.send_time,
+          ...(fallback_used ? { fallback_used, fallback_reason, statistics: fallbackStatistics } : {}),
           metrics: metrics.data.attributes
         };
 
         logger.info(`Successfully retrieved campaign performance for campaign ID: ${params.id}`);
 
-        return {
-          content: [{ type: "text", text: JSON.stringify(performance, null, 2) }]
-        };
+        return formatReport(performance, () => valuesRows(performance.metrics.results).map(row => ({
+          campaign_name: performance.campaign_name,
+          send_time: performance.send_time,
+          ...row
+        })), params);
       } catch (error) {
         logger.error(`Failed to retrieve campaign performance: ${error.message}`, {
           campaignId: params.id
@@ -400,6 +888,455 @@ export function registerReportingTools(server) {
         };
       }
     },
-    { description: "Get a comprehensive performance summary for a campaign" }
+    { description: "Get a comprehensive performance summary for a campaign", readOnly: true }
+  );
+
+  // Get flow values (metrics)
+  server.tool(
+    "get_flow_metrics",
+    flowReportParams,
+    async (params) => {
+      try {
+        logger.info(`Retrieving flow metrics${params.flow_ids ? ` for flow IDs: ${params.flow_ids.join(', ')}` : ''}`);
+
+        const report = await getFlowReport('flow-values-report', params);
+
+        logger.info(`Successfully retrieved flow metrics (${report.results.length} rows)`);
+
+        return formatReport(report, () => valuesRows(report.results), params);
+      } catch (error) {
+        logger.error(`Failed to retrieve flow metrics (including fallback attempt): ${error.message}`, {
+          flowIds: params.flow_ids
+        });
+
+        return {
+          content: [{ type: "text", text: `Error retrieving flow metrics (including fallback attempt): ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    { description: "Get performance totals for flows (open rates, click rates, revenue, etc.) per flow or per flow message", readOnly: true }
+  );
+
+  // Get flow series (metrics over time)
+  server.tool(
+    "get_flow_series",
+    {
+      ...flowReportParams,
+      interval: z.enum(VALID_SERIES_INTERVALS).optional().describe("Size of each time bucket (default: weekly)")
+    },
+    async (params) => {
+      try {
+        logger.info(`Retrieving flow series${params.flow_ids ? ` for flow IDs: ${params.flow_ids.join(', ')}` : ''}`);
+
+        const report = await getFlowReport('flow-series-report', params, {
+          interval: params.interval || 'weekly'
+        });
+
+        logger.info(`Successfully retrieved flow series (${report.results.length} rows)`);
+
+        return formatReport(report, () => seriesRows(report.results, report.date_times), params);
+      } catch (error) {
+        logger.error(`Failed to retrieve flow series (including fallback attempt): ${error.message}`, {
+          flowIds: params.flow_ids
+        });
+
+        return {
+          content: [{ type: "text", text: `Error retrieving flow series (including fallback attempt): ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    { description: "Get flow performance over time as hourly, daily, weekly or monthly series per flow or per flow message", readOnly: true }
+  );
+
+  // Get campaign series (metrics over time)
+  server.tool(
+    "get_campaign_series",
+    {
+      campaign_ids: z.array(z.string()).min(1).optional().describe("IDs of the campaigns to report on (default: all campaigns)"),
+      breakdown: z.enum(["campaign", "campaign_message"]).optional().describe("Return one series per campaign (default) or per campaign message"),
+      statistics: z.array(z.string()).optional().describe(`Statistics to retrieve (e.g. open_rate, click_rate, conversion_value). Valid: ${VALID_CAMPAIGN_STATISTICS.join(', ')}`),
+      interval: z.enum(VALID_SERIES_INTERVALS).optional().describe("Size of each time bucket (default: daily)"),
+      ...reportParams
+    },
+    async (params) => {
+      try {
+        logger.info(`Retrieving campaign series${params.campaign_ids ? ` for campaign IDs: ${params.campaign_ids.join(', ')}` : ''}`);
+
+        const breakdown = params.breakdown || 'campaign';
+
+        const report = await getMessageReport('campaign-series-report', params, {
+          validStatistics: VALID_CAMPAIGN_STATISTICS,
+          filters: params.campaign_ids ? [FILTER_TEMPLATES.campaignIds(params.campaign_ids)] : [],
+          rollUpBy: breakdown === 'campaign' ? ['campaign_id', 'send_channel'] : undefined,
+          extraAttributes: { interval: params.interval || 'daily' }
+        });
+
+        logger.info(`Successfully retrieved campaign series (${report.results.length} rows)`);
+
+        return formatReport({ breakdown, ...report }, () => seriesRows(report.results, report.date_times), params);
+      } catch (error) {
+        logger.error(`Failed to retrieve campaign series (including fallback attempt): ${error.message}`, {
+          campaignIds: params.campaign_ids
+        });
+
+        return {
+          content: [{ type: "text", text: `Error retrieving campaign series (including fallback attempt): ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    { description: "Get campaign performance over time (e.g. daily opens, clicks and revenue after send) for one or many campaigns", readOnly: true }
+  );
+
+  // Compare campaigns
+  server.tool(
+    "compare_campaigns",
+    {
+      campaign_ids: z.array(z.string()).min(1).optional().describe("IDs of the campaigns to compare (alternative to the campaign filter)"),
+      channel: z.enum(["email", "sms"]).optional().describe("Channel of the campaigns to compare when filtering (default: email)"),
+      sent_after: z.string().optional().describe("Only compare campaigns scheduled at or after this date (ISO format)"),
+      sent_before: z.string().optional().describe("Only compare campaigns scheduled before this date (ISO format)"),
+      tag: z.string().optional().describe("Only compare campaigns with this tag (name or ID)"),
+      max_campaigns: z.number().min(2).max(200).optional().describe("Maximum number of campaigns to compare when filtering, most recent first (default: 50)"),
+      rank_by: z.enum(COMPARISON_STATISTICS).optional().describe("Statistic to rank by (default: revenue_per_recipient)"),
+      timeframe: z.string().optional().describe("Predefined reporting timeframe covering the sends (default: last_365_days)"),
+      start_date: z.string().optional().describe("Custom reporting start date (ISO format, overrides timeframe)"),
+      end_date: z.string().optional().describe("Custom reporting end date (ISO format, overrides timeframe)"),
+      conversion_metric_id: z.string().optional().describe("Name or ID of the metric to use for conversion statistics (default: Placed Order)"),
+      ...outputFormatParams
+    },
+    async (params) => {
+      try {
+        const campaigns = await findCampaignsToCompare(params);
+        if (campaigns.length === 0) {
+          return {
+            content: [{ type: "text", text: "No sent campaigns match the given filter" }]
+          };
+        }
+
+        logger.info(`Comparing ${campaigns.length} campaigns`);
+
+        // Request values reports in batches of campaign IDs
+        const timeframe = buildTimeframe({ timeframe: 'last_365_days', ...params });
+        const statistics = withRateInputs(COMPARISON_STATISTICS);
+        const conversionMetricId = await resolveConversionMetricId(params.conversion_metric_id);
+        const rows = [];
+
+        for (let i = 0; i < campaigns.length; i += API_CONFIG.reportBatchSize) {
+          const ids = campaigns.slice(i, i + API_CONFIG.reportBatchSize).map(campaign => campaign.id);
+          const payload = {
+            data: {
+              type: "campaign-values-report",
+              attributes: {
+                statistics,
+                timeframe,
+                conversion_metric_id: conversionMetricId,
+                filter: FILTER_TEMPLATES.campaignIds(ids)
+              }
+            }
+          };
+
+          logger.debug('Campaign comparison request payload', payload);
+
+          const report = await klaviyoClient.post('/campaign-values-reports/', payload);
+          rows.push(...(report.data.attributes.results || []));
+        }
+
+        const totals = new Map(
+          rollUpResults(rows, ['campaign_id'], COMPARISON_STATISTICS)
+            .map(row => [row.groupings.campaign_id, row.statistics])
+        );
+
+        const medians = Object.fromEntries(COMPARISON_STATISTICS.map(statistic => [
+          statistic,
+          median(Array.from(totals.values()).map(row => row[statistic]))
+        ]));
+
+        const rankBy = params.rank_by || 'revenue_per_recipient';
+        const direction = LOWER_IS_BETTER.includes(rankBy) ? 1 : -1;
+
+        const leaderboard = campaigns
+          .filter(campaign => totals.has(campaign.id))
+          .map(campaign => {
+            const values = totals.get(campaign.id);
+            return {
+              ...campaign,
+              ...values,
+              vs_median: Object.fromEntries(COMPARISON_STATISTICS.map(statistic => {
+                const delta = values[statistic] - medians[statistic];
+                return [statistic, {
+                  delta: Number(delta.toFixed(6)),
+                  percent_change: percentChange(values[statistic], medians[statistic])
+                }];
+              }))
+            };
+          })
+          .sort((a, b) => direction * (a[rankBy] - b[rankBy]))
+          .map((row, index) => ({ rank: index + 1, ...row }));
+
+        const result = {
+          rank_by: rankBy,
+          timeframe,
+          campaigns_compared: leaderboard.length,
+          median: medians,
+          leaderboard,
+          without_report_data: campaigns.filter(campaign => !totals.has(campaign.id)).map(campaign => campaign.id)
+        };
+
+        return formatReport(result, () => result.leaderboard.map(({ vs_median, ...row }) => ({
+          ...row,
+          ...Object.fromEntries(Object.entries(vs_median).map(([statistic, change]) => [`${statistic}_vs_median_pct`, change.percent_change]))
+        })), params);
+      } catch (error) {
+        logger.error(`Failed to compare campaigns: ${error.message}`, {
+          campaignIds: params.campaign_ids
+        });
+
+        return {
+          content: [{ type: "text", text: `Error comparing campaigns: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    { description: "Rank several campaigns by delivered, open/click rate, unsubscribe rate and revenue per recipient, with deltas versus the group median", readOnly: true }
+  );
+
+  // Revenue attribution by flow and campaign
+  server.tool(
+    "attribution_report",
+    {
+      timeframe: z.string().optional().describe(`Period to report on (e.g. this_quarter, last_quarter, last_90_days). Default: ${API_CONFIG.defaultTimeframe}`),
+      start_date: z.string().optional().describe("Custom start date (ISO format, overrides timeframe)"),
+      end_date: z.string().optional().describe("Custom end date (ISO format, overrides timeframe)"),
+      breakdown: z.enum(["source", "message"]).optional().describe("One row per flow or campaign (default) or per flow message"),
+      conversion_metric_id: z.string().optional().describe("Name or ID of the conversion metric (default: Placed Order)"),
+      timezone: z.string().optional().describe("IANA timezone for the period boundaries (default: UTC)"),
+      ...outputFormatParams
+    },
+    async (params) => {
+      try {
+        const breakdown = params.breakdown || 'source';
+        const timezone = params.timezone || 'UTC';
+        const timeframe = params.timeframe || API_CONFIG.defaultTimeframe;
+
+        const range = params.start_date && params.end_date
+          ? { start: params.start_date.split('T')[0], end: params.end_date.split('T')[0] }
+          : resolveTimeframeDates(timeframe);
+
+        if (!range) {
+          throw new Error(`attribution_report needs a bounded period. Use start_date/end_date instead of the '${timeframe}' timeframe.`);
+        }
+
+        const groupBy = ['$attributed_flow', '$attributed_message'];
+        const problems = validateAggregateQuery({ measurements: ['sum_value', 'count'], groupBy, timezone, ranges: [range] });
+        if (problems.length > 0) {
+          return {
+            content: [{ type: "text", text: `Invalid attribution report:\n- ${problems.join('\n- ')}` }],
+            isError: true
+          };
+        }
+
+        const metricId = await resolveConversionMetricId(params.conversion_metric_id);
+        logger.info(`Building attribution report for ${range.start} to ${range.end} (metric ${metricId})`);
+
+        const { groups: [overall] } = await getConversionTotals(metricId, range, [], timezone);
+        const { groups, truncated } = await getConversionTotals(metricId, range, groupBy, timezone);
+
+        // Flow conversions carry the flow and flow message; campaign conversions only the campaign as message
+        const sources = new Map();
+        for (const { dimensions: [flowId, messageId], revenue, orders } of groups) {
+          if (!flowId && !messageId) continue;
+
+          const source = flowId
+            ? { type: 'flow', id: flowId, message_id: breakdown === 'message' ? messageId || null : undefined }
+            : { type: 'campaign', id: messageId };
+          const key = JSON.stringify(source);
+
+          if (!sources.has(key)) sources.set(key, { ...source, revenue: 0, orders: 0 });
+          sources.get(key).revenue += revenue;
+          sources.get(key).orders += orders;
+        }
+
+        const rows = Array.from(sources.values());
+        const flowNames = await getResourceNames('flows', rows.filter(row => row.type === 'flow').map(row => row.id));
+        const campaignNames = await getResourceNames('campaigns', rows.filter(row => row.type === 'campaign').map(row => row.id));
+        const messageNames = breakdown === 'message'
+          ? await getResourceNames('flow-messages', rows.filter(row => row.message_id).map(row => row.message_id))
+          : new Map();
+
+        const total = { revenue: overall?.revenue || 0, orders: overall?.orders || 0 };
+        const summarize = (revenue, orders) => ({
+          revenue: Number(revenue.toFixed(2)),
+          orders,
+          revenue_share_percent: sharePercent(revenue, total.revenue),
+          order_share_percent: sharePercent(orders, total.orders)
+        });
+        const sumOf = (list, field) => list.reduce((sum, row) => sum + row[field], 0);
+
+        const flows = rows.filter(row => row.type === 'flow');
+        const campaigns = rows.filter(row => row.type === 'campaign');
+        const attributedRevenue = sumOf(rows, 'revenue');
+        const attributedOrders = sumOf(rows, 'orders');
+
+        const result = {
+          conversion_metric_id: metricId,
+          period: range,
+          breakdown,
+          total: { revenue: Number(total.revenue.toFixed(2)), orders: total.orders },
+          attributed: summarize(attributedRevenue, attributedOrders),
+          unattributed: summarize(Math.max(total.revenue - attributedRevenue, 0), Math.max(total.orders - attributedOrders, 0)),
+          by_type: {
+            flow: summarize(sumOf(flows, 'revenue'), sumOf(flows, 'orders')),
+            campaign: summarize(sumOf(campaigns, 'revenue'), sumOf(campaigns, 'orders'))
+          },
+          sources: rows
+            .map(row => ({
+              type: row.type,
+              id: row.id,
+              name: (row.type === 'flow' ? flowNames : campaignNames).get(row.id) ?? null,
+              ...(breakdown === 'message'
+                ? { message_id: row.message_id ?? null, message_name: messageNames.get(row.message_id) ?? null }
+                : {}),
+              ...summarize(row.revenue, row.orders)
+            }))
+            .sort((a, b) => b.revenue - a.revenue)
+        };
+
+        if (truncated) {
+          result.truncated = true;
+          result.note = `Only the first ${groups.length} attributed groups were read, so some sources are missing and part of their revenue is counted as unattributed. Narrow the period to see them all.`;
+          logger.warn(`Attribution report truncated after ${groups.length} groups`);
+        }
+
+        logger.info(`Attributed ${result.attributed.revenue_share_percent ?? 0}% of revenue to ${result.sources.length} sources`);
+
+        return formatReport(result, () => result.sources, params);
+      } catch (error) {
+        logger.error(`Failed to build attribution report: ${error.message}`);
+
+        return {
+          content: [{ type: "text", text: `Error building attribution report: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    { description: "Break down conversion revenue and orders by the flows and campaigns they are attributed to, with each source's share of the total", readOnly: true }
+  );
+
+  // Detect spikes and drops in a metric time series
+  server.tool(
+    "detect_metric_anomalies",
+    {
+      metric_id: z.string().describe("Name or ID of the metric to check (e.g. Bounced Email, Unsubscribed, Placed Order)"),
+      measurement: z.enum(VALID_MEASUREMENTS).optional().describe("Measurement to check (default: count)"),
+      interval: z.enum(["day", "hour"]).optional().describe("Bucket size (default: day)"),
+      timeframe: z.string().optional().describe("History to analyze, including the baseline (default: last_90_days for daily, last_14_days for hourly data)"),
+      start_date: z.string().optional().describe("Custom start date (ISO format, overrides timeframe)"),
+      end_date: z.string().optional().describe("Custom end date (ISO format, overrides timeframe)"),
+      seasonality: z.enum(["auto", "none"]).optional().describe("auto (default) compares with the same weekday (daily) or hour of day (hourly) in earlier weeks/days; none compares with the preceding buckets"),
+      baseline_periods: z.number().int().min(2).max(60).optional().describe("Number of earlier seasons (or buckets, without seasonality) in the baseline (default: 4 weeks for daily, 7 days for hourly, 14 buckets without seasonality)"),
+      threshold: z.number().min(1).optional().describe("Minimum absolute z-score to flag (default: 3)"),
+      direction: z.enum(["both", "spike", "drop"]).optional().describe("Flag spikes, drops or both (default: both)"),
+      recent_buckets: z.number().int().min(1).optional().describe("Only report anomalies in the most recent N buckets (default: every bucket with a full baseline)"),
+      filters: z.array(z.string()).optional().describe("Additional property filters, e.g. equals($flow,\"XyZ123\")"),
+      timezone: z.string().optional().describe("IANA timezone for bucket boundaries (default: UTC)"),
+      include_incomplete: z.boolean().optional().describe("Also check the current, still incomplete bucket (default: false)"),
+      ...outputFormatParams
+    },
+    async (params) => {
+      try {
+        const measurement = params.measurement || 'count';
+        const interval = params.interval || 'day';
+        const timezone = params.timezone || 'UTC';
+        const seasonal = (params.seasonality || 'auto') === 'auto';
+        const seasonConfig = ANOMALY_SEASONS[interval];
+        const season = seasonal ? seasonConfig.season : 1;
+        const baselinePeriods = params.baseline_periods || (seasonal ? seasonConfig.baselinePeriods : 14);
+        const threshold = params.threshold || 3;
+        const timeframe = params.timeframe || seasonConfig.defaultTimeframe;
+
+        const range = params.start_date && params.end_date
+          ? { start: params.start_date.split('T')[0], end: params.end_date.split('T')[0] }
+          : resolveTimeframeDates(timeframe);
+
+        if (!range) {
+          throw new Error(`detect_metric_anomalies needs a bounded period. Use start_date/end_date instead of the '${timeframe}' timeframe.`);
+        }
+
+        const problems = validateAggregateQuery({ measurements: [measurement], filters: params.filters, timezone, ranges: [range] });
+        if (problems.length > 0) {
+          return {
+            content: [{ type: "text", text: `Invalid anomaly query:\n- ${problems.join('\n- ')}` }],
+            isError: true
+          };
+        }
+
+        const metricId = await resolveMetricId(params.metric_id);
+        logger.info(`Checking ${params.metric_id} (${metricId}) for anomalies from ${range.start} to ${range.end}`);
+
+        // No fallback: a simplified query would check a different series than requested
+        const response = await klaviyoClient.post('/metric-aggregates/', buildAggregatePayload({
+          metricId,
+          measurements: [measurement],
+          interval,
+          timezone,
+          filters: params.filters
+        }, range));
+
+        const { dates = [], data = [] } = response.data.attributes;
+        const series = data[0]?.measurements?.[measurement] || dates.map(() => 0);
+
+        // The bucket containing "now" is still filling up and would look like a drop
+        const today = getLocalDate(timezone);
+        const dropLast = !params.include_incomplete && range.end >= today && dates.length > 0;
+        const values = dropLast ? series.slice(0, -1) : series;
+
+        if (values.length <= season * baselinePeriods) {
+          throw new Error(`Not enough history: ${values.length} ${interval}s found but the baseline needs ${season * baselinePeriods}. Use a longer timeframe or fewer baseline_periods.`);
+        }
+
+        const { checked, anomalies } = detectAnomalies(values, {
+          season,
+          baselinePeriods,
+          threshold,
+          direction: params.direction || 'both',
+          from: params.recent_buckets ? values.length - params.recent_buckets : 0
+        });
+
+        const label = `${params.metric_id} ${measurement}`;
+        const result = {
+          metric_id: metricId,
+          measurement,
+          interval,
+          period: range,
+          seasonality: seasonal ? (interval === 'day' ? 'weekly' : 'daily') : 'none',
+          baseline_periods: baselinePeriods,
+          threshold,
+          buckets_checked: checked,
+          ...(dropLast ? { skipped_incomplete_bucket: dates[dates.length - 1] } : {}),
+          anomalies: anomalies.map(({ index, ...anomaly }) => ({
+            date: dates[index],
+            ...anomaly,
+            explanation: explainAnomaly(anomaly, { label, date: dates[index], interval, seasonal, baselinePeriods })
+          }))
+        };
+
+        logger.info(`Found ${result.anomalies.length} anomalies in ${checked} ${interval}s of ${params.metric_id}`);
+
+        return formatReport(result, () => result.anomalies, params);
+      } catch (error) {
+        logger.error(`Failed to detect metric anomalies: ${error.message}`, {
+          metricId: params.metric_id
+        });
+
+        return {
+          content: [{ type: "text", text: `Error detecting metric anomalies: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    { description: "Flag unusual spikes and drops in a metric's daily or hourly series (e.g. Bounced Email, Unsubscribed, Placed Order) against a seasonality-aware rolling baseline, with z-scores and an explanation per anomaly", readOnly: true }
   );
 }
@@ -1,5 +1,6 @@
 import { z } from 'zod';
     import * as klaviyoClient from '../klaviyo-client.js';
+    import { paginationParams, getList } from '../utils/pagination.js';
 
     export function registerReviewTools(server) {
       // Get product reviews
@@ -8,11 +9,12 @@ import { z } from 'zod';
         {
           filter: z.string().optional().describe("Filter query for product reviews"),
           page_size: z.number().min(1).max(100).optional().describe("Number of reviews per page (1-100)"),
-          page_cursor: z.string().optional().describe("Cursor for pagination")
+          page_cursor: z.string().optional().describe("Cursor for pagination"),
+          ...paginationParams
         },
         async (params) => {
           try {
-            const reviews = await klaviyoClient.get('/product-reviews/', params);
+            const reviews = await getList('/product-reviews/', params);
             return {
               content: [{ type: "text", text: JSON.stringify(reviews, null, 2) }]
             };
@@ -23,7 +25,7 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get product reviews from Klaviyo" }
+        { description: "Get product reviews from Klaviyo", readOnly: true }
       );
 
       // Get product review
@@ -45,6 +47,6 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get a specific product review from Klaviyo" }
+        { description: "Get a specific product review from Klaviyo", readOnly: true }
       );
     }
@@ -1,5 +1,6 @@
 import { z } from 'zod';
     import * as klaviyoClient from '../klaviyo-client.js';
+    import { paginationParams, getList } from '../utils/pagination.js';
 
     export function registerSegmentTools(server) {
       // Get segments
@@ -8,11 +9,12 @@ import { z } from 'zod';
         {
           filter: z.string().optional().describe("Filter query for segments"),
           page_size: z.number().min(1).max(100).optional().describe("Number of segments per page (1-100)"),
-          page_cursor: z.string().optional().describe("Cursor for pagination")
+          page_cursor: z.string().optional().describe("Cursor for pagination"),
+          ...paginationParams
         },
         async (params) => {
           try {
-            const segments = await klaviyoClient.get('/segments/', params);
+            const segments = await getList('/segments/', params);
             return {
               content: [{ type: "text", text: JSON.stringify(segments, null, 2) }]
             };
@@ -23,7 +25,7 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get segments from Klaviyo" }
+        { description: "Get segments from Klaviyo", readOnly: true }
       );
 
       // Get segment
@@ -45,6 +47,6 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get a specific segment from Klaviyo" }
+        { description: "Get a specific segment from Klaviyo", readOnly: true }
       );
     }
@@ -0,0 +1,398 @@
+import { z } from 'zod';
+    import * as klaviyoClient from '../klaviyo-client.js';
+    import { SUBSCRIPTION_CONFIG } from '../config.js';
+    import logger from '../utils/logger.js';
+    import { dryRunParams, isSimulated } from '../utils/dry-run.js';
+    import { confirmationParams, requireConfirmation } from '../utils/confirmation.js';
+    import { addAuditDetails } from '../utils/tool-context.js';
+
+    // A profile whose consent changes
+    const consentProfileSchema = z.object({
+      email: z.string().email().optional().describe("Email address (required for the email channel)"),
+      phone_number: z.string().optional().describe("Phone number in E.164 format (required for the sms channel)"),
+      consented_at: z.string().optional().describe("When consent was given (ISO format, required for historical imports)")
+    });
+
+    const channelsSchema = z.array(z.enum(["email", "sms"])).min(1).optional().describe("Channels to change consent for (default: email)");
+
+    /**
+     * Split items into chunks
+     * @param {Array} items - Items
+     * @param {number} size - Chunk size
+     * @returns {Array[]} - Chunks
+     */
+    function chunk(items, size) {
+      const chunks = [];
+      for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+      }
+      return chunks;
+    }
+
+    /**
+     * Check that every profile has the identifiers its channels need
+     * @param {Object[]} profiles - Profiles
+     * @param {string[]} channels - Channels
+     * @param {boolean} [requireConsentedAt] - Whether consented_at is required (historical imports)
+     * @returns {string[]} - Problems found (empty if valid)
+     */
+    function validateProfiles(profiles, channels, requireConsentedAt = false) {
+      const problems = [];
+
+      if (profiles.length > SUBSCRIPTION_CONFIG.maxProfilesPerCall) {
+        problems.push(`At most ${SUBSCRIPTION_CONFIG.maxProfilesPerCall} profiles can be changed per call (got ${profiles.length})`);
+      }
+
+      profiles.forEach((profile, i) => {
+        if (channels.includes('email') && !profile.email) problems.push(`Profile ${i + 1} has no email for the email channel`);
+        if (channels.includes('sms') && !profile.phone_number) problems.push(`Profile ${i + 1} has no phone_number for the sms channel`);
+        if (requireConsentedAt && !profile.consented_at) problems.push(`Profile ${i + 1} has no consented_at, which historical imports require`);
+      });
+
+      return problems.slice(0, 50);
+    }
+
+    /**
+     * Build a profile with the given consent for each channel
+     * @param {Object} profile - Profile ({ email, phone_number, consented_at })
+     * @param {string[]} channels - Channels
+     * @param {string} consent - "SUBSCRIBED" or "UNSUBSCRIBED"
+     * @returns {Object} - JSON:API profile
+     */
+    function consentProfile({ email, phone_number, consented_at }, channels, consent) {
+      const subscriptions = Object.fromEntries(channels.map(channel => [channel, {
+        marketing: { consent, ...(consented_at && consent === 'SUBSCRIBED' ? { consented_at } : {}) }
+      }]));
+
+      return {
+        type: "profile",
+        attributes: {
+          ...(email ? { email } : {}),
+          ...(phone_number ? { phone_number } : {}),
+          subscriptions
+        }
+      };
+    }
+
+    /**
+     * Send bulk jobs one after another
+     *
+     * If a job fails, the jobs already sent are still reported so the caller
+     * knows which profiles were changed.
+     * @param {string} endpoint - Bulk job endpoint
+     * @param {Object[]} payloads - Job payloads
+     * @param {number[]} sizes - Number of profiles in each job
+     * @param {boolean} [dryRun] - Simulate instead of sending
+     * @returns {Promise<Object>} - { jobs, error? }
+     */
+    async function sendJobs(endpoint, payloads, sizes, dryRun) {
+      const jobs = [];
+
+      for (const [i, payload] of payloads.entries()) {
+        try {
+          const result = await klaviyoClient.post(endpoint, payload, undefined, { dryRun });
+
+          if (isSimulated(result)) {
+            jobs.push({ profiles: sizes[i], ...(i === 0 ? { simulated_request: result } : {}) });
+          } else {
+            // Subscription jobs are accepted without a body; suppression jobs return the job
+            jobs.push({ job_id: result?.data?.id ?? null, status: result?.data?.attributes?.status ?? 'accepted', profiles: sizes[i] });
+          }
+        } catch (error) {
+          return { jobs, error: `Job ${i + 1} of ${payloads.length} failed: ${error.message}. Later jobs were not sent.` };
+        }
+      }
+
+      return { jobs };
+    }
+
+    /**
+     * Build the tool response for a set of bulk jobs
+     * @param {Object} summary - Summary of the change
+     * @param {Object} sent - Result of sendJobs()
+     * @returns {Object} - MCP tool result
+     */
+    function jobsResponse(summary, { jobs, error }) {
+      const result = {
+        ...summary,
+        ...(jobs.some(job => !('job_id' in job)) ? { dry_run: true } : {}),
+        jobs,
+        ...(error ? { error } : {})
+      };
+
+      return {
+        content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+        ...(error ? { isError: true } : {})
+      };
+    }
+
+    /**
+     * Build the relationship selecting a list or segment
+     * @param {Object} params - Tool parameters (list_id, segment_id)
+     * @returns {Object|undefined} - Relationships, or undefined if neither is set
+     */
+    function audienceRelationship({ list_id, segment_id }) {
+      if (list_id) return { list: { data: { type: "list", id: list_id } } };
+      if (segment_id) return { segment: { data: { type: "segment", id: segment_id } } };
+      return undefined;
+    }
+
+    export function registerSubscriptionTools(server) {
+      // Subscribe profiles
+      server.tool(
+        "subscribe_profiles",
+        {
+          profiles: z.array(consentProfileSchema).min(1).describe("Profiles to subscribe"),
+          channels: channelsSchema,
+          list_id: z.string().optional().describe("List to add the subscribed profiles to"),
+          consent_source: z.string().describe("Where consent was collected (e.g. 'Checkout opt-in', 'Trade show 2025'); stored by Klaviyo as the custom source and recorded in the audit log"),
+          historical_import: z.boolean().optional().describe("Import consent collected in the past without sending opt-in confirmations; every profile needs consented_at"),
+          ...dryRunParams
+        },
+        async (params) => {
+          try {
+            const channels = params.channels || ['email'];
+            const problems = validateProfiles(params.profiles, channels, params.historical_import);
+            if (problems.length > 0) {
+              return {
+                content: [{ type: "text", text: `Invalid subscription request:\n- ${problems.join('\n- ')}` }],
+                isError: true
+              };
+            }
+
+            addAuditDetails({
+              consent: {
+                action: 'subscribe',
+                source: params.consent_source,
+                channels,
+                list_id: params.list_id || null,
+                historical_import: Boolean(params.historical_import)
+              }
+            });
+
+            const chunks = chunk(params.profiles, SUBSCRIPTION_CONFIG.maxProfilesPerJob.subscribe);
+            const payloads = chunks.map(profiles => ({
+              data: {
+                type: "profile-subscription-bulk-create-job",
+                attributes: {
+                  custom_source: params.consent_source,
+                  ...(params.historical_import ? { historical_import: true } : {}),
+                  profiles: { data: profiles.map(profile => consentProfile(profile, channels, 'SUBSCRIBED')) }
+                },
+                ...(params.list_id ? { relationships: audienceRelationship(params) } : {})
+              }
+            }));
+
+            logger.info(`Subscribing ${params.profiles.length} profiles to ${channels.join(', ')} (source: ${params.consent_source})`);
+
+            const sent = await sendJobs('/profile-subscription-bulk-create-jobs/', payloads, chunks.map(c => c.length), params.dry_run);
+            return jobsResponse({
+              action: 'subscribe',
+              profiles: params.profiles.length,
+              channels,
+              list_id: params.list_id || null,
+              consent_source: params.consent_source,
+              note: 'Klaviyo applies subscription jobs asynchronously; profiles with double opt-in lists receive a confirmation message first'
+            }, sent);
+          } catch (error) {
+            return {
+              content: [{ type: "text", text: `Error subscribing profiles: ${error.message}` }],
+              isError: true
+            };
+          }
+        },
+        { description: "Subscribe profiles to email and/or SMS marketing with a recorded consent source, optionally adding them to a list" }
+      );
+
+      // Unsubscribe profiles
+      server.tool(
+        "unsubscribe_profiles",
+        {
+          profiles: z.array(consentProfileSchema.omit({ consented_at: true })).min(1).describe("Profiles to unsubscribe"),
+          channels: channelsSchema,
+          list_id: z.string().optional().describe("List to unsubscribe the profiles from (default: unsubscribe from the channel entirely)"),
+          consent_source: z.string().optional().describe("Where the opt-out came from (e.g. 'Support ticket 1234'); recorded in the audit log"),
+          ...dryRunParams,
+          ...confirmationParams
+        },
+        async (params) => {
+          try {
+            const channels = params.channels || ['email'];
+            const problems = validateProfiles(params.profiles, channels);
+            if (problems.length > 0) {
+              return {
+                content: [{ type: "text", text: `Invalid unsubscribe request:\n- ${problems.join('\n- ')}` }],
+                isError: true
+              };
+            }
+
+            const confirmation = await requireConfirmation('unsubscribe_profiles', params, async () => ({
+              action: `Unsubscribe ${params.profiles.length} profiles from ${channels.join(' and ')} marketing${params.list_id ? ` on list ${params.list_id}` : ''}. They can only be resubscribed with new consent.`,
+              current_state: { profiles: params.profiles.slice(0, 20), more: Math.max(params.profiles.length - 20, 0) }
+            }));
+            if (confirmation) return confirmation;
+
+            addAuditDetails({
+              consent: {
+                action: 'unsubscribe',
+                source: params.consent_source || null,
+                channels,
+                list_id: params.list_id || null
+              }
+            });
+
+            const chunks = chunk(params.profiles, SUBSCRIPTION_CONFIG.maxProfilesPerJob.unsubscribe);
+            const payloads = chunks.map(profiles => ({
+              data: {
+                type: "profile-subscription-bulk-delete-job",
+                attributes: {
+                  profiles: { data: profiles.map(profile => consentProfile(profile, channels, 'UNSUBSCRIBED')) }
+                },
+                ...(params.list_id ? { relationships: audienceRelationship(params) } : {})
+              }
+            }));
+
+            logger.info(`Unsubscribing ${params.profiles.length} profiles from ${channels.join(', ')}`);
+
+            const sent = await sendJobs('/profile-subscription-bulk-delete-jobs/', payloads, chunks.map(c => c.length), params.dry_run);
+            return jobsResponse({
+              action: 'unsubscribe',
+              profiles: params.profiles.length,
+              channels,
+              list_id: params.list_id || null,
+              consent_source: params.consent_source || null
+            }, sent);
+          } catch (error) {
+            return {
+              content: [{ type: "text", text: `Error unsubscribing profiles: ${error.message}` }],
+              isError: true
+            };
+          }
+        },
+        { description: "Unsubscribe profiles from email and/or SMS marketing (entirely or from one list). Requires confirmation" }
+      );
+
+      // Suppress profiles
+      server.tool(
+        "suppress_profiles",
+        {
+          emails: z.array(z.string().email()).min(1).optional().describe("Email addresses to suppress"),
+          list_id: z.string().optional().describe("Suppress every member of this list (instead of emails)"),
+          segment_id: z.string().optional().describe("Suppress every member of this segment (instead of emails)"),
+          reason: z.string().optional().describe("Why the profiles are suppressed (e.g. 'Legal request'); recorded in the audit log"),
+          ...dryRunParams,
+          ...confirmationParams
+        },
+        async (params) => {
+          try {
+            const selectors = ['emails', 'list_id', 'segment_id'].filter(key => params[key]);
+            if (selectors.length !== 1) {
+              throw new Error('Provide exactly one of emails, list_id or segment_id');
+            }
+            if (params.emails?.length > SUBSCRIPTION_CONFIG.maxProfilesPerCall) {
+              throw new Error(`At most ${SUBSCRIPTION_CONFIG.maxProfilesPerCall} emails can be suppressed per call`);
+            }
+
+            const target = params.emails
+              ? `${params.emails.length} email addresses`
+              : params.list_id ? `every member of list ${params.list_id}` : `every member of segment ${params.segment_id}`;
+
+            const confirmation = await requireConfirmation('suppress_profiles', params, async () => ({
+              action: `Suppress ${target}. Suppressed profiles receive no email, including transactional flows.`,
+              current_state: params.emails ? { emails: params.emails.slice(0, 20), more: Math.max(params.emails.length - 20, 0) } : selectors[0]
+            }));
+            if (confirmation) return confirmation;
+
+            addAuditDetails({
+              consent: {
+                action: 'suppress',
+                source: params.reason || null,
+                channels: ['email'],
+                list_id: params.list_id || null,
+                segment_id: params.segment_id || null
+              }
+            });
+
+            const chunks = params.emails ? chunk(params.emails, SUBSCRIPTION_CONFIG.maxProfilesPerJob.suppress) : [null];
+            const payloads = chunks.map(emails => ({
+              data: {
+                type: "profile-suppression-bulk-create-job",
+                attributes: emails
+                  ? { profiles: { data: emails.map(email => ({ type: "profile", attributes: { email } })) } }
+                  : {},
+                ...(emails ? {} : { relationships: audienceRelationship(params) })
+              }
+            }));
+
+            logger.info(`Suppressing ${target}`);
+
+            const sent = await sendJobs('/profile-suppression-bulk-create-jobs/', payloads, chunks.map(c => c?.length ?? null), params.dry_run);
+            return jobsResponse({ action: 'suppress', target, reason: params.reason || null }, sent);
+          } catch (error) {
+            return {
+              content: [{ type: "text", text: `Error suppressing profiles: ${error.message}` }],
+              isError: true
+            };
+          }
+        },
+        { description: "Suppress profiles from all email by address, list or segment. Requires confirmation" }
+      );
+
+      // Unsuppress profiles
+      server.tool(
+        "unsuppress_profiles",
+        {
+          emails: z.array(z.string().email()).min(1).optional().describe("Email addresses to unsuppress"),
+          list_id: z.string().optional().describe("Unsuppress every member of this list (instead of emails)"),
+          segment_id: z.string().optional().describe("Unsuppress every member of this segment (instead of emails)"),
+          reason: z.string().optional().describe("Why the suppression is lifted; recorded in the audit log"),
+          ...dryRunParams
+        },
+        async (params) => {
+          try {
+            const selectors = ['emails', 'list_id', 'segment_id'].filter(key => params[key]);
+            if (selectors.length !== 1) {
+              throw new Error('Provide exactly one of emails, list_id or segment_id');
+            }
+            if (params.emails?.length > SUBSCRIPTION_CONFIG.maxProfilesPerCall) {
+              throw new Error(`At most ${SUBSCRIPTION_CONFIG.maxProfilesPerCall} emails can be unsuppressed per call`);
+            }
+
+            addAuditDetails({
+              consent: {
+                action: 'unsuppress',
+                source: params.reason || null,
+                channels: ['email'],
+                list_id: params.list_id || null,
+                segment_id: params.segment_id || null
+              }
+            });
+
+            const chunks = params.emails ? chunk(params.emails, SUBSCRIPTION_CONFIG.maxProfilesPerJob.unsuppress) : [null];
+            const payloads = chunks.map(emails => ({
+              data: {
+                type: "profile-suppression-bulk-delete-job",
+                attributes: emails
+                  ? { profiles: { data: emails.map(email => ({ type: "profile", attributes: { email } })) } }
+                  : {},
+                ...(emails ? {} : { relationships: audienceRelationship(params) })
+              }
+            }));
+
+            const sent = await sendJobs('/profile-suppression-bulk-delete-jobs/', payloads, chunks.map(c => c?.length ?? null), params.dry_run);
+            return jobsResponse({
+              action: 'unsuppress',
+              target: params.emails ? `${params.emails.length} email addresses` : params.list_id ? `list ${params.list_id}` : `segment ${params.segment_id}`,
+              reason: params.reason || null,
+              note: 'Only manual suppressions are lifted; hard bounces, spam complaints and unsubscribes stay suppressed'
+            }, sent);
+          } catch (error) {
+            return {
+              content: [{ type: "text", text: `Error unsuppressing profiles: ${error.message}` }],
+              isError: true
+            };
+          }
+        },
+        { description: "Remove manual email suppressions by address, list or segment" }
+      );
+    }
@@ -1,5 +1,7 @@
 import { z } from 'zod';
     import * as klaviyoClient from '../klaviyo-client.js';
+    import { paginationParams, getList } from '../utils/pagination.js';
+    import { dryRunParams, isSimulated } from '../utils/dry-run.js';
 
     export function registerTagTools(server) {
       // Get tags
@@ -8,11 +10,12 @@ import { z } from 'zod';
         {
           filter: z.string().optional().describe("Filter query for tags"),
           page_size: z.number().min(1).max(100).optional().describe("Number of tags per page (1-100)"),
-          page_cursor: z.string().optional().describe("Cursor for pagination")
+          page_cursor: z.string().optional().describe("Cursor for pagination"),
+          ...paginationParams
         },
         async (params) => {
           try {
-            const tags = await klaviyoClient.get('/tags/', params);
+            const tags = await getList('/tags/', params);
             return {
               content: [{ type: "text", text: JSON.stringify(tags, null, 2) }]
             };
@@ -23,7 +26,7 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get tags from Klaviyo" }
+        { description: "Get tags from Klaviyo", readOnly: true }
       );
 
       // Create tag
@@ -31,7 +34,8 @@ import { z } from 'zod';
         "create_tag",
         {
           name: z.string().describe("Name of the tag"),
-          tag_type: z.enum(["system", "custom"]).describe("Type of tag")
+          tag_type: z.enum(["system", "custom"]).describe("Type of tag"),
+          ...dryRunParams
         },
         async (params) => {
           try {
@@ -45,7 +49,7 @@ import { z } from 'zod';
               }
             };
             
-            const result = await klaviyoClient.post('/tags/', payload);
+            const result = await klaviyoClient.post('/tags/', payload, undefined, { dryRun: params.dry_run });
             return {
               content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
             };
@@ -65,7 +69,8 @@ import { z } from 'zod';
         {
           tag_id: z.string().describe("ID of the tag"),
           resource_type: z.enum(["list", "segment", "flow", "campaign", "template"]).describe("Type of resource to tag"),
-          resource_id: z.string().describe("ID of the resource to tag")
+          resource_id: z.string().describe("ID of the resource to tag"),
+          ...dryRunParams
         },
         async (params) => {
           try {
@@ -76,7 +81,12 @@ import { z } from 'zod';
               }
             };
             
-            await klaviyoClient.post(`/tags/${params.tag_id}/relationships/${params.resource_type}s/`, payload);
+            const result = await klaviyoClient.post(`/tags/${params.tag_id}/relationships/${params.resource_type}s/`, payload, undefined, { dryRun: params.dry_run });
+            if (isSimulated(result)) {
+              return {
+                content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+              };
+            }
             return {
               content: [{ type: "text", text: `Tag successfully added to ${params.resource_type}` }]
             };
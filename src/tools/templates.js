@@ -1,5 +1,7 @@
 import { z } from 'zod';
     import * as klaviyoClient from '../klaviyo-client.js';
+    import { paginationParams, getList } from '../utils/pagination.js';
+    import { dryRunParams } from '../utils/dry-run.js';
 
     export function registerTemplateTools(server) {
       // Get templates
@@ -8,11 +10,12 @@ import { z } from 'zod';
         {
           filter: z.string().optional().describe("Filter query for templates"),
           page_size: z.number().min(1).max(100).optional().describe("Number of templates per page (1-100)"),
-          page_cursor: z.string().optional().describe("Cursor for pagination")
+          page_cursor: z.string().optional().describe("Cursor for pagination"),
+          ...paginationParams
         },
         async (params) => {
           try {
-            const templates = await klaviyoClient.get('/templates/', params);
+            const templates = await getList('/templates/', params);
             return {
               content: [{ type: "text", text: JSON.stringify(templates, null, 2) }]
             };
@@ -23,7 +26,7 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get templates from Klaviyo" }
+        { description: "Get templates from Klaviyo", readOnly: true }
       );
 
       // Get template
@@ -45,7 +48,7 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get a specific template from Klaviyo" }
+        { description: "Get a specific template from Klaviyo", readOnly: true }
       );
 
       // Create template
@@ -54,7 +57,8 @@ import { z } from 'zod';
         {
           name: z.string().describe("Name of the template"),
           html: z.string().describe("HTML content of the template"),
-          text: z.string().optional().describe("Text content of the template")
+          text: z.string().optional().describe("Text content of the template"),
+          ...dryRunParams
         },
         async (params) => {
           try {
@@ -69,7 +73,7 @@ import { z } from 'zod';
               }
             };
             
-            const result = await klaviyoClient.post('/templates/', payload);
+            const result = await klaviyoClient.post('/templates/', payload, undefined, { dryRun: params.dry_run });
             return {
               content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
             };
@@ -1,5 +1,8 @@
 import { z } from 'zod';
     import * as klaviyoClient from '../klaviyo-client.js';
+    import { paginationParams, getList } from '../utils/pagination.js';
+    import { dryRunParams, isSimulated } from '../utils/dry-run.js';
+    import { confirmationParams, requireConfirmation } from '../utils/confirmation.js';
 
     export function registerWebhookTools(server) {
       // Get webhooks
@@ -7,11 +10,12 @@ import { z } from 'zod';
         "get_webhooks",
         {
           page_size: z.number().min(1).max(100).optional().describe("Number of webhooks per page (1-100)"),
-          page_cursor: z.string().optional().describe("Cursor for pagination")
+          page_cursor: z.string().optional().describe("Cursor for pagination"),
+          ...paginationParams
         },
         async (params) => {
           try {
-            const webhooks = await klaviyoClient.get('/webhooks/', params);
+            const webhooks = await getList('/webhooks/', params);
             return {
               content: [{ type: "text", text: JSON.stringify(webhooks, null, 2) }]
             };
@@ -22,7 +26,7 @@ import { z } from 'zod';
             };
           }
         },
-        { description: "Get webhooks from Klaviyo" }
+        { description: "Get webhooks from Klaviyo", readOnly: true }
       );
 
       // Create webhook
@@ -31,7 +35,8 @@ import { z } from 'zod';
         {
           endpoint: z.string().url().describe("URL endpoint for the webhook"),
           events: z.array(z.string()).describe("Events to subscribe to"),
-          profile_id: z.string().optional().describe("Profile ID for authentication")
+          profile_id: z.string().optional().describe("Profile ID for authentication"),
+          ...dryRunParams
         },
         async (params) => {
           try {
@@ -56,7 +61,7 @@ import { z } from 'zod';
               };
             }
             
-            const result = await klaviyoClient.post('/webhooks/', payload);
+            const result = await klaviyoClient.post('/webhooks/', payload, undefined, { dryRun: params.dry_run });
             return {
               content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
             };
@@ -74,11 +79,28 @@ import { z } from 'zod';
       server.tool(
         "delete_webhook",
         {
-          id: z.string().describe("ID of the webhook to delete")
+          id: z.string().describe("ID of the webhook to delete"),
+          ...dryRunParams,
+          ...confirmationParams
         },
         async (params) => {
           try {
-            await klaviyoClient.del(`/webhooks/${params.id}/`);
+            const confirmation = await requireConfirmation('delete_webhook', params, async () => {
+              const webhook = await klaviyoClient.get(`/webhooks/${params.id}/`);
+              const { name, endpoint_url, enabled } = webhook.data.attributes;
+              return {
+                action: `Delete webhook ${params.id}`,
+                current_state: { id: params.id, name, endpoint_url, enabled }
+              };
+            });
+            if (confirmation) return confirmation;
+
+            const result = await klaviyoClient.del(`/webhooks/${params.id}/`, undefined, undefined, { dryRun: params.dry_run });
+            if (isSimulated(result)) {
+              return {
+                content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+              };
+            }
             return {
               content: [{ type: "text", text: "Webhook deleted successfully" }]
             };
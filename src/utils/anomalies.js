@@ -0,0 +1,75 @@
+/**
+ * Anomaly detection for metric time series
+ *
+ * Each bucket is compared with a rolling baseline. With seasonality the
+ * baseline is the same slot in earlier seasons (e.g. the previous four
+ * Mondays for daily data), so regular weekday or time-of-day patterns are
+ * not flagged; without it, the baseline is the preceding buckets.
+ */
+
+import { percentChange } from './reports.js';
+
+/**
+ * Get the mean and sample standard deviation of a list of numbers
+ * @param {number[]} values - Values
+ * @returns {Object} - { mean, std }
+ */
+function meanAndStd(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.length > 1
+    ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1)
+    : 0;
+  return { mean, std: Math.sqrt(variance) };
+}
+
+/**
+ * Flag buckets that deviate from their rolling baseline
+ * @param {number[]} values - Series values, oldest first
+ * @param {Object} options - Detection options
+ * @param {number} options.season - Buckets per season (e.g. 7 for daily data with weekly seasonality, 1 for none)
+ * @param {number} options.baselinePeriods - Number of earlier seasons (or buckets, without seasonality) in the baseline
+ * @param {number} options.threshold - Minimum absolute z-score to flag
+ * @param {string} [options.direction] - "both" (default), "spike" or "drop"
+ * @param {number} [options.from] - First bucket index to check (earlier buckets only serve as baseline)
+ * @returns {Object} - { checked, anomalies: [{ index, value, expected, std, z_score, direction, percent_change }] } where std is the spread the z-score was computed with
+ */
+export function detectAnomalies(values, { season, baselinePeriods, threshold, direction = 'both', from = 0 }) {
+  const anomalies = [];
+  let checked = 0;
+
+  for (let i = Math.max(from, season * baselinePeriods); i < values.length; i++) {
+    const baseline = [];
+    for (let k = 1; k <= baselinePeriods; k++) {
+      baseline.push(values[i - k * season] || 0);
+    }
+
+    const value = values[i] || 0;
+    const { mean, std } = meanAndStd(baseline);
+    checked++;
+
+    if (value === 0 && mean === 0) continue;
+
+    // A flat baseline has no spread; assume Poisson-like noise so a change from 2 to 3 is not infinitely unusual
+    const spread = Math.max(std, Math.sqrt(Math.max(mean, 1)));
+    const zScore = (value - mean) / spread;
+    const kind = zScore > 0 ? 'spike' : 'drop';
+
+    if (Math.abs(zScore) >= threshold && (direction === 'both' || direction === kind)) {
+      anomalies.push({
+        index: i,
+        value,
+        expected: Number(mean.toFixed(2)),
+        std: Number(spread.toFixed(2)),
+        z_score: Number(zScore.toFixed(2)),
+        direction: kind,
+        percent_change: percentChange(value, mean)
+      });
+    }
+  }
+
+  return { checked, anomalies };
+}
+
+export default {
+  detectAnomalies
+};
@@ -0,0 +1,236 @@
+/**
+ * Audit log of writes made through the server
+ *
+ * Every POST/PATCH/DELETE sent to Klaviyo is appended to a dedicated JSON Lines
+ * file, separate from the debug log, recording which tool made the change, its
+ * arguments, the target resources, the response status and Klaviyo's request ID.
+ * Tools can add details of their own (e.g. consent sources) via addAuditDetails().
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { AUDIT_CONFIG } from '../config.js';
+import logger from './logger.js';
+import { getToolContext } from './tool-context.js';
+import { getResourceIds, getBodyIds } from './resource-ids.js';
+
+// Arguments never written to the audit log (secrets)
+const OMITTED_ARGUMENTS = ['confirmation_token'];
+
+// Bulk arguments written as a count only; a call is split into many jobs and
+// each job's own profiles are recorded in its resource_ids instead
+const COUNTED_ARGUMENTS = ['rows', 'profiles', 'emails'];
+
+// Profile attributes that identify the profiles in a bulk job body
+const PROFILE_IDENTIFIERS = ['email', 'phone_number', 'external_id'];
+
+// Bytes read at a time when scanning the audit log from its end
+const READ_CHUNK_BYTES = 64 * 1024;
+
+// Directory the audit log was last created in
+let preparedDir = null;
+
+/**
+ * Create the audit log directory before the first write
+ * @returns {boolean} - True if the directory exists
+ */
+function ensureAuditDir() {
+  const auditDir = path.dirname(AUDIT_CONFIG.file);
+  if (preparedDir === auditDir) return true;
+
+  try {
+    fs.mkdirSync(auditDir, { recursive: true });
+    preparedDir = auditDir;
+    return true;
+  } catch (error) {
+    logger.error(`Failed to create audit log directory ${auditDir}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Read the lines of a file from last to first
+ * @param {string} file - File path
+ * @yields {string} - Each non-empty line, most recent first
+ */
+function* readLinesBackwards(file) {
+  const fd = fs.openSync(file, 'r');
+
+  try {
+    let position = fs.fstatSync(fd).size;
+    let remainder = Buffer.alloc(0);
+
+    while (position > 0) {
+      const size = Math.min(READ_CHUNK_BYTES, position);
+      position -= size;
+
+      const chunk = Buffer.alloc(size);
+      fs.readSync(fd, chunk, 0, size, position);
+
+      // Split on newline bytes, so multi-byte characters are never cut in half
+      let buffer = Buffer.concat([chunk, remainder]);
+      let newline = buffer.lastIndexOf(0x0a);
+      while (newline !== -1) {
+        const line = buffer.subarray(newline + 1).toString('utf8');
+        if (line) yield line;
+        buffer = buffer.subarray(0, newline);
+        newline = buffer.lastIndexOf(0x0a);
+      }
+      remainder = buffer;
+    }
+
+    if (remainder.length > 0) yield remainder.toString('utf8');
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Get Klaviyo's request ID from a response
+ * @param {Object} [response] - Axios response
+ * @returns {string|null} - Request ID if Klaviyo sent one
+ */
+function getKlaviyoRequestId(response) {
+  const headers = response?.headers || {};
+  return headers['x-klaviyo-req-id'] ||
+    headers['x-request-id'] ||
+    response?.data?.errors?.[0]?.id ||
+    null;
+}
+
+/**
+ * Collect the identifiers of profiles sent without an ID (e.g. in bulk jobs)
+ * @param {*} value - Request body or part of it
+ * @param {string[]} [identifiers] - Identifiers found so far
+ * @returns {string[]} - Emails, phone numbers and external IDs
+ */
+function getProfileIdentifiers(value, identifiers = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => getProfileIdentifiers(item, identifiers));
+  } else if (value && typeof value === 'object') {
+    if (value.type === 'profile' && value.attributes) {
+      for (const name of PROFILE_IDENTIFIERS) {
+        if (value.attributes[name]) identifiers.push(String(value.attributes[name]));
+      }
+    }
+    Object.values(value).forEach(item => getProfileIdentifiers(item, identifiers));
+  }
+  return identifiers;
+}
+
+/**
+ * Copy tool arguments for the audit log without secrets or bulk data
+ * @param {Object} [params] - Tool arguments
+ * @returns {Object} - Arguments to record
+ */
+export function scrubArguments(params = {}) {
+  const args = { ...params };
+  for (const name of OMITTED_ARGUMENTS) {
+    delete args[name];
+  }
+  for (const name of COUNTED_ARGUMENTS) {
+    if (Array.isArray(args[name])) {
+      args[name] = { omitted: true, count: args[name].length };
+    }
+  }
+  return args;
+}
+
+/**
+ * Append a write to the audit log
+ * @param {Object} entry - Write details
+ * @param {string} entry.account - Klaviyo account written to
+ * @param {string} entry.method - HTTP method
+ * @param {string} entry.endpoint - API endpoint
+ * @param {Object} [entry.requestData] - Request body
+ * @param {Object} [entry.response] - Axios response (or error.response)
+ * @param {Error} [entry.error] - Error if the write failed
+ */
+export function recordWrite({ account, method, endpoint, requestData, response, error }) {
+  if (!AUDIT_CONFIG.enabled) return;
+
+  const context = getToolContext();
+  const args = scrubArguments(context?.params);
+
+  const entry = {
+    timestamp: new Date().toISOString(),
+    account,
+    tool: context?.tool || null,
+    arguments: args,
+    method,
+    endpoint,
+    resource_ids: [...new Set([
+      ...getResourceIds(endpoint, requestData),
+      ...getProfileIdentifiers(requestData),
+      ...getBodyIds(response?.data)
+    ])],
+    status: response?.status || null,
+    outcome: error ? 'error' : 'success',
+    klaviyo_request_id: getKlaviyoRequestId(response)
+  };
+
+  if (context?.audit) {
+    entry.details = context.audit;
+  }
+
+  if (error) {
+    entry.error = error.message;
+  }
+
+  if (!ensureAuditDir()) return;
+
+  try {
+    fs.appendFileSync(AUDIT_CONFIG.file, JSON.stringify(entry) + '\n');
+  } catch (writeError) {
+    logger.error(`Failed to write audit log entry: ${writeError.message}`, { method, endpoint });
+  }
+}
+
+/**
+ * Query recent audit log entries
+ *
+ * The log is read from its end and reading stops once enough entries match,
+ * or at the first entry older than `since` (entries are appended in order).
+ * @param {Object} [filters] - Query filters
+ * @param {string} [filters.account] - Only entries for this Klaviyo account
+ * @param {string} [filters.tool] - Only entries made by this tool
+ * @param {string} [filters.resourceId] - Only entries targeting this resource ID
+ * @param {string} [filters.since] - Only entries at or after this ISO timestamp
+ * @param {string} [filters.until] - Only entries at or before this ISO timestamp
+ * @param {number} [filters.limit] - Maximum entries to return
+ * @returns {Object[]} - Matching entries, most recent first
+ */
+export function queryAuditLog({ account, tool, resourceId, since, until, limit } = {}) {
+  if (!fs.existsSync(AUDIT_CONFIG.file)) return [];
+
+  const sinceTime = since ? Date.parse(since) : null;
+  const untilTime = until ? Date.parse(until) : null;
+  const maxResults = Math.min(limit || AUDIT_CONFIG.maxResults, AUDIT_CONFIG.maxResults);
+  const entries = [];
+
+  for (const line of readLinesBackwards(AUDIT_CONFIG.file)) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+
+    const time = Date.parse(entry.timestamp);
+    if (sinceTime !== null && time < sinceTime) break;
+    if (untilTime !== null && time > untilTime) continue;
+    if (account && entry.account !== account) continue;
+    if (tool && entry.tool !== tool) continue;
+    if (resourceId && !entry.resource_ids?.includes(resourceId)) continue;
+
+    entries.push(entry);
+    if (entries.length >= maxResults) break;
+  }
+
+  return entries;
+}
+
+export default {
+  recordWrite,
+  queryAuditLog
+};
@@ -5,8 +5,9 @@
  * to reduce API calls and improve performance.
  */
 
-import { CACHE_CONFIG } from '../config.js';
+import { CACHE_CONFIG, API_CONFIG } from '../config.js';
 import logger from './logger.js';
+import { getPathSegments, getResourceIds } from './resource-ids.js';
 
 // Cache storage
 const cache = new Map();
@@ -14,6 +15,21 @@ const cache = new Map();
 // Cache metadata to track TTL and type
 const metadata = new Map();
 
+// Job and action endpoints change resources cached under other paths
+const AFFECTED_RESOURCES = {
+  'profile-merge': ['profiles', 'lists', 'segments', 'events'],
+  'profile-bulk-import-jobs': ['profiles', 'lists', 'segments'],
+  'profile-subscription-bulk-create-jobs': ['profiles', 'lists', 'segments'],
+  'profile-subscription-bulk-delete-jobs': ['profiles', 'lists', 'segments'],
+  'profile-suppression-bulk-create-jobs': ['profiles', 'segments'],
+  'profile-suppression-bulk-delete-jobs': ['profiles', 'segments'],
+  'data-privacy-deletion-jobs': ['profiles', 'lists', 'segments', 'events'],
+  'campaign-send-jobs': ['campaigns'],
+  'campaign-clone': ['campaigns'],
+  'campaign-message-assign-template': ['campaigns', 'campaign-messages', 'templates'],
+  'events': ['profiles', 'metrics']
+};
+
 /**
  * Determine cache type from key
  * @param {string} key - Cache key
@@ -24,16 +40,50 @@ function getCacheType(key) {
   if (key.startsWith('/campaigns')) return 'campaigns';
   if (key.startsWith('/templates')) return 'templates';
   if (key.startsWith('/profiles')) return 'profiles';
+  if (/^\/[a-z-]+-jobs\//.test(key)) return 'jobs';
   return 'default';
 }
 
+/**
+ * Normalize an endpoint path to `/segment/segment/` form
+ * @param {string} endpoint - API endpoint, optionally with a query string
+ * @returns {string} - Normalized path without query string
+ */
+function normalizePath(endpoint) {
+  return `/${getPathSegments(endpoint).join('/')}/`;
+}
+
+/**
+ * Build a cache key from the full request
+ *
+ * The key starts with the normalized path so the cache type can still be
+ * derived from it, followed by the query parameters in sorted order, the
+ * account and the API revision, so differently filtered or paged requests
+ * (or the same request against another account) never collide.
+ * @param {string} endpoint - API endpoint
+ * @param {Object} [params] - Query parameters (filter, include, page_size, page_cursor, ...)
+ * @param {string} [account] - Klaviyo account the request is made for
+ * @param {string} [revision] - API revision the request is made against
+ * @returns {string} - Cache key
+ */
+export function buildCacheKey(endpoint, params = {}, account = 'default', revision = API_CONFIG.revision) {
+  const query = Object.keys(params || {})
+    .filter(name => params[name] !== undefined && params[name] !== null && params[name] !== '')
+    .sort()
+    .map(name => `${name}=${Array.isArray(params[name]) ? params[name].join(',') : params[name]}`);
+
+  query.push(`account=${account}`, `revision=${revision}`);
+
+  return `${normalizePath(endpoint)}?${query.join('&')}`;
+}
+
 /**
  * Get TTL for cache type
  * @param {string} type - Cache type
  * @returns {number} - TTL in seconds
  */
 function getTtl(type) {
-  return CACHE_CONFIG.ttlSeconds[type] || CACHE_CONFIG.ttlSeconds.default;
+  return CACHE_CONFIG.ttlSeconds[type] ?? CACHE_CONFIG.ttlSeconds.default;
 }
 
 /**
@@ -87,16 +137,17 @@ export function getCache(key) {
  * Set value in cache
  * @param {string} key - Cache key
  * @param {*} value - Value to cache
+ * @param {string} [account] - Klaviyo account the value belongs to
  * @returns {boolean} - True if value was cached
  */
-export function setCache(key, value) {
+export function setCache(key, value, account = 'default') {
   if (!isCacheEnabled()) return false;
   
   const type = getCacheType(key);
   const ttl = getTtl(type);
   
-  // Don't cache null or undefined values
-  if (value === null || value === undefined) return false;
+  // Don't cache null or undefined values, or types with no TTL
+  if (value === null || value === undefined || ttl <= 0) return false;
   
   // Check if we need to evict items to stay under max size
   if (cache.size >= CACHE_CONFIG.maxSize) {
@@ -106,6 +157,8 @@ export function setCache(key, value) {
   cache.set(key, value);
   metadata.set(key, {
     type,
+    path: normalizePath(key),
+    account,
     createdAt: Date.now(),
     lastAccessed: Date.now(),
     expiresAt: Date.now() + (ttl * 1000)
@@ -186,6 +239,45 @@ export function clearCacheByType(type) {
   }
 }
 
+/**
+ * Evict cached reads affected by a write request
+ *
+ * Removes every entry for the endpoint's resource type (e.g. all `/profiles/`
+ * pages after a profile update) and for the resource types a job or action
+ * endpoint changes (e.g. `/profiles/` after a `/profile-merge/`), plus every
+ * entry whose path mentions one of the resource IDs in the endpoint or
+ * request body, for the account written to.
+ * @param {string} endpoint - Endpoint that was written to
+ * @param {Object} [body] - JSON:API request body
+ * @param {string} [account] - Klaviyo account that was written to
+ * @returns {number} - Number of evicted items
+ */
+export function invalidateCache(endpoint, body, account = 'default') {
+  const resourceType = getPathSegments(endpoint)[0];
+  const resourceTypes = [resourceType, ...(AFFECTED_RESOURCES[resourceType] || [])];
+  const ids = getResourceIds(endpoint, body);
+
+  let count = 0;
+
+  for (const [key, meta] of metadata.entries()) {
+    if (meta.account !== account) continue;
+
+    const entrySegments = meta.path.split('/').filter(Boolean);
+
+    if (resourceTypes.includes(entrySegments[0]) || ids.some(id => entrySegments.includes(id))) {
+      cache.delete(key);
+      metadata.delete(key);
+      count++;
+    }
+  }
+
+  if (count > 0) {
+    logger.debug(`Invalidated ${count} cache items after write to ${endpoint}`);
+  }
+
+  return count;
+}
+
 /**
  * Get cache statistics
  * @returns {Object} - Cache statistics
@@ -210,7 +302,8 @@ export function getCacheStats() {
 // Set up periodic cache cleanup
 if (isCacheEnabled()) {
   // Clear expired items every minute
-  setInterval(clearExpiredCache, 60000);
+  // Don't keep the process alive just for cleanup (e.g. in tests)
+  setInterval(clearExpiredCache, 60000).unref();
   
   logger.info('Cache initialized', {
     enabled: CACHE_CONFIG.enabled,
@@ -220,9 +313,11 @@ if (isCacheEnabled()) {
 }
 
 export default {
+  buildCacheKey,
   hasCache,
   getCache,
   setCache,
+  invalidateCache,
   clearCache,
   clearCacheByType,
   getCacheStats
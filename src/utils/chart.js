@@ -0,0 +1,329 @@
+/**
+ * Dependency-free SVG charts
+ *
+ * Renders line and bar charts with axis labels, a legend and any number of
+ * series. Series can be drawn dashed and share a color with another series,
+ * which is how period-over-period overlays are shown.
+ */
+
+// Series colors, picked by series index (or an explicit color index)
+const PALETTE = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'];
+
+const MARGIN = { top: 48, right: 24, bottom: 56, left: 72 };
+const LEGEND_ROW_HEIGHT = 18;
+const MAX_X_LABELS = 10;
+
+/**
+ * Escape text for use in SVG
+ * @param {*} value - Text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format an axis value compactly (1.2k, 3.4M)
+ * @param {number} value - Value
+ * @returns {string} - Label
+ */
+function formatValue(value) {
+  const abs = Math.abs(value);
+  if (abs >= 1e9) return `${Number((value / 1e9).toFixed(1))}B`;
+  if (abs >= 1e6) return `${Number((value / 1e6).toFixed(1))}M`;
+  if (abs >= 1e3) return `${Number((value / 1e3).toFixed(1))}k`;
+  if (abs > 0 && abs < 1) return String(Number(value.toFixed(3)));
+  return String(Number(value.toFixed(2)));
+}
+
+/**
+ * Shorten an x-axis label (ISO timestamps are cut to their date)
+ * @param {string} label - Label
+ * @returns {string} - Short label
+ */
+function formatLabel(label) {
+  const text = String(label);
+  if (/^\d{4}-\d{2}-\d{2}T/.test(text)) return text.slice(0, 10);
+  return text.length > 14 ? `${text.slice(0, 13)}…` : text;
+}
+
+/**
+ * Round a step size up to 1, 2, 5 or 10 times a power of ten
+ * @param {number} value - Raw step
+ * @returns {number} - Nice step
+ */
+function niceStep(value) {
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const fraction = value / magnitude;
+  const nice = fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10;
+  return nice * magnitude;
+}
+
+/**
+ * Compute the y-axis range and ticks
+ * @param {number[]} values - All plotted values
+ * @returns {Object} - { min, max, ticks }
+ */
+function getYScale(values) {
+  let min = Math.min(0, ...values);
+  let max = Math.max(0, ...values);
+  if (min === max) max = min + 1;
+
+  const step = niceStep((max - min) / 5);
+  min = Math.floor(min / step) * step;
+  max = Math.ceil(max / step) * step;
+
+  const ticks = [];
+  for (let tick = min; tick <= max + step / 2; tick += step) {
+    ticks.push(Number(tick.toFixed(10)));
+  }
+
+  return { min, max, ticks };
+}
+
+/**
+ * Render a chart as SVG
+ * @param {Object} chart - Chart definition
+ * @param {string} [chart.type] - "line" (default) or "bar"
+ * @param {string} [chart.title] - Title
+ * @param {string} [chart.xLabel] - X-axis label
+ * @param {string} [chart.yLabel] - Y-axis label
+ * @param {string[]} chart.labels - X-axis categories (dates or group names)
+ * @param {Object[]} chart.series - Series ({ name, values, dashed, color })
+ * @param {Object} [size] - Chart size
+ * @param {number} [size.width] - Width in pixels
+ * @param {number} [size.height] - Height in pixels
+ * @returns {string} - SVG document
+ */
+export function renderChart({ type = 'line', title, xLabel, yLabel, labels, series }, { width = 800, height = 450 } = {}) {
+  if (!series || series.length === 0) {
+    throw new Error('Nothing to chart: no series found');
+  }
+
+  // Legend below the plot, as many items per row as fit
+  const legendPerRow = Math.max(1, Math.floor((width - MARGIN.left - MARGIN.right) / 180));
+  const legendRows = Math.ceil(series.length / legendPerRow);
+  const plotLeft = MARGIN.left;
+  const plotTop = MARGIN.top;
+  const plotWidth = width - MARGIN.left - MARGIN.right;
+  const plotHeight = height - MARGIN.top - MARGIN.bottom - legendRows * LEGEND_ROW_HEIGHT;
+
+  if (plotWidth < 100 || plotHeight < 100) {
+    throw new Error('Chart is too small for its legend. Increase width or height.');
+  }
+
+  const values = series.flatMap(s => s.values).filter(value => typeof value === 'number' && Number.isFinite(value));
+  const { min, max, ticks } = getYScale(values.length > 0 ? values : [0]);
+  const y = (value) => plotTop + plotHeight - ((value - min) / (max - min)) * plotHeight;
+
+  const count = labels.length;
+  const band = plotWidth / Math.max(count, 1);
+  const x = type === 'bar'
+    ? (i) => plotLeft + band * (i + 0.5)
+    : (i) => plotLeft + (count > 1 ? (plotWidth * i) / (count - 1) : plotWidth / 2);
+
+  const colorOf = (s, i) => PALETTE[(s.color ?? i) % PALETTE.length];
+  const parts = [];
+
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">`);
+  parts.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+
+  if (title) {
+    parts.push(`<text x="${width / 2}" y="24" text-anchor="middle" font-size="16" font-weight="bold" fill="#222">${escapeXml(title)}</text>`);
+  }
+
+  // Grid lines and y-axis ticks
+  for (const tick of ticks) {
+    const ty = y(tick).toFixed(1);
+    parts.push(`<line x1="${plotLeft}" y1="${ty}" x2="${plotLeft + plotWidth}" y2="${ty}" stroke="#e5e5e5"/>`);
+    parts.push(`<text x="${plotLeft - 8}" y="${ty}" text-anchor="end" dominant-baseline="middle" font-size="11" fill="#555">${escapeXml(formatValue(tick))}</text>`);
+  }
+
+  // Axes
+  parts.push(`<line x1="${plotLeft}" y1="${plotTop}" x2="${plotLeft}" y2="${plotTop + plotHeight}" stroke="#333"/>`);
+  parts.push(`<line x1="${plotLeft}" y1="${y(Math.max(min, 0)).toFixed(1)}" x2="${plotLeft + plotWidth}" y2="${y(Math.max(min, 0)).toFixed(1)}" stroke="#333"/>`);
+
+  // X-axis labels, thinned out so they do not overlap
+  const labelStep = Math.ceil(count / MAX_X_LABELS);
+  labels.forEach((label, i) => {
+    if (i % labelStep !== 0) return;
+    parts.push(`<text x="${x(i).toFixed(1)}" y="${plotTop + plotHeight + 16}" text-anchor="middle" font-size="11" fill="#555">${escapeXml(formatLabel(label))}</text>`);
+  });
+
+  if (xLabel) {
+    parts.push(`<text x="${plotLeft + plotWidth / 2}" y="${plotTop + plotHeight + 36}" text-anchor="middle" font-size="12" fill="#333">${escapeXml(xLabel)}</text>`);
+  }
+  if (yLabel) {
+    parts.push(`<text x="16" y="${plotTop + plotHeight / 2}" text-anchor="middle" font-size="12" fill="#333" transform="rotate(-90 16 ${plotTop + plotHeight / 2})">${escapeXml(yLabel)}</text>`);
+  }
+
+  // Data
+  if (type === 'bar') {
+    const barWidth = (band * 0.8) / series.length;
+    series.forEach((s, si) => {
+      s.values.forEach((value, i) => {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return;
+        const top = y(Math.max(value, 0));
+        const barHeight = Math.abs(y(value) - y(0));
+        const bx = plotLeft + band * i + band * 0.1 + barWidth * si;
+        const opacity = s.dashed ? ' fill-opacity="0.45"' : '';
+        parts.push(`<rect x="${bx.toFixed(1)}" y="${top.toFixed(1)}" width="${Math.max(barWidth - 1, 1).toFixed(1)}" height="${barHeight.toFixed(1)}" fill="${colorOf(s, si)}"${opacity}><title>${escapeXml(`${s.name}: ${value}`)}</title></rect>`);
+      });
+    });
+  } else {
+    series.forEach((s, si) => {
+      const points = s.values
+        .map((value, i) => (typeof value === 'number' && Number.isFinite(value) ? `${x(i).toFixed(1)},${y(value).toFixed(1)}` : null))
+        .filter(Boolean);
+      const dash = s.dashed ? ' stroke-dasharray="6 4"' : '';
+      parts.push(`<polyline points="${points.join(' ')}" fill="none" stroke="${colorOf(s, si)}" stroke-width="2"${dash}><title>${escapeXml(s.name)}</title></polyline>`);
+    });
+  }
+
+  // Legend
+  const legendTop = height - MARGIN.bottom / 2 - (legendRows - 1) * LEGEND_ROW_HEIGHT;
+  series.forEach((s, si) => {
+    const lx = plotLeft + (si % legendPerRow) * 180;
+    const ly = legendTop + Math.floor(si / legendPerRow) * LEGEND_ROW_HEIGHT;
+    const dash = s.dashed ? ' stroke-dasharray="4 3"' : '';
+    parts.push(`<line x1="${lx}" y1="${ly}" x2="${lx + 18}" y2="${ly}" stroke="${colorOf(s, si)}" stroke-width="3"${dash}/>`);
+    const name = String(s.name);
+    parts.push(`<text x="${lx + 24}" y="${ly}" dominant-baseline="middle" font-size="11" fill="#333">${escapeXml(name.length > 25 ? `${name.slice(0, 24)}…` : name)}</text>`);
+  });
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+/**
+ * Name a report group from its grouping or dimension values
+ * @param {Object|string[]} groupings - Groupings object or dimension values
+ * @param {string} fallback - Name to use when there are no groupings
+ * @returns {string} - Group name
+ */
+function groupName(groupings, fallback) {
+  const values = Array.isArray(groupings) ? groupings : Object.values(groupings || {});
+  const name = values.filter(value => value !== null && value !== undefined && value !== '').join(' / ');
+  return name || fallback;
+}
+
+/**
+ * Pick the statistics to plot
+ * @param {string[]} available - Statistics present in the report
+ * @param {string[]} [requested] - Statistics requested by the caller
+ * @param {string[]} [defaults] - Statistics to plot when none are requested
+ * @returns {string[]} - Statistics to plot
+ */
+function pickStatistics(available, requested, defaults) {
+  if (requested && requested.length > 0) {
+    const unknown = requested.filter(statistic => !available.includes(statistic));
+    if (unknown.length > 0) {
+      throw new Error(`Statistics not in this report: ${unknown.join(', ')}. Available: ${available.join(', ')}`);
+    }
+    return requested;
+  }
+  return defaults || available.slice(0, 1);
+}
+
+/**
+ * Convert reporting tool output (or a raw series) into chart data
+ *
+ * Understands the JSON returned by query_metric_aggregates (with or without
+ * compare_to), the flow and campaign series and values tools,
+ * get_campaign_metrics, get_campaign_performance and compare_campaigns, as
+ * well as a raw { labels, series: [{ name, values }] } object. Comparisons
+ * become one solid (current) and one dashed (previous) line per group.
+ * @param {Object} report - Parsed report
+ * @param {string[]} [statistics] - Statistics or measurements to plot (default: the first one; all measurements for aggregates)
+ * @returns {Object} - { type, labels, series } where type is the suggested chart type
+ */
+export function chartFromReport(report, statistics) {
+  // Raw series
+  if (Array.isArray(report?.series) && Array.isArray(report?.labels)) {
+    return { type: 'line', labels: report.labels.map(String), series: report.series };
+  }
+
+  // query_metric_aggregates with compare_to
+  if (Array.isArray(report?.groups) && report.compare_to) {
+    const available = Object.keys(report.groups[0]?.measurements || {});
+    const plotted = pickStatistics(available, statistics, available);
+    const buckets = report.groups[0]?.measurements[plotted[0]]?.buckets || [];
+    const series = [];
+
+    report.groups.forEach(({ dimensions, measurements }) => {
+      for (const measurement of plotted) {
+        const name = groupName([...(dimensions || []), plotted.length > 1 || dimensions?.length === 0 ? measurement : null], measurement);
+        const color = series.length / 2;
+        series.push({ name: `${name} (current)`, values: measurements[measurement].buckets.map(bucket => bucket.current), color });
+        series.push({ name: `${name} (${report.compare_to.replace(/_/g, ' ')})`, values: measurements[measurement].buckets.map(bucket => bucket.previous), color, dashed: true });
+      }
+    });
+
+    return { type: 'line', labels: buckets.map(bucket => bucket.date), series };
+  }
+
+  // compare_campaigns leaderboard
+  if (Array.isArray(report?.leaderboard)) {
+    const available = Object.keys(report.median || {});
+    const plotted = pickStatistics(available, statistics, [report.rank_by]);
+
+    return {
+      type: 'bar',
+      labels: report.leaderboard.map(row => row.name || row.id),
+      series: plotted.map(statistic => ({ name: statistic, values: report.leaderboard.map(row => row[statistic]) }))
+    };
+  }
+
+  // get_campaign_performance wraps the values report attributes
+  const attributes = report?.data?.attributes || report?.metrics || report || {};
+
+  // query_metric_aggregates
+  if (Array.isArray(attributes.dates) && Array.isArray(attributes.data)) {
+    const available = Object.keys(attributes.data[0]?.measurements || {});
+    const plotted = pickStatistics(available, statistics, available);
+
+    return {
+      type: 'line',
+      labels: attributes.dates,
+      series: attributes.data.flatMap(({ dimensions, measurements }) => plotted.map(measurement => ({
+        name: groupName([...(dimensions || []), plotted.length > 1 || !dimensions?.length ? measurement : null], measurement),
+        values: measurements?.[measurement] || []
+      })))
+    };
+  }
+
+  if (Array.isArray(attributes.results)) {
+    const available = Array.from(new Set(attributes.results.flatMap(row => Object.keys(row.statistics || {}))));
+    const plotted = pickStatistics(available, statistics);
+
+    // Series reports: one line per group and statistic
+    if (Array.isArray(attributes.date_times)) {
+      return {
+        type: 'line',
+        labels: attributes.date_times,
+        series: attributes.results.flatMap(({ groupings, statistics: values }) => plotted.map(statistic => ({
+          name: plotted.length > 1 ? groupName({ ...groupings, statistic }, statistic) : groupName(groupings, statistic),
+          values: values?.[statistic] || []
+        })))
+      };
+    }
+
+    // Values reports: one bar group per report row
+    return {
+      type: 'bar',
+      labels: attributes.results.map((row, i) => groupName(row.groupings, `row ${i + 1}`)),
+      series: plotted.map(statistic => ({ name: statistic, values: attributes.results.map(row => row.statistics?.[statistic]) }))
+    };
+  }
+
+  throw new Error('Unrecognized report format. Pass the JSON output of a reporting tool or { labels, series: [{ name, values }] }');
+}
+
+export default {
+  renderChart,
+  chartFromReport
+};
@@ -0,0 +1,150 @@
+/**
+ * Two-phase confirmation for destructive tools
+ *
+ * The first call to a destructive tool returns a summary of what will change
+ * plus a short-lived, single-use confirmation token bound to the tool and its
+ * exact arguments. Only a second call carrying that token performs the write.
+ */
+
+import { randomBytes } from 'crypto';
+import { z } from 'zod';
+import { CONFIRMATION_CONFIG, DRY_RUN_CONFIG } from '../config.js';
+import logger from './logger.js';
+import { resolveAccount } from '../accounts.js';
+
+// Outstanding tokens keyed by token value
+const pendingConfirmations = new Map();
+
+// Tool parameter carrying the token from the first call
+export const confirmationParams = {
+  confirmation_token: z.string().optional().describe("Token returned by the first call; required to actually perform this destructive operation")
+};
+
+/**
+ * Serialize the arguments a token is bound to
+ *
+ * The account is included so a token issued for one account cannot confirm
+ * the same operation against another.
+ * @param {Object} params - Tool parameters
+ * @returns {string} - Stable representation of the arguments
+ */
+function fingerprint(params) {
+  const { confirmation_token, dry_run, ...args } = params;
+  return JSON.stringify([resolveAccount().name, ...Object.keys(args).sort().map(key => [key, args[key]])]);
+}
+
+/**
+ * Remove expired tokens
+ */
+function purgeExpired() {
+  const now = Date.now();
+  for (const [token, pending] of pendingConfirmations.entries()) {
+    if (now > pending.expiresAt) {
+      pendingConfirmations.delete(token);
+    }
+  }
+}
+
+/**
+ * Issue a confirmation token for a tool call
+ * @param {string} tool - Tool name
+ * @param {Object} params - Tool parameters
+ * @returns {Object} - Token and its expiry time
+ */
+export function issueConfirmationToken(tool, params) {
+  purgeExpired();
+
+  const token = randomBytes(6).toString('hex');
+  const expiresAt = Date.now() + CONFIRMATION_CONFIG.ttlSeconds * 1000;
+
+  pendingConfirmations.set(token, { tool, fingerprint: fingerprint(params), expiresAt });
+
+  return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Validate and consume a confirmation token
+ * @param {string} token - Token supplied by the caller
+ * @param {string} tool - Tool name
+ * @param {Object} params - Tool parameters
+ * @returns {string|null} - Reason the token is invalid, or null if it was accepted
+ */
+export function consumeConfirmationToken(token, tool, params) {
+  const pending = pendingConfirmations.get(token);
+
+  if (!pending) {
+    return 'Unknown or already used confirmation token';
+  }
+
+  if (Date.now() > pending.expiresAt) {
+    pendingConfirmations.delete(token);
+    return 'Confirmation token has expired';
+  }
+
+  if (pending.tool !== tool || pending.fingerprint !== fingerprint(params)) {
+    return 'Confirmation token was issued for a different operation or different arguments';
+  }
+
+  pendingConfirmations.delete(token);
+  return null;
+}
+
+/**
+ * Gate a destructive tool call behind a confirmation token
+ *
+ * Returns null when the call may proceed (valid token, confirmation disabled,
+ * or dry run). Otherwise returns the tool response to send back: either the
+ * change summary with a new token, or an error for an invalid token.
+ * @param {string} tool - Tool name
+ * @param {Object} params - Tool parameters
+ * @param {Function} describeChange - Async function returning a summary of the current state and the change
+ * @returns {Promise<Object|null>} - Tool response, or null to proceed with the write
+ */
+export async function requireConfirmation(tool, params, describeChange) {
+  if (!CONFIRMATION_CONFIG.enabled || params.dry_run || DRY_RUN_CONFIG.enabled) {
+    return null;
+  }
+
+  if (params.confirmation_token) {
+    const reason = consumeConfirmationToken(params.confirmation_token, tool, params);
+    if (!reason) {
+      logger.info(`Confirmed destructive operation: ${tool}`);
+      return null;
+    }
+
+    return {
+      content: [{ type: "text", text: `${reason}. Call ${tool} again without confirmation_token to get a new one.` }],
+      isError: true
+    };
+  }
+
+  let summary;
+  try {
+    summary = await describeChange();
+  } catch (error) {
+    summary = { warning: `Could not fetch current state: ${error.message}` };
+  }
+
+  const { token, expiresAt } = issueConfirmationToken(tool, params);
+  logger.info(`Confirmation required for ${tool}; token issued`);
+
+  const response = {
+    confirmation_required: true,
+    tool,
+    summary,
+    confirmation_token: token,
+    expires_at: expiresAt,
+    instructions: `Nothing has been changed yet. To proceed, call ${tool} again with the same arguments and confirmation_token "${token}".`
+  };
+
+  return {
+    content: [{ type: "text", text: JSON.stringify(response, null, 2) }]
+  };
+}
+
+export default {
+  confirmationParams,
+  issueConfirmationToken,
+  consumeConfirmationToken,
+  requireConfirmation
+};
@@ -0,0 +1,28 @@
+/**
+ * Shared dry-run support for mutating tools
+ *
+ * Mutating tools accept an optional `dry_run` argument and pass it to
+ * klaviyoClient.post/patch/del, which return the request they would have sent
+ * (marked `simulated: true`) instead of calling Klaviyo.
+ */
+
+import { z } from 'zod';
+
+// Tool parameter requesting a simulated write
+export const dryRunParams = {
+  dry_run: z.boolean().optional().describe("Return the exact request that would be sent to Klaviyo without sending it")
+};
+
+/**
+ * Check whether a client result is a simulated (dry-run) response
+ * @param {Object} result - Result of klaviyoClient.post/patch/del
+ * @returns {boolean} - True if the request was not sent
+ */
+export function isSimulated(result) {
+  return Boolean(result && result.simulated === true);
+}
+
+export default {
+  dryRunParams,
+  isSimulated
+};
@@ -0,0 +1,45 @@
+/**
+ * Helpers for building Klaviyo filter expressions
+ *
+ * String values in filters are double-quoted, so quotes and backslashes in
+ * user input (emails, tag names, external IDs) must be escaped.
+ */
+
+/**
+ * Escape a value for use inside a double-quoted filter string
+ * @param {string} value - Raw value
+ * @returns {string} - Value with `\` and `"` escaped
+ */
+export function escapeFilterValue(value) {
+  return String(value).replace(/[\\"]/g, '\\$&');
+}
+
+/**
+ * Build an equals() filter for a string value
+ * @param {string} field - Field to compare (e.g. "email")
+ * @param {string} value - Raw value
+ * @returns {string} - Filter expression, e.g. equals(email,"a@example.com")
+ */
+export function equalsFilter(field, value) {
+  return `equals(${field},"${escapeFilterValue(value)}")`;
+}
+
+/**
+ * Validate a date argument and format it for a datetime filter
+ * @param {string} value - Date or date-time (ISO format)
+ * @param {string} name - Argument name, for the error message
+ * @returns {string} - ISO 8601 date-time in UTC
+ */
+export function toFilterDatetime(value, name) {
+  const date = new Date(value);
+  if (!/^\d{4}-\d{2}-\d{2}/.test(String(value)) || Number.isNaN(date.getTime())) {
+    throw new Error(`${name} must be an ISO date or date-time (e.g. 2024-05-01 or 2024-05-01T12:00:00Z), got "${value}"`);
+  }
+  return date.toISOString();
+}
+
+export default {
+  escapeFilterValue,
+  equalsFilter,
+  toFilterDatetime
+};
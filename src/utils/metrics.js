@@ -0,0 +1,65 @@
+/**
+ * Metric lookup by name or ID
+ *
+ * Metric IDs differ between Klaviyo accounts, so reporting tools accept a
+ * metric name (e.g. "Placed Order") as well as an ID. Names are resolved
+ * through /metrics/ on first use and remembered per account.
+ */
+
+import * as klaviyoClient from '../klaviyo-client.js';
+import { API_CONFIG } from '../config.js';
+import { resolveAccount } from '../accounts.js';
+import logger from './logger.js';
+
+// Resolved metric IDs keyed by "<account>:<name or ID>"
+const resolvedMetrics = new Map();
+
+/**
+ * Resolve a metric name or ID to a metric ID for the current account
+ * @param {string} nameOrId - Metric name (case-insensitive) or ID
+ * @returns {Promise<string>} - Metric ID
+ */
+export async function resolveMetricId(nameOrId) {
+  const key = `${resolveAccount().name}:${nameOrId}`;
+  if (resolvedMetrics.has(key)) {
+    return resolvedMetrics.get(key);
+  }
+
+  const metrics = await klaviyoClient.getAll('/metrics/');
+  const byId = metrics.data.find(metric => metric.id === nameOrId);
+  const byName = metrics.data.filter(metric =>
+    metric.attributes?.name?.toLowerCase() === String(nameOrId).toLowerCase()
+  );
+
+  let metricId;
+  if (byId) {
+    metricId = byId.id;
+  } else if (byName.length > 0) {
+    metricId = byName[0].id;
+    if (byName.length > 1) {
+      const sources = byName.map(metric => `${metric.id} (${metric.attributes.integration?.name || 'API'})`).join(', ');
+      logger.warn(`Several metrics are named "${nameOrId}": ${sources}. Using ${metricId}; pass an ID to choose another.`);
+    }
+  } else {
+    const names = [...new Set(metrics.data.map(metric => metric.attributes?.name).filter(Boolean))];
+    throw new Error(`No metric with name or ID "${nameOrId}" exists in this account. Available metrics: ${names.slice(0, 50).join(', ')}${names.length > 50 ? ', ...' : ''}`);
+  }
+
+  logger.info(`Resolved metric "${nameOrId}" to ${metricId}`);
+  resolvedMetrics.set(key, metricId);
+  return metricId;
+}
+
+/**
+ * Resolve the conversion metric for a report
+ * @param {string} [nameOrId] - Metric name or ID requested by the caller
+ * @returns {Promise<string>} - Metric ID (defaults to API_CONFIG.conversionMetric, "Placed Order")
+ */
+export async function resolveConversionMetricId(nameOrId) {
+  return resolveMetricId(nameOrId || API_CONFIG.conversionMetric);
+}
+
+export default {
+  resolveMetricId,
+  resolveConversionMetricId
+};
@@ -0,0 +1,46 @@
+/**
+ * Shared pagination support for list tools
+ *
+ * List tools accept the same optional `all_pages` / `max_items` arguments and
+ * hand their parameters to getList(), which either returns a single page or
+ * follows `links.next` through klaviyoClient.getAll().
+ */
+
+import { z } from 'zod';
+import * as klaviyoClient from '../klaviyo-client.js';
+import { API_CONFIG } from '../config.js';
+
+// Tool parameters controlling automatic pagination
+export const paginationParams = {
+  all_pages: z.boolean().optional().describe(`Follow pagination links and return all pages (capped at ${API_CONFIG.maxPaginatedItems} items)`),
+  max_items: z.number().min(1).max(API_CONFIG.maxPaginatedItems).optional().describe("Maximum number of items to return across pages (follows pagination links)")
+};
+
+/**
+ * Fetch a list endpoint, following pagination when requested
+ * @param {string} endpoint - API endpoint
+ * @param {Object} [params] - Tool parameters, including all_pages and max_items
+ * @param {Function} [fallbackFn] - Optional fallback function for each request
+ * @returns {Promise<Object>} - Single page response or merged multi-page response
+ */
+export async function getList(endpoint, params = {}, fallbackFn) {
+  const { all_pages, max_items, ...queryParams } = params;
+
+  // A cursor ending in ~<offset> resumes part way through a page, which only getAll() can do
+  const resumesMidPage = klaviyoClient.splitCursor(queryParams.page_cursor).offset > 0;
+
+  if (resumesMidPage && !all_pages && !max_items) {
+    return klaviyoClient.getAll(endpoint, queryParams, { maxPages: 1 }, fallbackFn);
+  }
+
+  if (!all_pages && !max_items) {
+    return klaviyoClient.get(endpoint, queryParams, fallbackFn);
+  }
+
+  return klaviyoClient.getAll(endpoint, queryParams, { maxItems: max_items }, fallbackFn);
+}
+
+export default {
+  paginationParams,
+  getList
+};
@@ -0,0 +1,48 @@
+/**
+ * Phone number normalization
+ *
+ * Klaviyo stores phone numbers in E.164 format (+ followed by the country
+ * code and subscriber number), so lookups must use the same form.
+ */
+
+// Trailing extension ("ext. 12", "x12", "#12")
+const EXTENSION = /\s*(?:,|;)?\s*(?:ext\.?|extension|x|#)\s*\d+$/i;
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} phone - Phone number in any common notation ("+1 (555) 555-0100", "0044 20 7946 0958"); an extension is dropped
+ * @param {string} [countryCode] - Calling code for numbers without one (e.g. "1" or "+44"); a leading trunk 0 is dropped
+ * @returns {string} - E.164 phone number
+ */
+export function toE164(phone, countryCode) {
+  // E.164 has no extensions, so drop one instead of appending its digits
+  const raw = String(phone).trim().replace(EXTENSION, '');
+
+  // Letters (vanity numbers, notes) would otherwise be dropped silently, leaving a different number
+  if (/[^\d\s().\/+-]/.test(raw)) {
+    throw new Error(`"${phone}" is not a valid phone number`);
+  }
+
+  let digits = raw.replace(/[^\d]/g, '');
+
+  if (raw.startsWith('+')) {
+    // Already international
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (countryCode) {
+    digits = `${String(countryCode).replace(/[^\d]/g, '')}${digits.replace(/^0/, '')}`;
+  } else {
+    throw new Error(`Phone number "${phone}" has no country code. Include it (e.g. +1 555 555 0100) or pass country_code`);
+  }
+
+  const normalized = `+${digits}`;
+  if (!/^\+[1-9]\d{6,14}$/.test(normalized)) {
+    throw new Error(`"${phone}" is not a valid phone number (normalized to ${normalized})`);
+  }
+
+  return normalized;
+}
+
+export default {
+  toE164
+};
@@ -0,0 +1,148 @@
+/**
+ * Duplicate profile detection and comparison
+ *
+ * Profiles are duplicates when their identifiers collide after
+ * normalization: emails compared case-insensitively, phone numbers in E.164
+ * and external IDs without surrounding whitespace. Collisions on different
+ * identifiers are joined, so A~B by email and B~C by phone form one group.
+ */
+
+import { toE164 } from './phone.js';
+
+/**
+ * Normalize the identifiers of a profile
+ * @param {Object} attributes - Profile attributes
+ * @param {string} [countryCode] - Calling code for phone numbers stored without one
+ * @returns {Object} - Normalized { email, phone_number, external_id } (missing ones omitted)
+ */
+export function normalizeIdentifiers({ email, phone_number, external_id } = {}, countryCode) {
+  const normalized = {};
+
+  if (email) normalized.email = String(email).trim().toLowerCase();
+  if (external_id) normalized.external_id = String(external_id).trim();
+  if (phone_number) {
+    try {
+      normalized.phone_number = toE164(phone_number, countryCode);
+    } catch {
+      // Numbers without a country code still collide on their digits
+      normalized.phone_number = String(phone_number).replace(/[^\d]/g, '');
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Group profiles whose normalized identifiers collide
+ * @param {Object[]} profiles - JSON:API profiles
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.fields] - Identifiers to compare (default: email, phone_number, external_id)
+ * @param {string} [options.countryCode] - Calling code for phone numbers stored without one
+ * @returns {Object[]} - Groups ({ matched_on: [{ field, value }], profiles }) with two or more profiles
+ */
+export function findDuplicateGroups(profiles, { fields = ['email', 'phone_number', 'external_id'], countryCode } = {}) {
+  // Union-find over profile indexes
+  const parent = profiles.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  const owners = new Map();
+  const collisions = [];
+
+  profiles.forEach((profile, i) => {
+    const identifiers = normalizeIdentifiers(profile.attributes, countryCode);
+
+    for (const field of fields) {
+      const value = identifiers[field];
+      if (!value) continue;
+
+      const key = `${field}:${value}`;
+      if (owners.has(key)) {
+        parent[find(i)] = find(owners.get(key));
+        collisions.push({ index: i, field, value });
+      } else {
+        owners.set(key, i);
+      }
+    }
+  });
+
+  const groups = new Map();
+  const groupOf = (i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, { matched_on: new Map(), members: new Set() });
+    return groups.get(root);
+  };
+
+  for (const { index, field, value } of collisions) {
+    const group = groupOf(index);
+    group.matched_on.set(`${field}:${value}`, { field, value });
+    group.members.add(index);
+    group.members.add(owners.get(`${field}:${value}`));
+  }
+
+  return Array.from(groups.values()).map(group => ({
+    matched_on: Array.from(group.matched_on.values()),
+    profiles: Array.from(group.members).sort((a, b) => a - b).map(i => profiles[i])
+  }));
+}
+
+/**
+ * Flatten profile attributes into dotted paths (location.city, properties.plan)
+ * @param {Object} attributes - Profile attributes
+ * @returns {Object} - Flat attributes
+ */
+function flattenAttributes(attributes = {}) {
+  const flat = {};
+
+  for (const [key, value] of Object.entries(attributes)) {
+    if ((key === 'location' || key === 'properties') && value && typeof value === 'object') {
+      for (const [nestedKey, nestedValue] of Object.entries(value)) {
+        flat[`${key}.${nestedKey}`] = nestedValue;
+      }
+    } else if (!['created', 'updated', 'last_event_date', 'subscriptions', 'predictive_analytics'].includes(key)) {
+      flat[key] = value;
+    }
+  }
+
+  return flat;
+}
+
+/**
+ * Compare the attributes of a merge destination with its source profiles
+ * @param {Object} destination - JSON:API profile that is kept
+ * @param {Object[]} sources - JSON:API profiles merged into it
+ * @returns {Object[]} - Attributes that differ ({ field, destination, sources: { id: value }, conflict })
+ */
+export function diffProfiles(destination, sources) {
+  const flatDestination = flattenAttributes(destination.attributes);
+  const flatSources = sources.map(source => [source.id, flattenAttributes(source.attributes)]);
+  const isEmpty = (value) => value === null || value === undefined || value === '';
+
+  const fields = new Set([...Object.keys(flatDestination), ...flatSources.flatMap(([, flat]) => Object.keys(flat))]);
+  const diff = [];
+
+  for (const field of fields) {
+    const destinationValue = flatDestination[field];
+    const sourceValues = Object.fromEntries(flatSources
+      .filter(([, flat]) => !isEmpty(flat[field]))
+      .map(([id, flat]) => [id, flat[field]]));
+
+    const differing = Object.values(sourceValues).some(value => JSON.stringify(value) !== JSON.stringify(destinationValue));
+    if (!differing) continue;
+
+    diff.push({
+      field,
+      destination: destinationValue ?? null,
+      sources: sourceValues,
+      // Both sides have a value, so one of them is lost in the merge
+      conflict: !isEmpty(destinationValue)
+    });
+  }
+
+  return diff.sort((a, b) => a.field.localeCompare(b.field));
+}
+
+export default {
+  normalizeIdentifiers,
+  findDuplicateGroups,
+  diffProfiles
+};
@@ -0,0 +1,269 @@
+/**
+ * Helpers for bulk profile imports
+ *
+ * Rows come from a CSV or JSON file or are passed inline. Each row is mapped
+ * to profile attributes (standard fields, location fields and custom
+ * properties) and the resulting profiles are split into chunks that fit a
+ * single Klaviyo profile-bulk-import-job.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { BULK_IMPORT_CONFIG } from '../config.js';
+
+// Standard profile attributes a column can map to
+export const PROFILE_ATTRIBUTES = [
+  'email', 'phone_number', 'external_id', 'anonymous_id', 'first_name', 'last_name',
+  'organization', 'locale', 'title', 'image'
+];
+
+// Attributes nested under profile.location
+export const LOCATION_ATTRIBUTES = [
+  'address1', 'address2', 'city', 'country', 'region', 'zip', 'timezone', 'latitude', 'longitude', 'ip'
+];
+
+// A profile needs at least one of these to be imported
+const IDENTIFIERS = ['email', 'phone_number', 'external_id'];
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, line breaks in quotes)
+ * @param {string} text - CSV text with a header row
+ * @returns {Object[]} - One object per data row, keyed by header
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.replace(/^﻿/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...rows] = records.filter(row => row.some(value => value.trim() !== ''));
+  const columns = header.map(column => column.trim());
+
+  return rows.map(row => Object.fromEntries(columns.map((column, i) => [column, row[i] ?? ''])));
+}
+
+/**
+ * Resolve an import file inside the import directory
+ *
+ * Files are read on the server, which may serve remote clients over HTTP, so
+ * only files under KLAVIYO_IMPORT_DIR can be imported.
+ * @param {string} filePath - Path relative to the import directory (or absolute inside it)
+ * @returns {string} - Real path of the file
+ */
+export function resolveImportFile(filePath) {
+  if (!BULK_IMPORT_CONFIG.dir) {
+    throw new Error('File imports are disabled. Set KLAVIYO_IMPORT_DIR to the directory import files are read from, or pass rows instead.');
+  }
+
+  const dir = fs.realpathSync(path.resolve(BULK_IMPORT_CONFIG.dir));
+  const isInside = (file) => {
+    const relative = path.relative(dir, file);
+    return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+  };
+
+  const resolved = path.resolve(dir, filePath);
+  if (!isInside(resolved)) {
+    throw new Error(`${filePath} is outside the import directory ${dir}`);
+  }
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`File not found: ${resolved}`);
+  }
+
+  // Compare the real path too, so symlinks cannot point outside the directory
+  const real = fs.realpathSync(resolved);
+  if (!isInside(real)) {
+    throw new Error(`${filePath} is outside the import directory ${dir}`);
+  }
+
+  return real;
+}
+
+/**
+ * Read import rows from a CSV or JSON file in the import directory
+ * @param {string} filePath - Path to a .csv file, or a .json file holding an array of objects
+ * @returns {Object[]} - Rows
+ */
+export function readRowsFromFile(filePath) {
+  const resolved = resolveImportFile(filePath);
+
+  const text = fs.readFileSync(resolved, 'utf8');
+  const extension = path.extname(resolved).toLowerCase();
+
+  if (extension === '.csv') {
+    return parseCsv(text);
+  }
+
+  if (extension === '.json') {
+    const parsed = JSON.parse(text);
+    const rows = Array.isArray(parsed) ? parsed : parsed.profiles || parsed.rows;
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON import files must contain an array of objects (or an object with a "profiles" or "rows" array)');
+    }
+    return rows;
+  }
+
+  throw new Error(`Unsupported file type "${extension}". Use a .csv or .json file`);
+}
+
+/**
+ * Normalize a column name for matching against attribute names ("First Name" -> "first_name")
+ * @param {string} column - Column name
+ * @returns {string} - Normalized name
+ */
+function normalizeColumn(column) {
+  return String(column).trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Resolve where a column's values go
+ * @param {string} column - Column name
+ * @param {Object} mapping - Explicit mapping ({ column: target })
+ * @param {boolean} keepUnmapped - Whether unrecognized columns become custom properties
+ * @returns {string|null} - Target ("email", "location.city", "properties.plan") or null to skip
+ */
+function resolveTarget(column, mapping, keepUnmapped) {
+  if (column in mapping) {
+    const target = mapping[column];
+    if (!target) return null;
+    if (PROFILE_ATTRIBUTES.includes(target) || target.startsWith('properties.') || target.startsWith('location.')) {
+      return target;
+    }
+    if (LOCATION_ATTRIBUTES.includes(target)) return `location.${target}`;
+    return `properties.${target}`;
+  }
+
+  const name = normalizeColumn(column);
+  if (PROFILE_ATTRIBUTES.includes(name)) return name;
+  if (name === 'phone') return 'phone_number';
+  if (LOCATION_ATTRIBUTES.includes(name)) return `location.${name}`;
+  return keepUnmapped ? `properties.${String(column).trim()}` : null;
+}
+
+/**
+ * Map a row to profile attributes
+ * @param {Object} row - Row keyed by column name
+ * @param {Object} [mapping] - Explicit column mapping ({ column: target }, null/"" to skip a column)
+ * @param {boolean} [keepUnmapped] - Import unrecognized columns as custom properties (default: true)
+ * @returns {Object} - Profile attributes
+ */
+export function mapRow(row, mapping = {}, keepUnmapped = true) {
+  const attributes = {};
+
+  for (const [column, value] of Object.entries(row)) {
+    if (value === null || value === undefined || value === '') continue;
+
+    const target = resolveTarget(column, mapping, keepUnmapped);
+    if (!target) continue;
+
+    const [group, key] = target.includes('.') ? [target.slice(0, target.indexOf('.')), target.slice(target.indexOf('.') + 1)] : [null, target];
+    const cleaned = typeof value === 'string' ? value.trim() : value;
+
+    if (group) {
+      attributes[group] = { ...attributes[group], [key]: cleaned };
+    } else {
+      attributes[key] = typeof cleaned === 'string' || typeof cleaned === 'number' ? String(cleaned) : cleaned;
+    }
+  }
+
+  return attributes;
+}
+
+/**
+ * Map rows to profiles, setting aside rows without an identifier
+ * @param {Object[]} rows - Rows
+ * @param {Object} [mapping] - Explicit column mapping
+ * @param {boolean} [keepUnmapped] - Import unrecognized columns as custom properties
+ * @returns {Object} - { profiles: [{ row, attributes }], skipped: [{ row, reason }] } with 1-based row numbers
+ */
+export function mapRows(rows, mapping, keepUnmapped) {
+  const profiles = [];
+  const skipped = [];
+
+  rows.forEach((row, i) => {
+    const attributes = mapRow(row, mapping, keepUnmapped);
+    if (IDENTIFIERS.some(identifier => attributes[identifier])) {
+      profiles.push({ row: i + 1, attributes });
+    } else {
+      skipped.push({ row: i + 1, reason: 'No email, phone_number or external_id value' });
+    }
+  });
+
+  return { profiles, skipped };
+}
+
+/**
+ * Split profiles into chunks that fit one bulk import job
+ * @param {Object[]} profiles - Mapped profiles ({ row, attributes })
+ * @returns {Object[][]} - Chunks of profiles
+ */
+export function chunkProfiles(profiles) {
+  const chunks = [];
+  let chunk = [];
+  let bytes = 0;
+
+  // Leave room for the job envelope and list relationship
+  const maxBytes = BULK_IMPORT_CONFIG.maxJobBytes - 16 * 1024;
+
+  for (const profile of profiles) {
+    const size = Buffer.byteLength(JSON.stringify({ type: 'profile', attributes: profile.attributes })) + 1;
+
+    if (chunk.length > 0 && (chunk.length >= BULK_IMPORT_CONFIG.maxProfilesPerJob || bytes + size > maxBytes)) {
+      chunks.push(chunk);
+      chunk = [];
+      bytes = 0;
+    }
+
+    chunk.push(profile);
+    bytes += size;
+  }
+
+  if (chunk.length > 0) chunks.push(chunk);
+  return chunks;
+}
+
+export default {
+  PROFILE_ATTRIBUTES,
+  LOCATION_ATTRIBUTES,
+  parseCsv,
+  resolveImportFile,
+  readRowsFromFile,
+  mapRow,
+  mapRows,
+  chunkProfiles
+};
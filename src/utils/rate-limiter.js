@@ -0,0 +1,240 @@
+/**
+ * Rate limit scheduler for Klaviyo API requests
+ *
+ * Tracks a burst (per second) and steady (per minute) token bucket for each
+ * endpoint, keeps them in sync with Klaviyo's RateLimit-* and Retry-After
+ * response headers, and queues requests until budget is available instead of
+ * letting them fail with a 429.
+ */
+
+import { RATE_LIMIT_CONFIG } from '../config.js';
+import logger from './logger.js';
+
+// Buckets keyed by account, method and route template (e.g. "default GET /profiles/:id/")
+const buckets = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Reduce an endpoint to its route template so every ID shares one bucket
+ * @param {string} endpoint - API endpoint
+ * @returns {string} - Route template
+ */
+function getRoute(endpoint) {
+  const segments = endpoint.split('?')[0].split('/').filter(Boolean);
+
+  // Klaviyo paths alternate resource and ID: /lists/{id}/relationships/profiles/
+  const route = segments.map((segment, i) =>
+    i % 2 === 1 && segments[i - 1] !== 'relationships' ? ':id' : segment
+  );
+
+  return `/${route.join('/')}/`;
+}
+
+/**
+ * Get (or create) the bucket for a request
+ *
+ * Klaviyo enforces limits per account, so each account has its own buckets.
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API endpoint
+ * @param {string} account - Klaviyo account name
+ * @returns {Object} - Bucket state
+ */
+function getBucket(method, endpoint, account) {
+  const route = getRoute(endpoint);
+  const key = `${account} ${method} ${route}`;
+
+  if (!buckets.has(key)) {
+    const resource = route.split('/')[1];
+    const tierName = RATE_LIMIT_CONFIG.endpointTiers[resource] || RATE_LIMIT_CONFIG.defaultTier;
+    const tier = RATE_LIMIT_CONFIG.tiers[tierName];
+
+    buckets.set(key, {
+      key,
+      account,
+      route: `${method} ${route}`,
+      tier: tierName,
+      burst: { capacity: tier.burst, tokens: tier.burst, windowMs: 1000 },
+      steady: { capacity: tier.steady, tokens: tier.steady, windowMs: 60000 },
+      lastRefill: Date.now(),
+      blockedUntil: 0,
+      queue: Promise.resolve(),
+      queued: 0,
+      server: null
+    });
+  }
+
+  return buckets.get(key);
+}
+
+/**
+ * Add tokens earned since the last refill
+ * @param {Object} bucket - Bucket state
+ */
+function refill(bucket) {
+  const now = Date.now();
+  const elapsed = now - bucket.lastRefill;
+
+  for (const window of [bucket.burst, bucket.steady]) {
+    window.tokens = Math.min(window.capacity, window.tokens + (elapsed * window.capacity) / window.windowMs);
+  }
+
+  bucket.lastRefill = now;
+}
+
+/**
+ * Calculate how long until the bucket can serve one request
+ * @param {Object} bucket - Bucket state
+ * @returns {number} - Wait time in milliseconds (0 if a token is available)
+ */
+function getWaitMs(bucket) {
+  refill(bucket);
+
+  let wait = Math.max(0, bucket.blockedUntil - Date.now());
+
+  for (const window of [bucket.burst, bucket.steady]) {
+    if (window.tokens < 1) {
+      wait = Math.max(wait, ((1 - window.tokens) * window.windowMs) / window.capacity);
+    }
+  }
+
+  return Math.ceil(wait);
+}
+
+/**
+ * Parse a numeric rate limit header (e.g. "60" or "60, 60;w=60")
+ * @param {Object} headers - Response headers
+ * @param {string} name - Header name (lowercase)
+ * @returns {number|null} - Parsed value or null if absent
+ */
+function parseHeader(headers, name) {
+  const value = headers?.[name];
+  if (value === undefined || value === null) return null;
+
+  const parsed = parseInt(String(value), 10);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Get the Retry-After delay from response headers
+ * @param {Object} headers - Response headers
+ * @returns {number|null} - Delay in milliseconds or null if absent
+ */
+export function getRetryAfterMs(headers) {
+  const value = headers?.['retry-after'];
+  if (value === undefined || value === null) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  // Retry-After may also be an HTTP date
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Wait for rate limit budget before sending a request
+ *
+ * Requests for the same route are served in FIFO order.
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API endpoint
+ * @param {string} [account] - Klaviyo account name
+ * @returns {Promise} - Resolves once a token has been consumed
+ */
+export async function acquire(method, endpoint, account = 'default') {
+  const bucket = getBucket(method, endpoint, account);
+  bucket.queued++;
+
+  const turn = bucket.queue.then(async () => {
+    let wait;
+    while ((wait = getWaitMs(bucket)) > 0) {
+      if (wait > RATE_LIMIT_CONFIG.maxQueueWaitMs) {
+        const error = new Error(`Rate limit budget for ${bucket.key} is exhausted. Next request possible in ${Math.ceil(wait / 1000)}s.`);
+        error.code = 'RATE_LIMIT_QUEUE_TIMEOUT';
+        throw error;
+      }
+
+      logger.debug(`Rate limit budget low for ${bucket.key}. Queuing request for ${wait}ms (${bucket.queued} queued)`);
+      await sleep(wait);
+    }
+
+    bucket.burst.tokens -= 1;
+    bucket.steady.tokens -= 1;
+  });
+
+  // Keep the queue moving even if this request gives up
+  bucket.queue = turn.catch(() => {});
+
+  try {
+    await turn;
+  } finally {
+    bucket.queued--;
+  }
+}
+
+/**
+ * Update a bucket from Klaviyo's rate limit response headers
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API endpoint
+ * @param {Object} headers - Response headers
+ * @param {string} [account] - Klaviyo account name
+ */
+export function updateFromHeaders(method, endpoint, headers, account = 'default') {
+  if (!headers) return;
+
+  const bucket = getBucket(method, endpoint, account);
+  const limit = parseHeader(headers, 'ratelimit-limit');
+  const remaining = parseHeader(headers, 'ratelimit-remaining');
+  const reset = parseHeader(headers, 'ratelimit-reset');
+  const retryAfterMs = getRetryAfterMs(headers);
+
+  if (remaining !== null) {
+    bucket.server = {
+      limit,
+      remaining,
+      reset_seconds: reset,
+      updated_at: new Date().toISOString()
+    };
+
+    // The server's view is authoritative when it has less budget than we think
+    refill(bucket);
+    bucket.steady.tokens = Math.min(bucket.steady.tokens, remaining);
+
+    if (remaining <= 0 && reset !== null) {
+      bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + reset * 1000);
+    }
+  }
+
+  if (retryAfterMs !== null) {
+    bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + retryAfterMs);
+    logger.warn(`Klaviyo requested a ${Math.ceil(retryAfterMs / 1000)}s pause for ${bucket.key}`);
+  }
+}
+
+/**
+ * Get the current rate limit budget for every route used so far
+ * @returns {Object[]} - Budget per route
+ */
+export function getRateLimitStatus() {
+  return Array.from(buckets.values()).map(bucket => {
+    refill(bucket);
+
+    return {
+      account: bucket.account,
+      route: bucket.route,
+      tier: bucket.tier,
+      burst: { remaining: Math.floor(bucket.burst.tokens), limit: bucket.burst.capacity, per: 'second' },
+      steady: { remaining: Math.floor(bucket.steady.tokens), limit: bucket.steady.capacity, per: 'minute' },
+      queued_requests: bucket.queued,
+      blocked_for_ms: Math.max(0, bucket.blockedUntil - Date.now()),
+      server_reported: bucket.server
+    };
+  });
+}
+
+export default {
+  acquire,
+  updateFromHeaders,
+  getRetryAfterMs,
+  getRateLimitStatus
+};
@@ -0,0 +1,247 @@
+/**
+ * Output formats for reporting tools
+ *
+ * Reporting tools return JSON by default. With `output_format` they flatten
+ * their results into tidy rows (one column per grouping, date and statistic)
+ * and render them as a Markdown table or CSV, and with `export_csv` they also
+ * write the CSV to EXPORT_CONFIG.dir.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { z } from 'zod';
+import { EXPORT_CONFIG } from '../config.js';
+import logger from './logger.js';
+import { getToolContext } from './tool-context.js';
+
+// Tool parameters selecting the output format
+export const outputFormatParams = {
+  output_format: z.enum(["json", "markdown_table", "csv"]).optional().describe("Return raw JSON (default), a Markdown table or CSV with one row per group (and date for series)"),
+  export_csv: z.boolean().optional().describe("Also write the rows as a CSV file to the export directory (KLAVIYO_EXPORT_DIR)")
+};
+
+/**
+ * Flatten values report rows
+ * @param {Object[]} results - Rows ({ groupings, statistics })
+ * @returns {Object[]} - One row per group
+ */
+export function valuesRows(results = []) {
+  return results.map(({ groupings, messages, statistics }) => ({
+    ...groupings,
+    ...(messages !== undefined ? { messages } : {}),
+    ...statistics
+  }));
+}
+
+/**
+ * Flatten series report rows
+ * @param {Object[]} results - Rows ({ groupings, statistics }) with one value per date
+ * @param {string[]} dateTimes - Bucket dates
+ * @returns {Object[]} - One row per group and date
+ */
+export function seriesRows(results = [], dateTimes = []) {
+  return results.flatMap(({ groupings, statistics }) =>
+    dateTimes.map((date, i) => ({
+      ...groupings,
+      date,
+      ...Object.fromEntries(Object.entries(statistics || {}).map(([statistic, values]) => [statistic, values?.[i]]))
+    }))
+  );
+}
+
+/**
+ * Get the column names for a group's dimension values
+ * @param {string[]} dimensions - Dimension values
+ * @param {string[]} names - Group-by dimension names
+ * @returns {Object} - Dimension columns
+ */
+function dimensionColumns(dimensions = [], names = []) {
+  return Object.fromEntries(dimensions.map((value, i) => [names[i] || `dimension_${i + 1}`, value]));
+}
+
+/**
+ * Flatten a metric aggregate response
+ * @param {Object} attributes - Response attributes ({ dates, data: [{ dimensions, measurements }] })
+ * @param {string[]} [dimensionNames] - Group-by dimension names
+ * @returns {Object[]} - One row per group and date
+ */
+export function aggregateRows(attributes = {}, dimensionNames = []) {
+  const { dates = [], data = [] } = attributes;
+
+  return data.flatMap(({ dimensions, measurements }) =>
+    dates.map((date, i) => ({
+      ...dimensionColumns(dimensions, dimensionNames),
+      date,
+      ...Object.fromEntries(Object.entries(measurements || {}).map(([measurement, values]) => [measurement, values?.[i]]))
+    }))
+  );
+}
+
+/**
+ * Flatten a period-over-period metric aggregate comparison
+ * @param {Object[]} groups - Compared groups ({ dimensions, measurements: { name: { buckets } } })
+ * @param {string[]} [dimensionNames] - Group-by dimension names
+ * @returns {Object[]} - One row per group and aligned bucket
+ */
+export function comparisonRows(groups = [], dimensionNames = []) {
+  return groups.flatMap(({ dimensions, measurements }) => {
+    const entries = Object.entries(measurements || {});
+    const buckets = entries[0]?.[1].buckets || [];
+
+    return buckets.map((bucket, i) => {
+      const row = {
+        ...dimensionColumns(dimensions, dimensionNames),
+        date: bucket.date,
+        compare_date: bucket.compare_date
+      };
+
+      for (const [measurement, { buckets: values }] of entries) {
+        row[`${measurement}_current`] = values[i].current;
+        row[`${measurement}_previous`] = values[i].previous;
+        row[`${measurement}_change`] = values[i].absolute_change;
+        row[`${measurement}_percent_change`] = values[i].percent_change;
+      }
+
+      return row;
+    });
+  });
+}
+
+/**
+ * Collect the columns of a set of rows in first-seen order
+ * @param {Object[]} rows - Rows
+ * @returns {string[]} - Column names
+ */
+function getColumns(rows) {
+  const columns = new Set();
+  for (const row of rows) {
+    Object.keys(row).forEach(column => columns.add(column));
+  }
+  return Array.from(columns);
+}
+
+/**
+ * Convert a cell value to text
+ * @param {*} value - Cell value
+ * @returns {string} - Text
+ */
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Render rows as CSV
+ * @param {Object[]} rows - Rows
+ * @param {string[]} columns - Column names
+ * @returns {string} - CSV text
+ */
+function toCsv(rows, columns) {
+  const escape = (value) => {
+    const text = cellText(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    columns.map(escape).join(','),
+    ...rows.map(row => columns.map(column => escape(row[column])).join(','))
+  ].join('\n');
+}
+
+/**
+ * Render rows as a Markdown table
+ * @param {Object[]} rows - Rows
+ * @param {string[]} columns - Column names
+ * @returns {string} - Markdown table
+ */
+function toMarkdownTable(rows, columns) {
+  if (rows.length === 0) return '_No rows_';
+
+  // Keep tables readable: rates and averages are rounded to 4 decimals
+  const cell = (value) => {
+    const text = typeof value === 'number' && !Number.isInteger(value)
+      ? String(Number(value.toFixed(4)))
+      : cellText(value);
+    return text.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  };
+
+  return [
+    `| ${columns.map(cell).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${columns.map(column => cell(row[column])).join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * Write CSV text to the export directory
+ * @param {string} csv - CSV text
+ * @returns {string} - Path of the written file
+ */
+function exportCsv(csv) {
+  if (!EXPORT_CONFIG.dir) {
+    throw new Error('CSV export is disabled. Set KLAVIYO_EXPORT_DIR to the directory exports should be written to.');
+  }
+
+  fs.mkdirSync(EXPORT_CONFIG.dir, { recursive: true });
+
+  const tool = getToolContext()?.tool || 'report';
+  const file = path.join(EXPORT_CONFIG.dir, `${tool}-${new Date().toISOString().replace(/[:.]/g, '-')}.csv`);
+  fs.writeFileSync(file, `${csv}\n`);
+
+  logger.info(`Exported report to ${file}`);
+  return file;
+}
+
+/**
+ * Build a reporting tool result in the requested output format
+ * @param {Object} result - Report result (returned as-is for JSON output)
+ * @param {Function} getRows - Returns the result flattened into rows
+ * @param {Object} params - Tool parameters (output_format, export_csv)
+ * @returns {Object} - MCP tool result
+ */
+export function formatReport(result, getRows, params = {}) {
+  const format = params.output_format || 'json';
+
+  if (format === 'json' && !params.export_csv) {
+    return {
+      content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+    };
+  }
+
+  const rows = getRows();
+  const columns = getColumns(rows);
+
+  const text = {
+    json: () => JSON.stringify(result, null, 2),
+    csv: () => toCsv(rows, columns),
+    markdown_table: () => toMarkdownTable(rows, columns)
+  }[format]();
+
+  const content = [{ type: "text", text }];
+
+  // Tables and CSV files do not carry the result's fields, so say when a fallback query was used
+  if (result.fallback_used) {
+    content.push({ type: "text", text: `Note: the requested query failed (${result.fallback_reason}), so these results come from a simplified fallback query and may cover a different period or fewer statistics than requested.` });
+  }
+
+  if (result.note) {
+    content.push({ type: "text", text: `Note: ${result.note}` });
+  }
+
+  if (params.export_csv) {
+    const file = exportCsv(toCsv(rows, columns));
+    content.push({ type: "text", text: `CSV with ${rows.length} rows exported to ${file}` });
+  }
+
+  return { content };
+}
+
+export default {
+  outputFormatParams,
+  valuesRows,
+  seriesRows,
+  aggregateRows,
+  comparisonRows,
+  formatReport
+};
@@ -0,0 +1,259 @@
+/**
+ * Shared helpers for Klaviyo values and series reports
+ *
+ * Values reports return one row of totals per message, series reports one
+ * row of per-interval arrays. Rolling rows up to a coarser grouping (e.g. per
+ * flow instead of per flow message) sums the count statistics and recomputes
+ * rates from those sums, so a message with ten recipients does not weigh as
+ * much as one with ten thousand.
+ */
+
+import { API_CONFIG } from '../config.js';
+
+// Rate statistics and the [numerator, denominator] counts they are derived from
+export const RATE_STATISTICS = {
+  delivery_rate: ['delivered', 'recipients'],
+  open_rate: ['opens_unique', 'delivered'],
+  click_rate: ['clicks_unique', 'delivered'],
+  click_to_open_rate: ['clicks_unique', 'opens_unique'],
+  bounce_rate: ['bounced', 'recipients'],
+  unsubscribe_rate: ['unsubscribe_uniques', 'delivered'],
+  spam_complaint_rate: ['spam_complaints', 'delivered'],
+  conversion_rate: ['conversion_uniques', 'delivered'],
+  revenue_per_recipient: ['conversion_value', 'delivered'],
+  average_order_value: ['conversion_value', 'conversions'],
+};
+
+/**
+ * Build the report timeframe from tool parameters
+ * @param {Object} params - Tool parameters with timeframe or start_date/end_date
+ * @returns {Object} - { start, end } for custom dates, otherwise { key }
+ */
+export function buildTimeframe(params) {
+  if (params.start_date && params.end_date) {
+    return { start: params.start_date, end: params.end_date };
+  }
+  return { key: params.timeframe || API_CONFIG.defaultTimeframe };
+}
+
+/**
+ * Add the count statistics needed to recompute the requested rates
+ * @param {string[]} statistics - Requested statistics
+ * @returns {string[]} - Statistics to request from Klaviyo
+ */
+export function withRateInputs(statistics) {
+  const expanded = new Set(statistics);
+  for (const statistic of statistics) {
+    for (const input of RATE_STATISTICS[statistic] || []) {
+      expanded.add(input);
+    }
+  }
+  return Array.from(expanded);
+}
+
+/**
+ * Add two statistic values (numbers or per-interval arrays)
+ * @param {number|number[]} a - Running total
+ * @param {number|number[]} b - Value to add
+ * @returns {number|number[]} - Sum
+ */
+function add(a, b) {
+  if (Array.isArray(b)) {
+    return b.map((value, i) => (a?.[i] || 0) + (value || 0));
+  }
+  return (a || 0) + (b || 0);
+}
+
+/**
+ * Divide two statistic values, returning 0 where the denominator is 0
+ * @param {number|number[]} numerator - Numerator
+ * @param {number|number[]} denominator - Denominator
+ * @returns {number|number[]} - Quotient
+ */
+function divide(numerator, denominator) {
+  if (Array.isArray(denominator)) {
+    return denominator.map((value, i) => (value ? (numerator?.[i] || 0) / value : 0));
+  }
+  return denominator ? (numerator || 0) / denominator : 0;
+}
+
+/**
+ * Roll report rows up to a coarser grouping
+ * @param {Object[]} results - Report rows ({ groupings, statistics })
+ * @param {string[]} groupingKeys - Groupings to keep (e.g. ['flow_id', 'send_channel'])
+ * @param {string[]} statistics - Statistics to return; rates need their inputs (see withRateInputs)
+ * @returns {Object[]} - One row per distinct combination of groupingKeys
+ */
+export function rollUpResults(results, groupingKeys, statistics) {
+  const groups = new Map();
+
+  for (const row of results) {
+    const groupings = Object.fromEntries(groupingKeys.map(key => [key, row.groupings?.[key]]));
+    const key = JSON.stringify(groupings);
+
+    if (!groups.has(key)) {
+      groups.set(key, { groupings, totals: {}, rows: 0, first: row });
+    }
+
+    const group = groups.get(key);
+    group.rows++;
+    for (const [statistic, value] of Object.entries(row.statistics || {})) {
+      if (!RATE_STATISTICS[statistic]) {
+        group.totals[statistic] = add(group.totals[statistic], value);
+      }
+    }
+  }
+
+  return Array.from(groups.values()).map(({ groupings, totals, rows, first }) => ({
+    groupings,
+    messages: rows,
+    statistics: Object.fromEntries(statistics.map(statistic => {
+      // A single row keeps Klaviyo's own values
+      if (rows === 1 && first.statistics?.[statistic] !== undefined) {
+        return [statistic, first.statistics[statistic]];
+      }
+
+      const inputs = RATE_STATISTICS[statistic];
+      return [statistic, inputs ? divide(totals[inputs[0]], totals[inputs[1]]) : totals[statistic] ?? 0];
+    }))
+  }));
+}
+
+/**
+ * Format a Date as YYYY-MM-DD (UTC)
+ * @param {Date} date - Date
+ * @returns {string} - Date string
+ */
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date - Date string
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} - Date string
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return toDateString(result);
+}
+
+/**
+ * Get the first day of the calendar quarter containing a date
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {string} - Date string
+ */
+function quarterStart(date) {
+  const month = Math.floor((Number(date.slice(5, 7)) - 1) / 3) * 3 + 1;
+  return `${date.slice(0, 4)}-${String(month).padStart(2, '0')}-01`;
+}
+
+/**
+ * Resolve a predefined timeframe to an inclusive date range
+ * @param {string} timeframe - Timeframe key (e.g. last_30_days, this_month, last_quarter)
+ * @param {Date} [now] - Reference time
+ * @returns {Object|null} - { start, end } as YYYY-MM-DD, or null if the timeframe is unbounded or unknown
+ */
+export function resolveTimeframeDates(timeframe, now = new Date()) {
+  const today = toDateString(now);
+  const lastDays = /^last_(\d+)_days$/.exec(timeframe);
+
+  if (lastDays) return { start: addDays(today, -Number(lastDays[1])), end: today };
+
+  switch (timeframe) {
+    case 'today':
+      return { start: today, end: today };
+    case 'yesterday':
+      return { start: addDays(today, -1), end: addDays(today, -1) };
+    case 'this_month':
+      return { start: `${today.slice(0, 7)}-01`, end: today };
+    case 'last_month': {
+      const end = addDays(`${today.slice(0, 7)}-01`, -1);
+      return { start: `${end.slice(0, 7)}-01`, end };
+    }
+    case 'this_quarter':
+      return { start: quarterStart(today), end: today };
+    case 'last_quarter': {
+      const end = addDays(quarterStart(today), -1);
+      return { start: quarterStart(end), end };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get the calendar date in a timezone
+ * @param {string} timezone - IANA timezone
+ * @param {Date} [now] - Reference time
+ * @returns {string} - Date as YYYY-MM-DD
+ */
+export function getLocalDate(timezone, now = new Date()) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+}
+
+/**
+ * Get the date range to compare a period against
+ * @param {Object} range - Current period ({ start, end } as YYYY-MM-DD, inclusive)
+ * @param {string} compareTo - "previous_period", "same_period_last_year" or "custom"
+ * @param {Object} [custom] - Comparison period for "custom" ({ start, end })
+ * @returns {Object} - Comparison period ({ start, end } as YYYY-MM-DD)
+ */
+export function getComparisonRange(range, compareTo, custom) {
+  switch (compareTo) {
+    case 'previous_period': {
+      const days = Math.round((Date.parse(range.end) - Date.parse(range.start)) / 86400000);
+      const end = addDays(range.start, -1);
+      return { start: addDays(end, -days), end };
+    }
+    case 'same_period_last_year': {
+      const shift = (date) => `${Number(date.slice(0, 4)) - 1}${date.slice(4)}`.replace(/-02-29$/, '-02-28');
+      return { start: shift(range.start), end: shift(range.end) };
+    }
+    case 'custom':
+      if (!custom?.start || !custom?.end) {
+        throw new Error("compare_start_date and compare_end_date are required when compare_to is 'custom'");
+      }
+      return { start: custom.start.split('T')[0], end: custom.end.split('T')[0] };
+    default:
+      throw new Error(`Unknown comparison: ${compareTo}`);
+  }
+}
+
+/**
+ * Get the percentage change from a baseline
+ * @param {number} value - New value
+ * @param {number} baseline - Value to compare against
+ * @returns {number|null} - Change in percent (2 decimals), or null if the baseline is 0
+ */
+export function percentChange(value, baseline) {
+  return baseline ? Number((((value - baseline) / baseline) * 100).toFixed(2)) : null;
+}
+
+/**
+ * Get the median of a list of numbers
+ * @param {number[]} values - Values (null and undefined are ignored)
+ * @returns {number|null} - Median, or null if there are no values
+ */
+export function median(values) {
+  const sorted = values.filter(value => typeof value === 'number').sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+export default {
+  RATE_STATISTICS,
+  buildTimeframe,
+  withRateInputs,
+  rollUpResults,
+  resolveTimeframeDates,
+  getLocalDate,
+  getComparisonRange,
+  percentChange,
+  median
+};
@@ -0,0 +1,71 @@
+/**
+ * Helpers for finding the Klaviyo resources a request targets
+ *
+ * Klaviyo paths alternate resource type and ID (e.g.
+ * /lists/{id}/relationships/profiles/), and JSON:API bodies reference
+ * resources through data and relationships.
+ */
+
+/**
+ * Split an endpoint into its path segments
+ * @param {string} endpoint - API endpoint, optionally with a query string
+ * @returns {string[]} - Path segments
+ */
+export function getPathSegments(endpoint) {
+  return endpoint.split('?')[0].split('/').filter(Boolean);
+}
+
+/**
+ * Get the resource IDs embedded in an endpoint path
+ * @param {string} endpoint - API endpoint
+ * @returns {string[]} - IDs in the path
+ */
+export function getPathIds(endpoint) {
+  const segments = getPathSegments(endpoint);
+  return segments.filter((segment, i) => i % 2 === 1 && segments[i - 1] !== 'relationships');
+}
+
+/**
+ * Collect resource IDs referenced by a JSON:API body
+ *
+ * Besides top-level data and relationships, this follows resources nested in
+ * attributes, such as the profiles of a bulk job (attributes.profiles.data).
+ * @param {Object} [body] - Request or response body
+ * @returns {string[]} - Resource IDs found in data, relationships and nested data
+ */
+export function getBodyIds(body) {
+  const ids = [];
+
+  const visit = (document) => {
+    const resources = Array.isArray(document?.data) ? document.data : (document?.data ? [document.data] : []);
+
+    for (const resource of resources) {
+      if (!resource || typeof resource !== 'object') continue;
+      if (resource.id) ids.push(resource.id);
+
+      for (const value of [...Object.values(resource.relationships || {}), ...Object.values(resource.attributes || {})]) {
+        if (value && typeof value === 'object' && 'data' in value) visit(value);
+      }
+    }
+  };
+
+  visit(body);
+  return ids;
+}
+
+/**
+ * Get every resource ID a request targets, from its path and body
+ * @param {string} endpoint - API endpoint
+ * @param {Object} [body] - JSON:API request body
+ * @returns {string[]} - Unique resource IDs
+ */
+export function getResourceIds(endpoint, body) {
+  return [...new Set([...getPathIds(endpoint), ...getBodyIds(body)])];
+}
+
+export default {
+  getPathSegments,
+  getPathIds,
+  getBodyIds,
+  getResourceIds
+};
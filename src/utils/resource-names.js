@@ -0,0 +1,35 @@
+/**
+ * Resource name lookup
+ *
+ * Reports and event properties reference flows, campaigns and messages by
+ * ID; these helpers fetch their names so results are readable.
+ */
+
+import * as klaviyoClient from '../klaviyo-client.js';
+import logger from './logger.js';
+
+/**
+ * Look up resource names by ID
+ *
+ * Resources that no longer exist (e.g. deleted campaigns) keep a null name.
+ * @param {string} resource - Resource path (e.g. "flows", "campaigns", "flow-messages")
+ * @param {string[]} ids - IDs to look up
+ * @returns {Promise<Map>} - Names keyed by ID
+ */
+export async function getResourceNames(resource, ids) {
+  const entries = await Promise.all([...new Set(ids)].map(async (id) => {
+    try {
+      const response = await klaviyoClient.get(`/${resource}/${id}/`);
+      return [id, response.data.attributes?.name ?? null];
+    } catch (error) {
+      logger.warn(`Could not retrieve name of ${resource} ${id}: ${error.message}`);
+      return [id, null];
+    }
+  }));
+
+  return new Map(entries);
+}
+
+export default {
+  getResourceNames
+};
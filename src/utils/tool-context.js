@@ -0,0 +1,86 @@
+/**
+ * Per-call tool context
+ *
+ * Tracks which tool (with which arguments, against which Klaviyo account)
+ * triggered the code that is currently running, so lower layers such as the
+ * Klaviyo client and the audit log can attribute API requests to a tool call.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { z } from 'zod';
+
+const storage = new AsyncLocalStorage();
+
+// Argument added to every tool to select the Klaviyo account
+const accountParam = z.string().optional().describe("Name of the Klaviyo account to use (see list_accounts); defaults to the configured default account");
+
+/**
+ * Wrap every tool registered on a server so it accepts an `account` argument
+ * and its callback runs with a tool context
+ *
+ * The `account` argument is removed from the parameters the tool sees and kept
+ * in the context instead. Must be called before any tools are registered.
+ * @param {McpServer} server - MCP server instance
+ */
+export function instrumentTools(server) {
+  const registerTool = server.tool.bind(server);
+
+  server.tool = (name, ...rest) => {
+    const callbackIndex = rest.findIndex(arg => typeof arg === 'function');
+
+    const args = rest.map((arg, i) => {
+      if (i === callbackIndex) {
+        return ({ account, ...params }, extra) =>
+          storage.run({ tool: name, params, account }, () => arg(params, extra));
+      }
+
+      // The parameter schema is the object right before the callback
+      if (i === callbackIndex - 1 && arg && typeof arg === 'object') {
+        return { ...arg, account: accountParam };
+      }
+
+      return arg;
+    });
+
+    return registerTool(name, ...args);
+  };
+}
+
+/**
+ * Get the tool call currently being handled
+ * @returns {Object|undefined} - { tool, params, account[, audit] } or undefined outside a tool call
+ */
+export function getToolContext() {
+  return storage.getStore();
+}
+
+/**
+ * Attach details to the audit log entries of the current tool call's writes
+ *
+ * Used for context the request body does not capture, such as the consent
+ * source behind a subscription change.
+ * @param {Object} details - Details to merge into the entries' `details` field
+ */
+export function addAuditDetails(details) {
+  const context = getToolContext();
+  if (context) {
+    context.audit = { ...context.audit, ...details };
+  }
+}
+
+/**
+ * Run a function against a specific Klaviyo account
+ * @param {string} account - Account name
+ * @param {Function} fn - Function to run
+ * @returns {*} - Return value of fn
+ */
+export function runWithAccount(account, fn) {
+  return storage.run({ ...(getToolContext() || {}), account }, fn);
+}
+
+export default {
+  instrumentTools,
+  getToolContext,
+  addAuditDetails,
+  runWithAccount
+};
@@ -66,7 +66,31 @@ const client = axios.create({
   }
 });
 
+// Conversion metric to report on; metric IDs differ between accounts, so it is looked up by name
+const CONVERSION_METRIC = process.env.KLAVIYO_CONVERSION_METRIC || 'Placed Order';
+
 // Test functions
+async function findConversionMetricId() {
+  logger.log(`\n🔍 Looking up the "${CONVERSION_METRIC}" metric...`);
+  try {
+    let url = '/metrics/';
+    while (url) {
+      const response = await client.get(url);
+      const metric = response.data.data.find(m => m.id === CONVERSION_METRIC || m.attributes.name === CONVERSION_METRIC);
+      if (metric) {
+        logger.log(`✅ Using conversion metric ID: ${metric.id}`);
+        return metric.id;
+      }
+      url = response.data.links?.next || null;
+    }
+    logger.log(`⚠️ No metric named "${CONVERSION_METRIC}" found; set KLAVIYO_CONVERSION_METRIC to a metric name or ID`);
+    return null;
+  } catch (error) {
+    logger.error('❌ Error looking up the conversion metric:', error);
+    return null;
+  }
+}
+
 async function testCampaigns() {
   logger.log('\n🔍 Testing campaign retrieval...');
   try {
@@ -111,8 +135,8 @@ async function testCampaignMessages(campaignId) {
   }
 }
 
-async function testCampaignMetrics(campaignId) {
-  if (!campaignId) return;
+async function testCampaignMetrics(campaignId, conversionMetricId) {
+  if (!campaignId || !conversionMetricId) return;
 
   logger.log('\n🔍 Testing campaign metrics retrieval...');
   try {
@@ -125,7 +149,7 @@ async function testCampaignMetrics(campaignId) {
           timeframe: {
             key: "last_30_days"
           },
-          conversion_metric_id: "VevE7N", // Using Placed Order metric ID from metrics list
+          conversion_metric_id: conversionMetricId,
           filter: `equals(campaign_id,\"${campaignId}\")`
         }
       }
@@ -151,7 +175,7 @@ async function testCampaignMetrics(campaignId) {
             timeframe: {
               key: "last_30_days"
             },
-            conversion_metric_id: "VevE7N", // Using Placed Order metric ID from metrics list
+            conversion_metric_id: conversionMetricId,
             filter: `equals(campaign_id,\"${campaignId}\")`
           }
         }
@@ -223,7 +247,8 @@ async function runTests() {
 
   const campaignId = await testCampaigns();
   const messageId = await testCampaignMessages(campaignId);
-  await testCampaignMetrics(campaignId);
+  const conversionMetricId = await findConversionMetricId();
+  await testCampaignMetrics(campaignId, conversionMetricId);
   await testMetricAggregates();
 
   logger.log('\n✨ Tests completed');
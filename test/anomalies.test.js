@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectAnomalies } from '../src/utils/anomalies.js';
+
+const weeks = (count, monday, otherDays) => Array.from({ length: count * 7 }, (_, i) => (i % 7 === 0 ? monday : otherDays));
+
+test('detectAnomalies flags a spike against the preceding buckets', () => {
+  const result = detectAnomalies([10, 10, 10, 10, 30], { season: 1, baselinePeriods: 3, threshold: 3 });
+
+  assert.equal(result.checked, 2);
+  assert.deepEqual(result.anomalies, [{
+    index: 4,
+    value: 30,
+    expected: 10,
+    std: 3.16,
+    z_score: 6.32,
+    direction: 'spike',
+    percent_change: 200
+  }]);
+});
+
+test('detectAnomalies compares each bucket with the same slot in earlier seasons', () => {
+  const values = weeks(3, 100, 10);
+
+  // Every Monday looks like a spike against the preceding days
+  assert.ok(detectAnomalies(values, { season: 1, baselinePeriods: 3, threshold: 3 }).anomalies.length > 0);
+
+  // Against earlier Mondays the weekly pattern is normal
+  const seasonal = detectAnomalies(values, { season: 7, baselinePeriods: 2, threshold: 3 });
+  assert.equal(seasonal.checked, 7);
+  assert.deepEqual(seasonal.anomalies, []);
+
+  values[14] = 20;
+  const [drop] = detectAnomalies(values, { season: 7, baselinePeriods: 2, threshold: 3 }).anomalies;
+  assert.equal(drop.index, 14);
+  assert.equal(drop.direction, 'drop');
+  assert.equal(drop.z_score, -8);
+  assert.equal(drop.percent_change, -80);
+});
+
+test('detectAnomalies filters by direction and skips buckets before from', () => {
+  const values = [10, 10, 10, 30, 10, 10, 10, 0];
+  const options = { season: 1, baselinePeriods: 3, threshold: 3 };
+
+  assert.deepEqual(detectAnomalies(values, options).anomalies.map(a => a.direction), ['spike', 'drop']);
+  assert.deepEqual(detectAnomalies(values, { ...options, direction: 'spike' }).anomalies.map(a => a.index), [3]);
+  assert.deepEqual(detectAnomalies(values, { ...options, direction: 'drop' }).anomalies.map(a => a.index), [7]);
+
+  const late = detectAnomalies(values, { ...options, from: 5 });
+  assert.equal(late.checked, 3);
+  assert.deepEqual(late.anomalies.map(a => a.index), [7]);
+});
+
+test('detectAnomalies does not flag small changes from a flat or empty baseline', () => {
+  assert.deepEqual(detectAnomalies([2, 2, 2, 3], { season: 1, baselinePeriods: 3, threshold: 3 }).anomalies, []);
+
+  const empty = detectAnomalies([0, 0, 0, 0, 0], { season: 1, baselinePeriods: 3, threshold: 3 });
+  assert.equal(empty.checked, 2);
+  assert.deepEqual(empty.anomalies, []);
+});
+
+test('detectAnomalies checks nothing without a full baseline', () => {
+  assert.deepEqual(detectAnomalies([10, 50], { season: 7, baselinePeriods: 4, threshold: 3 }), { checked: 0, anomalies: [] });
+});
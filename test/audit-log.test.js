@@ -0,0 +1,141 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'klaviyo-audit-test-'));
+const auditFile = path.join(tmpDir, 'nested', 'audit.jsonl');
+
+process.env.KLAVIYO_API_KEY ||= 'pk_test_1234567890';
+process.env.LOG_FILE = path.join(os.tmpdir(), 'klaviyo-mcp-test.log');
+process.env.AUDIT_LOG_FILE = auditFile;
+process.env.NODE_ENV = 'production';
+
+const { AUDIT_CONFIG } = await import('../src/config.js');
+const { scrubArguments, recordWrite, queryAuditLog } = await import('../src/utils/audit-log.js');
+const { instrumentTools } = await import('../src/utils/tool-context.js');
+
+/**
+ * Run a function as the callback of a tool called with the given arguments
+ */
+function runAsTool(tool, params, fn) {
+  const callbacks = {};
+  const server = { tool: (name, schema, callback) => { callbacks[name] = callback; } };
+  instrumentTools(server);
+  server.tool(tool, {}, async () => fn());
+  return callbacks[tool]({ account: 'main', ...params }, {});
+}
+
+/**
+ * Write audit entries straight to the log, oldest first
+ */
+function writeEntries(entries) {
+  fs.mkdirSync(path.dirname(auditFile), { recursive: true });
+  fs.writeFileSync(auditFile, entries.map(entry => (typeof entry === 'string' ? entry : JSON.stringify(entry))).join('\n') + '\n');
+}
+
+const entry = (minute, fields = {}) => ({
+  timestamp: `2026-05-01T10:${String(minute).padStart(2, '0')}:00.000Z`,
+  account: 'main',
+  tool: 'update_profile',
+  resource_ids: [],
+  ...fields
+});
+
+beforeEach(() => {
+  AUDIT_CONFIG.file = auditFile;
+  fs.rmSync(path.dirname(auditFile), { recursive: true, force: true });
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('scrubArguments drops secrets and replaces bulk arrays with counts', () => {
+  const args = { confirmation_token: 'secret', emails: ['a@x.com', 'b@x.com'], rows: [{}, {}, {}], list_id: 'L1', profiles: 'not-an-array' };
+
+  assert.deepEqual(scrubArguments(args), {
+    emails: { omitted: true, count: 2 },
+    rows: { omitted: true, count: 3 },
+    list_id: 'L1',
+    profiles: 'not-an-array'
+  });
+  assert.deepEqual(args.emails, ['a@x.com', 'b@x.com']);
+  assert.deepEqual(scrubArguments(), {});
+});
+
+test('recordWrite creates the log directory and records the tool call', async () => {
+  assert.equal(fs.existsSync(path.dirname(auditFile)), false);
+
+  await runAsTool('subscribe_profiles', { list_id: 'L1', emails: ['a@x.com', 'b@x.com'], confirmation_token: 'secret' }, () => {
+    recordWrite({
+      account: 'main',
+      method: 'POST',
+      endpoint: '/profile-subscription-bulk-create-jobs/',
+      requestData: {
+        data: {
+          type: 'profile-subscription-bulk-create-job',
+          attributes: {
+            profiles: { data: [{ type: 'profile', attributes: { email: 'a@x.com' } }, { type: 'profile', attributes: { email: 'b@x.com' } }] }
+          }
+        }
+      },
+      response: { status: 202, headers: { 'x-klaviyo-req-id': 'req-1' }, data: null }
+    });
+  });
+
+  const [written] = fs.readFileSync(auditFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(written.tool, 'subscribe_profiles');
+  assert.deepEqual(written.arguments, { list_id: 'L1', emails: { omitted: true, count: 2 } });
+  assert.ok(written.resource_ids.includes('a@x.com'));
+  assert.ok(written.resource_ids.includes('b@x.com'));
+  assert.equal(written.status, 202);
+  assert.equal(written.outcome, 'success');
+  assert.equal(written.klaviyo_request_id, 'req-1');
+});
+
+test('recordWrite does not throw when the log directory cannot be created', () => {
+  const blocker = path.join(tmpDir, 'blocker');
+  fs.writeFileSync(blocker, '');
+  AUDIT_CONFIG.file = path.join(blocker, 'sub', 'audit.jsonl');
+
+  assert.doesNotThrow(() => recordWrite({ account: 'main', method: 'DELETE', endpoint: '/lists/L1/' }));
+  assert.equal(fs.existsSync(AUDIT_CONFIG.file), false);
+});
+
+test('queryAuditLog returns matching entries, most recent first', () => {
+  writeEntries([
+    entry(1, { resource_ids: ['P1'] }),
+    entry(2, { account: 'eu' }),
+    'not json',
+    entry(3, { tool: 'delete_list', resource_ids: ['L1'] }),
+    entry(4, { resource_ids: ['P1', 'P2'] })
+  ]);
+
+  const minutes = (entries) => entries.map(e => e.timestamp.slice(14, 16));
+
+  assert.deepEqual(minutes(queryAuditLog()), ['04', '03', '02', '01']);
+  assert.deepEqual(minutes(queryAuditLog({ account: 'eu' })), ['02']);
+  assert.deepEqual(minutes(queryAuditLog({ tool: 'delete_list' })), ['03']);
+  assert.deepEqual(minutes(queryAuditLog({ resourceId: 'P1' })), ['04', '01']);
+  assert.deepEqual(minutes(queryAuditLog({ since: '2026-05-01T10:02:00Z', until: '2026-05-01T10:03:00Z' })), ['03', '02']);
+  assert.deepEqual(minutes(queryAuditLog({ limit: 2 })), ['04', '03']);
+});
+
+test('queryAuditLog returns nothing when the log does not exist', () => {
+  assert.deepEqual(queryAuditLog(), []);
+});
+
+test('queryAuditLog reads entries spanning several chunks of the file', () => {
+  // Long multi-byte values make the entries cross the 64 KB read chunks at arbitrary bytes
+  const padding = 'é'.repeat(300);
+  writeEntries(Array.from({ length: 600 }, (_, i) => entry(i % 60, { tool: `tool_${i}`, note: padding })));
+
+  const all = queryAuditLog({ limit: AUDIT_CONFIG.maxResults });
+  assert.equal(all.length, AUDIT_CONFIG.maxResults);
+  assert.equal(all[0].tool, 'tool_599');
+  assert.ok(all.every(e => e.note === padding));
+
+  assert.deepEqual(queryAuditLog({ tool: 'tool_0' }).map(e => e.tool), ['tool_0']);
+});
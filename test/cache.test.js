@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCacheKey, setCache, hasCache, invalidateCache, clearCache } from '../src/utils/cache.js';
+import { getBodyIds } from '../src/utils/resource-ids.js';
+
+test('buildCacheKey ignores parameter order and empty values', () => {
+  const a = buildCacheKey('/profiles/', { filter: 'equals(email,"a@x.com")', page_size: 20, page_cursor: undefined }, 'main', '2024-06-15');
+  const b = buildCacheKey('/profiles', { page_size: 20, filter: 'equals(email,"a@x.com")', include: '' }, 'main', '2024-06-15');
+
+  assert.equal(a, b);
+  assert.ok(a.startsWith('/profiles/?'));
+});
+
+test('buildCacheKey separates accounts, revisions and pages', () => {
+  const key = (params, account = 'main', revision = '2024-06-15') => buildCacheKey('/profiles/', params, account, revision);
+
+  assert.notEqual(key({}), key({}, 'other'));
+  assert.notEqual(key({}), key({}, 'main', '2024-10-15'));
+  assert.notEqual(key({ page_cursor: 'a' }), key({ page_cursor: 'b' }));
+});
+
+test('invalidateCache evicts the written resource type and IDs for that account only', () => {
+  clearCache();
+  const profiles = buildCacheKey('/profiles/', {}, 'main');
+  const otherAccount = buildCacheKey('/profiles/', {}, 'other');
+  const listProfiles = buildCacheKey('/lists/L1/profiles/', {}, 'main');
+  const flows = buildCacheKey('/flows/', {}, 'main');
+
+  for (const [key, account] of [[profiles, 'main'], [otherAccount, 'other'], [listProfiles, 'main'], [flows, 'main']]) {
+    setCache(key, { data: [] }, account);
+  }
+
+  invalidateCache('/lists/L1/relationships/profiles/', { data: [{ type: 'profile', id: 'P1' }] }, 'main');
+
+  assert.equal(hasCache(listProfiles), false);
+  assert.equal(hasCache(profiles), true);
+  assert.equal(hasCache(flows), true);
+  assert.equal(hasCache(otherAccount), true);
+
+  invalidateCache('/profiles/P1/', {}, 'main');
+  assert.equal(hasCache(profiles), false);
+  assert.equal(hasCache(otherAccount), true);
+});
+
+test('invalidateCache evicts the resources a job or action endpoint changes', () => {
+  clearCache();
+  const profiles = buildCacheKey('/profiles/', {}, 'main');
+  const campaigns = buildCacheKey('/campaigns/', {}, 'main');
+  const flows = buildCacheKey('/flows/', {}, 'main');
+
+  for (const key of [profiles, campaigns, flows]) setCache(key, { data: [] }, 'main');
+
+  invalidateCache('/profile-merge/', { data: { type: 'profile-merge', id: 'P1' } }, 'main');
+  assert.equal(hasCache(profiles), false);
+  assert.equal(hasCache(campaigns), true);
+
+  invalidateCache('/campaign-send-jobs/C1/', { data: { type: 'campaign-send-job', id: 'C1' } }, 'main');
+  assert.equal(hasCache(campaigns), false);
+  assert.equal(hasCache(flows), true);
+});
+
+test('getBodyIds follows resources nested in attributes', () => {
+  const body = {
+    data: {
+      type: 'profile-suppression-bulk-create-job',
+      attributes: {
+        profiles: {
+          data: [{ type: 'profile', id: 'P1', attributes: { email: 'a@x.com' } }, { type: 'profile', id: 'P2' }]
+        }
+      },
+      relationships: { list: { data: { type: 'list', id: 'L1' } } }
+    }
+  };
+
+  assert.deepEqual(getBodyIds(body).sort(), ['L1', 'P1', 'P2']);
+});
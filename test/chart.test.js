@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderChart, chartFromReport } from '../src/utils/chart.js';
+
+const count = (svg, pattern) => (svg.match(pattern) || []).length;
+
+test('chartFromReport passes raw series through', () => {
+  const chart = chartFromReport({ labels: [1, 2], series: [{ name: 'a', values: [3, 4] }] });
+
+  assert.deepEqual(chart, { type: 'line', labels: ['1', '2'], series: [{ name: 'a', values: [3, 4] }] });
+});
+
+test('chartFromReport plots every measurement of a metric aggregate per group', () => {
+  const chart = chartFromReport({
+    data: {
+      attributes: {
+        dates: ['2026-05-01', '2026-05-02'],
+        data: [
+          { dimensions: ['email'], measurements: { count: [1, 2], sum_value: [10, 20] } },
+          { dimensions: ['sms'], measurements: { count: [3, 4], sum_value: [30, 40] } }
+        ]
+      }
+    }
+  });
+
+  assert.equal(chart.type, 'line');
+  assert.deepEqual(chart.labels, ['2026-05-01', '2026-05-02']);
+  assert.deepEqual(chart.series.map(s => s.name), ['email / count', 'email / sum_value', 'sms / count', 'sms / sum_value']);
+  assert.deepEqual(chartFromReport({ dates: ['d'], data: [{ dimensions: ['email'], measurements: { count: [1] } }] }, ['count']).series, [{ name: 'email', values: [1] }]);
+});
+
+test('chartFromReport overlays comparisons as dashed lines sharing a color', () => {
+  const buckets = [{ date: '2026-05-01', current: 5, previous: 3 }, { date: '2026-05-02', current: 6, previous: 4 }];
+  const chart = chartFromReport({
+    compare_to: 'previous_period',
+    groups: [
+      { dimensions: [], measurements: { count: { buckets } } },
+      { dimensions: [], measurements: { count: { buckets } } }
+    ]
+  });
+
+  assert.deepEqual(chart.labels, ['2026-05-01', '2026-05-02']);
+  assert.deepEqual(chart.series.map(s => [s.name, s.values, s.color, Boolean(s.dashed)]), [
+    ['count (current)', [5, 6], 0, false],
+    ['count (previous period)', [3, 4], 0, true],
+    ['count (current)', [5, 6], 1, false],
+    ['count (previous period)', [3, 4], 1, true]
+  ]);
+});
+
+test('chartFromReport plots series reports as lines and values reports as bars', () => {
+  const series = chartFromReport({
+    data: {
+      attributes: {
+        date_times: ['2026-05-01T00:00:00+00:00', '2026-05-02T00:00:00+00:00'],
+        results: [{ groupings: { flow_id: 'F1' }, statistics: { opens: [1, 2], clicks: [0, 1] } }]
+      }
+    }
+  }, ['opens', 'clicks']);
+
+  assert.equal(series.type, 'line');
+  assert.deepEqual(series.series.map(s => s.name), ['F1 / opens', 'F1 / clicks']);
+
+  const values = chartFromReport({
+    results: [
+      { groupings: { campaign_id: 'C1' }, statistics: { open_rate: 0.4 } },
+      { groupings: {}, statistics: { open_rate: 0.2 } }
+    ]
+  });
+
+  assert.deepEqual(values, { type: 'bar', labels: ['C1', 'row 2'], series: [{ name: 'open_rate', values: [0.4, 0.2] }] });
+});
+
+test('chartFromReport ranks compare_campaigns by its rank_by statistic', () => {
+  const chart = chartFromReport({
+    rank_by: 'click_rate',
+    median: { click_rate: 0.02, open_rate: 0.3 },
+    leaderboard: [{ id: 'C1', name: 'Spring', click_rate: 0.03 }, { id: 'C2', click_rate: 0.01 }]
+  });
+
+  assert.deepEqual(chart, { type: 'bar', labels: ['Spring', 'C2'], series: [{ name: 'click_rate', values: [0.03, 0.01] }] });
+});
+
+test('chartFromReport rejects unknown statistics and formats', () => {
+  assert.throws(() => chartFromReport({ results: [{ statistics: { opens: 1 } }] }, ['clicks']), /Statistics not in this report: clicks\. Available: opens/);
+  assert.throws(() => chartFromReport({ foo: 1 }), /Unrecognized report format/);
+});
+
+test('renderChart draws one line per series and skips missing values', () => {
+  const svg = renderChart({
+    title: 'Opens & clicks <daily>',
+    labels: ['2026-05-01T00:00:00+00:00', '2026-05-02T00:00:00+00:00', '2026-05-03T00:00:00+00:00'],
+    series: [
+      { name: 'current', values: [1, null, 3] },
+      { name: 'previous', values: [2, 2, 2], dashed: true, color: 0 }
+    ]
+  });
+
+  assert.ok(svg.startsWith('<svg'));
+  assert.ok(svg.endsWith('</svg>'));
+  assert.ok(svg.includes('Opens &amp; clicks &lt;daily&gt;'));
+  assert.equal(count(svg, /<polyline /g), 2);
+  assert.equal(count(svg, /stroke="#4e79a7" stroke-width="2"/g), 2);
+  assert.equal(count(svg, /<polyline [^>]*stroke-dasharray/g), 1);
+
+  // ISO timestamps are shortened to their date
+  assert.ok(svg.includes('>2026-05-02</text>'));
+
+  const [, points] = svg.match(/<polyline points="([^"]*)"/);
+  assert.equal(points.split(' ').length, 2);
+});
+
+test('renderChart draws bars and a y-axis that includes negative values', () => {
+  const svg = renderChart({
+    type: 'bar',
+    labels: ['A', 'B'],
+    series: [{ name: 'change', values: [1500, -500] }, { name: 'other', values: [200, Number.NaN] }]
+  });
+
+  assert.equal(count(svg, /<rect x=/g), 3);
+  assert.ok(svg.includes('>1.5k</text>'));
+  assert.ok(svg.includes('>-500</text>'));
+});
+
+test('renderChart rejects empty charts and sizes too small for the legend', () => {
+  assert.throws(() => renderChart({ labels: [], series: [] }), /no series found/);
+
+  const series = Array.from({ length: 40 }, (_, i) => ({ name: `s${i}`, values: [i] }));
+  assert.throws(() => renderChart({ labels: ['a'], series }, { width: 400, height: 300 }), /too small/);
+});
@@ -0,0 +1,113 @@
+import { test, mock, afterEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const accountsFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'klaviyo-confirm-test-')), 'accounts.json');
+fs.writeFileSync(accountsFile, JSON.stringify({
+  default: 'brand-a',
+  accounts: { 'brand-a': { api_key: 'pk_a_1234567890' }, 'brand-b': { api_key: 'pk_b_1234567890' } }
+}));
+
+process.env.KLAVIYO_ACCOUNTS_FILE = accountsFile;
+process.env.LOG_FILE = path.join(os.tmpdir(), 'klaviyo-mcp-test.log');
+process.env.NODE_ENV = 'production';
+
+const { CONFIRMATION_CONFIG, DRY_RUN_CONFIG } = await import('../src/config.js');
+const { issueConfirmationToken, consumeConfirmationToken, requireConfirmation } = await import('../src/utils/confirmation.js');
+const { runWithAccount } = await import('../src/utils/tool-context.js');
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+after(() => {
+  fs.rmSync(path.dirname(accountsFile), { recursive: true, force: true });
+});
+
+test('tokens confirm the same tool and arguments in any order', () => {
+  const { token } = issueConfirmationToken('delete_list', { id: 'L1', reason: 'cleanup' });
+
+  // The token itself and dry_run are not part of the fingerprint
+  assert.equal(consumeConfirmationToken(token, 'delete_list', { reason: 'cleanup', id: 'L1', confirmation_token: token, dry_run: false }), null);
+});
+
+test('tokens are bound to the tool and its arguments', () => {
+  const { token } = issueConfirmationToken('delete_list', { id: 'L1' });
+
+  assert.match(consumeConfirmationToken(token, 'delete_list', { id: 'L2' }), /different operation or different arguments/);
+  assert.match(consumeConfirmationToken(token, 'delete_segment', { id: 'L1' }), /different operation or different arguments/);
+
+  // A mismatch does not use up the token
+  assert.equal(consumeConfirmationToken(token, 'delete_list', { id: 'L1' }), null);
+});
+
+test('tokens are bound to the account they were issued for', () => {
+  const { token } = runWithAccount('brand-a', () => issueConfirmationToken('delete_list', { id: 'L1' }));
+
+  assert.match(runWithAccount('brand-b', () => consumeConfirmationToken(token, 'delete_list', { id: 'L1' })), /different operation or different arguments/);
+  assert.equal(runWithAccount('brand-a', () => consumeConfirmationToken(token, 'delete_list', { id: 'L1' })), null);
+});
+
+test('tokens can only be used once', () => {
+  const { token } = issueConfirmationToken('delete_list', { id: 'L1' });
+
+  assert.equal(consumeConfirmationToken(token, 'delete_list', { id: 'L1' }), null);
+  assert.match(consumeConfirmationToken(token, 'delete_list', { id: 'L1' }), /Unknown or already used/);
+  assert.match(consumeConfirmationToken('not-a-token', 'delete_list', { id: 'L1' }), /Unknown or already used/);
+});
+
+test('tokens expire after the configured TTL', () => {
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-05-01T10:00:00Z') });
+
+  const first = issueConfirmationToken('delete_list', { id: 'L1' });
+  const second = issueConfirmationToken('delete_list', { id: 'L1' });
+  assert.equal(first.expiresAt, new Date(Date.parse('2026-05-01T10:00:00Z') + CONFIRMATION_CONFIG.ttlSeconds * 1000).toISOString());
+
+  mock.timers.tick(CONFIRMATION_CONFIG.ttlSeconds * 1000);
+  assert.equal(consumeConfirmationToken(first.token, 'delete_list', { id: 'L1' }), null);
+
+  mock.timers.tick(1);
+  assert.match(consumeConfirmationToken(second.token, 'delete_list', { id: 'L1' }), /expired/);
+});
+
+test('requireConfirmation issues a token first and lets the confirmed call through', async () => {
+  const params = { id: 'L1' };
+  let described = 0;
+
+  const first = await requireConfirmation('delete_list', params, async () => {
+    described++;
+    return { list: 'Newsletter' };
+  });
+  const response = JSON.parse(first.content[0].text);
+
+  assert.equal(described, 1);
+  assert.equal(response.confirmation_required, true);
+  assert.deepEqual(response.summary, { list: 'Newsletter' });
+
+  assert.equal(await requireConfirmation('delete_list', { ...params, confirmation_token: response.confirmation_token }, async () => ({})), null);
+
+  const reused = await requireConfirmation('delete_list', { ...params, confirmation_token: response.confirmation_token }, async () => ({}));
+  assert.equal(reused.isError, true);
+});
+
+test('requireConfirmation is skipped for dry runs and when disabled', async () => {
+  const describe = async () => assert.fail('should not describe the change');
+
+  assert.equal(await requireConfirmation('delete_list', { id: 'L1', dry_run: true }, describe), null);
+
+  const { enabled: dryRun } = DRY_RUN_CONFIG;
+  const { enabled: confirmation } = CONFIRMATION_CONFIG;
+  try {
+    DRY_RUN_CONFIG.enabled = true;
+    assert.equal(await requireConfirmation('delete_list', { id: 'L1' }, describe), null);
+
+    DRY_RUN_CONFIG.enabled = false;
+    CONFIRMATION_CONFIG.enabled = false;
+    assert.equal(await requireConfirmation('delete_list', { id: 'L1' }, describe), null);
+  } finally {
+    DRY_RUN_CONFIG.enabled = dryRun;
+    CONFIRMATION_CONFIG.enabled = confirmation;
+  }
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeFilterValue, equalsFilter, toFilterDatetime } from '../src/utils/filters.js';
+
+test('escapeFilterValue escapes quotes and backslashes', () => {
+  assert.equal(escapeFilterValue('say "hi"'), 'say \\"hi\\"');
+  assert.equal(escapeFilterValue('a\\b'), 'a\\\\b');
+  assert.equal(escapeFilterValue('a\\"'), 'a\\\\\\"');
+});
+
+test('equalsFilter quotes the escaped value', () => {
+  assert.equal(equalsFilter('email', 'a@example.com'), 'equals(email,"a@example.com")');
+  assert.equal(equalsFilter('name', 'VIP "Gold"'), 'equals(name,"VIP \\"Gold\\"")');
+});
+
+test('toFilterDatetime normalizes ISO dates and rejects anything else', () => {
+  assert.equal(toFilterDatetime('2024-05-01', 'since'), '2024-05-01T00:00:00.000Z');
+  assert.equal(toFilterDatetime('2024-05-01T14:00:00+02:00', 'since'), '2024-05-01T12:00:00.000Z');
+  assert.throws(() => toFilterDatetime('last week', 'since'), /since must be an ISO date/);
+  assert.throws(() => toFilterDatetime('2024-13-45', 'until'), /until must be an ISO date/);
+  assert.throws(() => toFilterDatetime('5', 'until'), /until/);
+});
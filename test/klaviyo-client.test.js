@@ -0,0 +1,128 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+
+process.env.KLAVIYO_API_KEY ||= 'pk_test_1234567890';
+process.env.LOG_FILE = path.join(os.tmpdir(), 'klaviyo-mcp-test.log');
+process.env.AUDIT_LOG_FILE = path.join(os.tmpdir(), 'klaviyo-mcp-test-audit.jsonl');
+process.env.NODE_ENV = 'production';
+
+// The Klaviyo client copies the adapter when it is created, so route through one that can be swapped
+let respond = () => ({ data: {} });
+axios.defaults.adapter = async (config) => ({ status: 200, statusText: 'OK', headers: {}, config, data: respond(config) });
+
+const { getAll, getNextCursor, splitCursor } = await import('../src/klaviyo-client.js');
+const { clearCache } = await import('../src/utils/cache.js');
+
+let requests = [];
+
+/**
+ * Serve `total` items from a list endpoint; page[size] is honoured unless `pageSize` fixes it
+ */
+function serveList(total, { pageSize = null, defaultPageSize = 20 } = {}) {
+  respond = (config) => {
+    const url = new URL(config.url, 'https://a.klaviyo.com/api/');
+    const requested = url.searchParams.get('page[size]');
+    const start = Number(url.searchParams.get('page[cursor]') || 0);
+    const size = pageSize || Number(requested || defaultPageSize);
+    const end = Math.min(start + size, total);
+
+    requests.push({ start, size: requested ? Number(requested) : null });
+
+    const data = Array.from({ length: end - start }, (_, i) => ({ type: 'profile', id: `p${start + i}` }));
+    const next = end < total ? `https://a.klaviyo.com/api${url.pathname}?page%5Bcursor%5D=${end}` : null;
+    return { data, links: { next } };
+  };
+}
+
+const ids = (result) => result.data.map(item => item.id);
+const range = (from, to) => Array.from({ length: to - from }, (_, i) => `p${from + i}`);
+
+beforeEach(() => {
+  requests = [];
+  clearCache();
+});
+
+test('getNextCursor extracts encoded and plain cursors', () => {
+  assert.equal(getNextCursor({ links: { next: 'https://a.klaviyo.com/api/profiles/?page%5Bcursor%5D=bmV4dA%3D%3D&page%5Bsize%5D=20' } }), 'bmV4dA%3D%3D');
+  assert.equal(getNextCursor({ links: { next: 'https://a.klaviyo.com/api/events/?filter=x&page[cursor]=abc' } }), 'abc');
+  assert.equal(getNextCursor({ links: { next: null } }), null);
+  assert.equal(getNextCursor({}), null);
+});
+
+test('splitCursor separates the page offset from the Klaviyo cursor', () => {
+  assert.deepEqual(splitCursor('abc~7'), { cursor: 'abc', offset: 7 });
+  assert.deepEqual(splitCursor('~3'), { cursor: null, offset: 3 });
+  assert.deepEqual(splitCursor('abc'), { cursor: 'abc', offset: 0 });
+  assert.deepEqual(splitCursor(undefined), { cursor: null, offset: 0 });
+});
+
+test('getAll shrinks the last page on endpoints that accept page[size]', async () => {
+  serveList(500);
+
+  const result = await getAll('/profiles/', { page_size: 100 }, { maxItems: 250 });
+
+  assert.deepEqual(ids(result), range(0, 250));
+  assert.deepEqual(requests.map(r => r.size), [100, 100, 50]);
+  assert.equal(result.meta.pagination.truncated, true);
+  assert.equal(result.meta.pagination.next_cursor, '250');
+});
+
+test('getAll returns a cap smaller than one page on endpoints that accept page[size]', async () => {
+  serveList(500);
+
+  const result = await getAll('/lists/L1/profiles/', {}, { maxItems: 7 });
+
+  assert.deepEqual(ids(result), range(0, 7));
+  assert.deepEqual(requests.map(r => r.size), [7]);
+  assert.equal(result.meta.pagination.next_cursor, '7');
+});
+
+test('getAll cuts the last page and resumes inside it on other endpoints', async () => {
+  serveList(100, { pageSize: 30 });
+
+  const first = await getAll('/segments/', {}, { maxItems: 45 });
+
+  assert.deepEqual(ids(first), range(0, 45));
+  assert.equal(first.meta.pagination.truncated, true);
+  assert.equal(first.meta.pagination.next_cursor, '30~15');
+
+  const second = await getAll('/segments/', { page_cursor: first.meta.pagination.next_cursor }, { maxItems: 40 });
+
+  assert.deepEqual(ids(second), range(45, 85));
+  assert.equal(second.meta.pagination.next_cursor, '60~25');
+});
+
+test('getAll resumes inside the first page', async () => {
+  serveList(50, { pageSize: 30 });
+
+  const first = await getAll('/segments/', {}, { maxItems: 4 });
+  assert.equal(first.meta.pagination.next_cursor, '~4');
+
+  const rest = await getAll('/segments/', { page_cursor: first.meta.pagination.next_cursor });
+  assert.deepEqual(ids(rest), range(4, 50));
+  assert.equal(rest.meta.pagination.truncated, false);
+  assert.equal(rest.meta.pagination.next_cursor, null);
+});
+
+test('getAll stops at maxPages with the next page cursor', async () => {
+  serveList(100, { pageSize: 30 });
+
+  const result = await getAll('/segments/', {}, { maxPages: 2 });
+
+  assert.deepEqual(ids(result), range(0, 60));
+  assert.equal(result.meta.pagination.pages_fetched, 2);
+  assert.equal(result.meta.pagination.next_cursor, '60');
+});
+
+test('getAll is not truncated when the cap matches the items available', async () => {
+  serveList(45, { pageSize: 30 });
+
+  const result = await getAll('/segments/', {}, { maxItems: 45 });
+
+  assert.deepEqual(ids(result), range(0, 45));
+  assert.equal(result.meta.pagination.truncated, false);
+  assert.equal(result.meta.pagination.next_cursor, null);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toE164 } from '../src/utils/phone.js';
+
+test('toE164 keeps numbers that include a country code', () => {
+  assert.equal(toE164('+1 (555) 555-0100'), '+15555550100');
+  assert.equal(toE164('+44 20 7946 0958'), '+442079460958');
+  assert.equal(toE164('0044 20 7946 0958'), '+442079460958');
+  assert.equal(toE164('+49.30.1234567'), '+49301234567');
+
+  // The default region does not apply to international numbers
+  assert.equal(toE164('+33 1 23 45 67 89', '1'), '+33123456789');
+});
+
+test('toE164 adds the default calling code to national numbers', () => {
+  assert.equal(toE164('(555) 555-0100', '1'), '+15555550100');
+  assert.equal(toE164('555 555 0100', '+1'), '+15555550100');
+
+  // The trunk prefix 0 is dropped
+  assert.equal(toE164('020 7946 0958', '44'), '+442079460958');
+});
+
+test('toE164 requires a calling code for national numbers', () => {
+  assert.throws(() => toE164('555 555 0100'), /has no country code/);
+});
+
+test('toE164 drops extensions', () => {
+  assert.equal(toE164('+1 555 555 0100 ext. 12'), '+15555550100');
+  assert.equal(toE164('+1 555 555 0100 x12'), '+15555550100');
+  assert.equal(toE164('(555) 555-0100 #4', '1'), '+15555550100');
+  assert.equal(toE164('+44 20 7946 0958, extension 200'), '+442079460958');
+});
+
+test('toE164 rejects junk input', () => {
+  assert.throws(() => toE164('+1 800 FLOWERS'), /not a valid phone number/);
+  assert.throws(() => toE164('call me', '1'), /not a valid phone number/);
+  assert.throws(() => toE164('+', '1'), /not a valid phone number/);
+  assert.throws(() => toE164('+12'), /not a valid phone number/);
+  assert.throws(() => toE164('+1234567890123456'), /not a valid phone number/);
+  assert.throws(() => toE164('+0 555 555 0100'), /not a valid phone number/);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeIdentifiers, findDuplicateGroups, diffProfiles } from '../src/utils/profile-duplicates.js';
+
+const profile = (id, attributes) => ({ type: 'profile', id, attributes });
+
+test('normalizeIdentifiers ignores email case, phone formatting and external ID whitespace', () => {
+  assert.deepEqual(
+    normalizeIdentifiers({ email: ' Jo@Example.COM ', phone_number: '(555) 555-0100', external_id: ' ext-1 ' }, '1'),
+    { email: 'jo@example.com', phone_number: '+15555550100', external_id: 'ext-1' }
+  );
+  // Without a country code, numbers still compare on their digits
+  assert.equal(normalizeIdentifiers({ phone_number: '555.555.0100' }).phone_number, '5555550100');
+});
+
+test('findDuplicateGroups joins collisions on different identifiers into one group', () => {
+  const profiles = [
+    profile('A', { email: 'Jo@x.com' }),
+    profile('B', { email: 'jo@x.com', phone_number: '+1 555 555 0100' }),
+    profile('C', { phone_number: '+15555550100' }),
+    profile('D', { email: 'someone@x.com' }),
+    profile('E', { external_id: 'ext-1' }),
+    profile('F', { external_id: ' ext-1' })
+  ];
+
+  const groups = findDuplicateGroups(profiles);
+
+  assert.equal(groups.length, 2);
+  assert.deepEqual(groups[0].profiles.map(p => p.id), ['A', 'B', 'C']);
+  assert.deepEqual(groups[0].matched_on, [
+    { field: 'email', value: 'jo@x.com' },
+    { field: 'phone_number', value: '+15555550100' }
+  ]);
+  assert.deepEqual(groups[1].profiles.map(p => p.id), ['E', 'F']);
+});
+
+test('findDuplicateGroups only compares the requested identifiers', () => {
+  const profiles = [
+    profile('A', { email: 'jo@x.com', phone_number: '+15555550100' }),
+    profile('B', { email: 'other@x.com', phone_number: '+15555550100' })
+  ];
+
+  assert.equal(findDuplicateGroups(profiles, { fields: ['email'] }).length, 0);
+  assert.equal(findDuplicateGroups(profiles, { fields: ['phone_number'] }).length, 1);
+});
+
+test('diffProfiles lists differing attributes and flags values the merge would lose', () => {
+  const destination = profile('A', { email: 'jo@x.com', first_name: 'Jo', location: { city: 'Berlin' }, properties: { plan: 'gold' }, updated: '2024-01-01' });
+  const source = profile('B', { email: 'jo@x.com', first_name: 'Joanna', last_name: 'Smith', location: { city: 'Berlin' }, properties: { plan: 'gold', vip: true }, updated: '2025-01-01' });
+
+  assert.deepEqual(diffProfiles(destination, [source]), [
+    { field: 'first_name', destination: 'Jo', sources: { B: 'Joanna' }, conflict: true },
+    { field: 'last_name', destination: null, sources: { B: 'Smith' }, conflict: false },
+    { field: 'properties.vip', destination: null, sources: { B: true }, conflict: false }
+  ]);
+});
@@ -0,0 +1,144 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BULK_IMPORT_CONFIG } from '../src/config.js';
+import { parseCsv, resolveImportFile, readRowsFromFile, mapRow, mapRows, chunkProfiles } from '../src/utils/profile-import.js';
+
+const defaults = { ...BULK_IMPORT_CONFIG };
+let root;
+let importDir;
+
+before(() => {
+  root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'klaviyo-import-test-')));
+  importDir = path.join(root, 'imports');
+  fs.mkdirSync(path.join(importDir, 'nested'), { recursive: true });
+  fs.writeFileSync(path.join(importDir, 'nested', 'people.csv'), 'email,first_name\na@x.com,Ann\n');
+  fs.writeFileSync(path.join(importDir, 'people.json'), JSON.stringify({ profiles: [{ email: 'b@x.com' }] }));
+  fs.writeFileSync(path.join(root, 'secret.csv'), 'email\nsecret@x.com\n');
+  fs.symlinkSync(path.join(root, 'secret.csv'), path.join(importDir, 'link.csv'));
+  fs.symlinkSync(root, path.join(importDir, 'parent'));
+  BULK_IMPORT_CONFIG.dir = importDir;
+});
+
+afterEach(() => {
+  Object.assign(BULK_IMPORT_CONFIG, defaults, { dir: importDir });
+});
+
+after(() => {
+  BULK_IMPORT_CONFIG.dir = defaults.dir;
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('parseCsv handles quoted fields, escaped quotes and line breaks in quotes', () => {
+  const rows = parseCsv('email,note\r\na@x.com,"Says ""hi"", twice"\r\nb@x.com,"line one\nline two"\r\n');
+
+  assert.deepEqual(rows, [
+    { email: 'a@x.com', note: 'Says "hi", twice' },
+    { email: 'b@x.com', note: 'line one\nline two' }
+  ]);
+});
+
+test('parseCsv strips a byte order mark and skips blank lines', () => {
+  const rows = parseCsv('\uFEFFemail, first_name \n\na@x.com,Ann\n,\nb@x.com');
+
+  assert.deepEqual(Object.keys(rows[0]), ['email', 'first_name']);
+  assert.deepEqual(rows, [
+    { email: 'a@x.com', first_name: 'Ann' },
+    { email: 'b@x.com', first_name: '' }
+  ]);
+});
+
+test('resolveImportFile resolves relative and absolute paths inside the import directory', () => {
+  const expected = path.join(importDir, 'nested', 'people.csv');
+
+  assert.equal(resolveImportFile('nested/people.csv'), expected);
+  assert.equal(resolveImportFile(expected), expected);
+  assert.equal(resolveImportFile('nested/../nested/people.csv'), expected);
+});
+
+test('resolveImportFile rejects paths that leave the import directory', () => {
+  assert.throws(() => resolveImportFile('../secret.csv'), /outside the import directory/);
+  assert.throws(() => resolveImportFile(path.join(root, 'secret.csv')), /outside the import directory/);
+  // Files outside the directory are rejected before checking they exist
+  assert.throws(() => resolveImportFile('../missing.csv'), /outside the import directory/);
+  assert.throws(() => resolveImportFile('/etc/passwd'), /outside the import directory/);
+});
+
+test('resolveImportFile rejects symlinks that point outside the import directory', () => {
+  assert.throws(() => resolveImportFile('link.csv'), /outside the import directory/);
+  assert.throws(() => resolveImportFile('parent/secret.csv'), /outside the import directory/);
+});
+
+test('resolveImportFile reports missing files and disabled imports', () => {
+  assert.throws(() => resolveImportFile('missing.csv'), /File not found/);
+
+  BULK_IMPORT_CONFIG.dir = '';
+  assert.throws(() => resolveImportFile('nested/people.csv'), /File imports are disabled/);
+});
+
+test('readRowsFromFile reads CSV files and JSON files with a profiles array', () => {
+  assert.deepEqual(readRowsFromFile('nested/people.csv'), [{ email: 'a@x.com', first_name: 'Ann' }]);
+  assert.deepEqual(readRowsFromFile('people.json'), [{ email: 'b@x.com' }]);
+});
+
+test('mapRow maps standard, location and custom columns', () => {
+  const attributes = mapRow({
+    'Email': ' a@x.com ',
+    'First Name': 'Ann',
+    'phone': '+15555550100',
+    'City': 'Boston',
+    'Plan': 'pro',
+    'Age': 42,
+    'Empty': ''
+  });
+
+  assert.deepEqual(attributes, {
+    email: 'a@x.com',
+    first_name: 'Ann',
+    phone_number: '+15555550100',
+    location: { city: 'Boston' },
+    properties: { Plan: 'pro', Age: 42 }
+  });
+});
+
+test('mapRow follows an explicit mapping and can drop unmapped columns', () => {
+  const row = { 'E-mail address': 'a@x.com', Tier: 'gold', Zip: '02101', Internal: 'x', Other: 'y' };
+  const mapping = { 'E-mail address': 'email', Tier: 'loyalty_tier', Zip: 'zip', Internal: null };
+
+  assert.deepEqual(mapRow(row, mapping, false), {
+    email: 'a@x.com',
+    properties: { loyalty_tier: 'gold' },
+    location: { zip: '02101' }
+  });
+});
+
+test('mapRows sets aside rows without an identifier', () => {
+  const { profiles, skipped } = mapRows([
+    { email: 'a@x.com' },
+    { first_name: 'No identifier' },
+    { external_id: 'ext-1' }
+  ]);
+
+  assert.deepEqual(profiles.map(profile => profile.row), [1, 3]);
+  assert.deepEqual(skipped, [{ row: 2, reason: 'No email, phone_number or external_id value' }]);
+});
+
+test('chunkProfiles splits by profile count', () => {
+  BULK_IMPORT_CONFIG.maxProfilesPerJob = 2;
+  const profiles = [1, 2, 3, 4, 5].map(row => ({ row, attributes: { email: `${row}@x.com` } }));
+
+  assert.deepEqual(chunkProfiles(profiles).map(chunk => chunk.map(profile => profile.row)), [[1, 2], [3, 4], [5]]);
+  assert.deepEqual(chunkProfiles([]), []);
+});
+
+test('chunkProfiles splits by request size', () => {
+  const profiles = [1, 2, 3].map(row => ({ row, attributes: { email: `${row}@x.com`, first_name: 'x'.repeat(60) } }));
+  const size = Buffer.byteLength(JSON.stringify({ type: 'profile', attributes: profiles[0].attributes })) + 1;
+
+  // Room for two and a half profiles once the job envelope is reserved
+  BULK_IMPORT_CONFIG.maxJobBytes = 16 * 1024 + Math.floor(size * 2.5);
+
+  assert.deepEqual(chunkProfiles(profiles).map(chunk => chunk.length), [2, 1]);
+});
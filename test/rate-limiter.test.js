@@ -0,0 +1,146 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+
+process.env.LOG_FILE = path.join(os.tmpdir(), 'klaviyo-mcp-test.log');
+process.env.NODE_ENV = 'production';
+
+const { RATE_LIMIT_CONFIG } = await import('../src/config.js');
+const { acquire, updateFromHeaders, getRetryAfterMs, getRateLimitStatus } = await import('../src/utils/rate-limiter.js');
+
+// Reporting endpoints allow 1 request per second and 2 per minute
+const REPORT = '/campaign-values-reports/';
+const maxQueueWaitMs = RATE_LIMIT_CONFIG.maxQueueWaitMs;
+let testNumber = 0;
+let account;
+
+// Let queued requests run up to their next timer (setImmediate is not mocked)
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Track whether a promise has settled
+ */
+function track(promise) {
+  const state = { done: false, error: null };
+  promise.then(() => { state.done = true; }, (error) => { state.done = true; state.error = error; });
+  return state;
+}
+
+const statusOf = (route) => getRateLimitStatus().find(bucket => bucket.account === account && bucket.route === route);
+
+beforeEach(() => {
+  // Buckets live for the whole process, so every test uses its own account
+  account = `test-${++testNumber}`;
+  mock.timers.enable({ apis: ['Date', 'setTimeout'], now: 0 });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  RATE_LIMIT_CONFIG.maxQueueWaitMs = maxQueueWaitMs;
+});
+
+test('buckets refill in proportion to the time elapsed', async () => {
+  await acquire('POST', REPORT, account);
+  assert.equal(statusOf(`POST ${REPORT}`).burst.remaining, 0);
+  assert.equal(statusOf(`POST ${REPORT}`).steady.remaining, 1);
+
+  mock.timers.tick(500);
+  assert.equal(statusOf(`POST ${REPORT}`).burst.remaining, 0);
+
+  mock.timers.tick(500);
+  assert.equal(statusOf(`POST ${REPORT}`).burst.remaining, 1);
+
+  // Refills never exceed the bucket capacity
+  mock.timers.tick(120000);
+  assert.equal(statusOf(`POST ${REPORT}`).burst.remaining, 1);
+  assert.equal(statusOf(`POST ${REPORT}`).steady.remaining, 2);
+});
+
+test('requests wait in order until a token is available', async () => {
+  await acquire('POST', REPORT, account);
+
+  const second = track(acquire('POST', REPORT, account));
+  await settle();
+  assert.equal(statusOf(`POST ${REPORT}`).queued_requests, 1);
+
+  mock.timers.tick(999);
+  await settle();
+  assert.equal(second.done, false);
+
+  mock.timers.tick(1);
+  await settle();
+  assert.equal(second.done, true);
+  assert.equal(second.error, null);
+  assert.equal(statusOf(`POST ${REPORT}`).queued_requests, 0);
+});
+
+test('each account, method and route has its own bucket', async () => {
+  await acquire('POST', REPORT, account);
+
+  // Other routes, methods and accounts are not held up by the exhausted bucket
+  for (const pending of [
+    track(acquire('POST', '/flow-values-reports/', account)),
+    track(acquire('GET', REPORT, account)),
+    track(acquire('POST', REPORT, `${account}-other`))
+  ]) {
+    await settle();
+    assert.equal(pending.done, true);
+  }
+
+  // IDs share their route's bucket
+  await acquire('GET', '/profiles/01ABC/', account);
+  await acquire('GET', '/profiles/01DEF/', account);
+  await acquire('GET', '/lists/L1/relationships/profiles/', account);
+
+  const routes = getRateLimitStatus().filter(bucket => bucket.account === account).map(bucket => bucket.route);
+  assert.ok(routes.includes('GET /profiles/:id/'));
+  assert.ok(routes.includes('GET /lists/:id/relationships/profiles/'));
+  assert.equal(statusOf('GET /profiles/:id/').steady.remaining, 698);
+});
+
+test('requests fail instead of queuing longer than maxQueueWaitMs', async () => {
+  RATE_LIMIT_CONFIG.maxQueueWaitMs = 500;
+  await acquire('POST', REPORT, account);
+
+  await assert.rejects(acquire('POST', REPORT, account), (error) => {
+    assert.equal(error.code, 'RATE_LIMIT_QUEUE_TIMEOUT');
+    assert.match(error.message, /exhausted/);
+    return true;
+  });
+
+  // A request that gave up does not block the queue
+  mock.timers.tick(1000);
+  const next = track(acquire('POST', REPORT, account));
+  await settle();
+  assert.equal(next.done, true);
+  assert.equal(next.error, null);
+});
+
+test('response headers lower the budget and pause the route', async () => {
+  updateFromHeaders('GET', '/profiles/', { 'ratelimit-limit': '700', 'ratelimit-remaining': '0', 'ratelimit-reset': '5' }, account);
+
+  const status = statusOf('GET /profiles/');
+  assert.equal(status.steady.remaining, 0);
+  assert.equal(status.blocked_for_ms, 5000);
+  assert.deepEqual(status.server_reported, { limit: 700, remaining: 0, reset_seconds: 5, updated_at: new Date(0).toISOString() });
+
+  updateFromHeaders('GET', '/events/', { 'retry-after': '3' }, account);
+  assert.equal(statusOf('GET /events/').blocked_for_ms, 3000);
+
+  const pending = track(acquire('GET', '/events/', account));
+  mock.timers.tick(2999);
+  await settle();
+  assert.equal(pending.done, false);
+
+  mock.timers.tick(1);
+  await settle();
+  assert.equal(pending.done, true);
+});
+
+test('getRetryAfterMs reads seconds and HTTP dates', () => {
+  assert.equal(getRetryAfterMs({ 'retry-after': '2' }), 2000);
+  assert.equal(getRetryAfterMs({ 'retry-after': new Date(30000).toUTCString() }), 30000);
+  assert.equal(getRetryAfterMs({ 'retry-after': 'soon' }), null);
+  assert.equal(getRetryAfterMs({}), null);
+});
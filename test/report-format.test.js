@@ -0,0 +1,140 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EXPORT_CONFIG } from '../src/config.js';
+import { valuesRows, seriesRows, aggregateRows, comparisonRows, formatReport } from '../src/utils/report-format.js';
+
+const exportDir = EXPORT_CONFIG.dir;
+
+afterEach(() => {
+  EXPORT_CONFIG.dir = exportDir;
+});
+
+test('valuesRows puts groupings before statistics', () => {
+  const rows = valuesRows([
+    { groupings: { campaign_id: 'C1' }, statistics: { opens: 10, open_rate: 0.25 } },
+    { groupings: { campaign_id: 'C2' }, messages: 2, statistics: { opens: 4 } }
+  ]);
+
+  assert.deepEqual(rows, [
+    { campaign_id: 'C1', opens: 10, open_rate: 0.25 },
+    { campaign_id: 'C2', messages: 2, opens: 4 }
+  ]);
+  assert.deepEqual(valuesRows(), []);
+});
+
+test('seriesRows returns one row per group and date', () => {
+  const rows = seriesRows(
+    [{ groupings: { flow_id: 'F1' }, statistics: { opens: [1, 2], clicks: [0] } }],
+    ['2026-05-01', '2026-05-02']
+  );
+
+  assert.deepEqual(rows, [
+    { flow_id: 'F1', date: '2026-05-01', opens: 1, clicks: 0 },
+    { flow_id: 'F1', date: '2026-05-02', opens: 2, clicks: undefined }
+  ]);
+});
+
+test('aggregateRows names dimension columns after the group-by', () => {
+  const attributes = {
+    dates: ['2026-05-01', '2026-05-02'],
+    data: [{ dimensions: ['email', 'extra'], measurements: { count: [3, 5] } }]
+  };
+
+  assert.deepEqual(aggregateRows(attributes, ['$attributed_channel']), [
+    { $attributed_channel: 'email', dimension_2: 'extra', date: '2026-05-01', count: 3 },
+    { $attributed_channel: 'email', dimension_2: 'extra', date: '2026-05-02', count: 5 }
+  ]);
+  assert.deepEqual(aggregateRows(), []);
+});
+
+test('comparisonRows adds current, previous and change columns per measurement', () => {
+  const bucket = (current, previous) => ({ current, previous, absolute_change: current - previous, percent_change: 50 });
+  const rows = comparisonRows([{
+    dimensions: ['Boston'],
+    measurements: {
+      count: { buckets: [{ date: '2026-05-01', compare_date: '2026-04-01', ...bucket(3, 2) }] }
+    }
+  }], ['City']);
+
+  assert.deepEqual(rows, [{
+    City: 'Boston',
+    date: '2026-05-01',
+    compare_date: '2026-04-01',
+    count_current: 3,
+    count_previous: 2,
+    count_change: 1,
+    count_percent_change: 50
+  }]);
+});
+
+test('formatReport returns the result as JSON by default', () => {
+  const result = { total: 1 };
+  const output = formatReport(result, () => assert.fail('rows are not needed for JSON'));
+
+  assert.deepEqual(JSON.parse(output.content[0].text), result);
+  assert.equal(output.content.length, 1);
+});
+
+test('formatReport escapes CSV fields and collects columns from every row', () => {
+  const rows = [
+    { name: 'Spring, "Sale"', opens: 1 },
+    { name: 'Line\nbreak', opens: null, tags: ['a', 'b'] }
+  ];
+
+  const output = formatReport({}, () => rows, { output_format: 'csv' });
+
+  assert.equal(output.content[0].text, [
+    'name,opens,tags',
+    '"Spring, ""Sale""",1,',
+    '"Line\nbreak",,"[""a"",""b""]"'
+  ].join('\n'));
+});
+
+test('formatReport renders Markdown tables with escaped pipes and rounded rates', () => {
+  const rows = [{ name: 'A|B', open_rate: 0.123456789, opens: 12 }];
+
+  const output = formatReport({}, () => rows, { output_format: 'markdown_table' });
+
+  assert.equal(output.content[0].text, [
+    '| name | open_rate | opens |',
+    '| --- | --- | --- |',
+    '| A\\|B | 0.1235 | 12 |'
+  ].join('\n'));
+  assert.equal(formatReport({}, () => [], { output_format: 'markdown_table' }).content[0].text, '_No rows_');
+});
+
+test('formatReport adds notes for fallback and truncated results', () => {
+  const result = { fallback_used: true, fallback_reason: 'Request failed with status 400', note: 'Only the first 500 groups were read.' };
+
+  const [, fallback, note] = formatReport(result, () => [{ a: 1 }], { output_format: 'csv' }).content;
+
+  assert.match(fallback.text, /requested query failed \(Request failed with status 400\)/);
+  assert.equal(note.text, 'Note: Only the first 500 groups were read.');
+});
+
+test('formatReport exports CSV files to the export directory', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'klaviyo-export-test-'));
+  EXPORT_CONFIG.dir = path.join(dir, 'exports');
+
+  try {
+    const output = formatReport({ total: 1 }, () => [{ a: 1 }], { export_csv: true });
+    const exported = output.content[1].text.match(/exported to (.+)$/)[1];
+
+    // JSON stays the main output when only export_csv is set
+    assert.deepEqual(JSON.parse(output.content[0].text), { total: 1 });
+    assert.equal(path.dirname(exported), EXPORT_CONFIG.dir);
+    assert.match(path.basename(exported), /^report-.+\.csv$/);
+    assert.equal(fs.readFileSync(exported, 'utf8'), 'a\n1\n');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('formatReport refuses to export without an export directory', () => {
+  EXPORT_CONFIG.dir = '';
+
+  assert.throws(() => formatReport({}, () => [], { export_csv: true }), /CSV export is disabled/);
+});
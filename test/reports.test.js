@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveTimeframeDates, getComparisonRange, getLocalDate } from '../src/utils/reports.js';
+
+const now = new Date('2026-03-15T12:00:00Z');
+
+test('resolveTimeframeDates resolves rolling and calendar timeframes', () => {
+  assert.deepEqual(resolveTimeframeDates('last_7_days', now), { start: '2026-03-08', end: '2026-03-15' });
+  assert.deepEqual(resolveTimeframeDates('today', now), { start: '2026-03-15', end: '2026-03-15' });
+  assert.deepEqual(resolveTimeframeDates('yesterday', now), { start: '2026-03-14', end: '2026-03-14' });
+  assert.deepEqual(resolveTimeframeDates('this_month', now), { start: '2026-03-01', end: '2026-03-15' });
+  assert.deepEqual(resolveTimeframeDates('last_month', now), { start: '2026-02-01', end: '2026-02-28' });
+});
+
+test('resolveTimeframeDates resolves quarters across a year boundary', () => {
+  assert.deepEqual(resolveTimeframeDates('this_quarter', now), { start: '2026-01-01', end: '2026-03-15' });
+  assert.deepEqual(resolveTimeframeDates('last_quarter', now), { start: '2025-10-01', end: '2025-12-31' });
+});
+
+test('resolveTimeframeDates returns null for unknown timeframes', () => {
+  assert.equal(resolveTimeframeDates('next_week', now), null);
+});
+
+test('getComparisonRange shifts to the preceding period of the same length', () => {
+  assert.deepEqual(getComparisonRange({ start: '2026-03-08', end: '2026-03-15' }, 'previous_period'), { start: '2026-02-28', end: '2026-03-07' });
+  assert.deepEqual(getComparisonRange({ start: '2024-02-29', end: '2024-03-01' }, 'same_period_last_year'), { start: '2023-02-28', end: '2023-03-01' });
+});
+
+test('getLocalDate returns the calendar date in the given timezone', () => {
+  const lateUtc = new Date('2026-03-15T23:30:00Z');
+
+  assert.equal(getLocalDate('UTC', lateUtc), '2026-03-15');
+  assert.equal(getLocalDate('Asia/Tokyo', lateUtc), '2026-03-16');
+  assert.equal(getLocalDate('America/Los_Angeles', new Date('2026-03-15T05:00:00Z')), '2026-03-14');
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getBlockReason, isMutatingTool } from '../src/features/tool_policy/index.js';
+
+const policy = (overrides) => ({ readOnly: false, allow: [], deny: [], ...overrides });
+const callback = async () => ({ content: [] });
+
+test('tools count as writes unless registered with readOnly: true', () => {
+  assert.equal(isMutatingTool([{}, callback, { description: 'Get profiles', readOnly: true }]), false);
+  assert.equal(isMutatingTool([{}, callback, { description: 'Merge profiles' }]), true);
+  assert.equal(isMutatingTool([{}, callback]), true);
+});
+
+test('read-only mode blocks writes whatever their name', () => {
+  const readOnly = policy({ readOnly: true });
+
+  assert.match(getBlockReason('rename_list', 'lists', true, readOnly), /read-only/);
+  assert.equal(getBlockReason('get_lists', 'lists', false, readOnly), null);
+  assert.equal(getBlockReason('rename_list', 'lists', true, policy()), null);
+});
+
+test('allow and deny lists match tool or module names', () => {
+  assert.match(getBlockReason('get_flows', 'flows', false, policy({ deny: ['flows'] })), /DENYLIST/);
+  assert.match(getBlockReason('get_flows', 'flows', false, policy({ allow: ['profiles'] })), /ALLOWLIST/);
+  assert.equal(getBlockReason('get_flows', 'flows', false, policy({ allow: ['get_flows'] })), null);
+});